@@ -15,34 +15,44 @@ app.use('/images', express.static(path.join(__dirname, 'src/images')));
 app.use(favicon(path.join(__dirname, 'src', 'images', 'favicon.ico')));
 
 const fs = require('fs');
+const os = require("os");
 
-// Initialize key replacements
-let keyReplacements = {};
+// Initialize key replacements. replacements.json is the default dictionary,
+// and a replacements.<locale>.json beside it overrides entries for that locale.
+const replacementsDir = path.join(__dirname, "src", "data");
+const keyReplacements = { default: {} };
 
 try {
-  const replacementsPath = path.join(__dirname, "src", "data", "replacements.json");
-  if (fs.existsSync(replacementsPath)) {
-    const replacementsContent = fs.readFileSync(replacementsPath, 'utf8');
-    keyReplacements = JSON.parse(replacementsContent);
-    // console.log("Replacements loaded successfully");
-  } else {
+  const replacementFiles = fs.readdirSync(replacementsDir);
+  replacementFiles.forEach((file) => {
+    const match = file.match(/^replacements(?:\.([a-z]{2}))?\.json$/);
+    if (!match) return;
+    const replacementsContent = fs.readFileSync(path.join(replacementsDir, file), 'utf8');
+    keyReplacements[match[1] || "default"] = JSON.parse(replacementsContent);
+  });
+  if (!replacementFiles.includes("replacements.json")) {
     console.log("replacements.json not found, key replacement disabled");
   }
 } catch (error) {
   console.error("Error loading replacements file:", error);
 }
 
-const replaceJsonKeys = (obj) => {
+const replacementsFor = (locale) => {
+  const language = (locale || "").toLowerCase().split(/[-_]/)[0];
+  return { ...keyReplacements.default, ...keyReplacements[language] };
+};
+
+const replaceJsonKeys = (obj, replacements) => {
     if (!obj || typeof obj !== 'object') return obj;
 
     if (Array.isArray(obj)) {
-      return obj.map(item => replaceJsonKeys(item));
+      return obj.map(item => replaceJsonKeys(item, replacements));
     }
 
     const newObj = {};
     Object.keys(obj).forEach(key => {
       // Replace key if it exists in replacements
-      const newKey = keyReplacements[key] || key;
+      const newKey = replacements[key] || key;
 
       // DEBUG: Log replacements when they happen
       // if (newKey !== key) {
@@ -51,13 +61,13 @@ const replaceJsonKeys = (obj) => {
 
       // Also check if the value should be replaced (if it's a string)
       let value = obj[key];
-      if (typeof value === 'string' && keyReplacements[value]) {
-        value = keyReplacements[value];
+      if (typeof value === 'string' && replacements[value]) {
+        value = replacements[value];
         // console.log(`Replacing value "${obj[key]}" with "${value}"`);
       }
 
       // Process value recursively if it's an object or array
-      newObj[newKey] = replaceJsonKeys(value);
+      newObj[newKey] = replaceJsonKeys(value, replacements);
     });
 
     return newObj;
@@ -97,55 +107,35 @@ const processJsonOutput = (data, options = { sanitize: true, replaceKeys: true }
 
     // Apply key replacement if needed - make sure this is correctly receiving the option
     if (options.replaceKeys) {
-      processedData = replaceJsonKeys(processedData);
+      processedData = replaceJsonKeys(processedData, replacementsFor(options.locale));
     }
 
     return processedData;
   };
 
-// Improved token management with auto-refresh
-const tokenManager = {
-  tokens: new Map(),
-  
-  async getValidToken(ssoToken) {
-    // Check if we have a stored token and if it's still valid
-    const storedToken = this.tokens.get(ssoToken);
-    const currentTime = Date.now();
-    
-    if (storedToken && (currentTime - storedToken.timestamp < 1800000)) { // 30 minutes expiry
-      console.log("Using cached token");
-      return storedToken.token;
-    }
-    
-    // We need to login and get a new token
-    try {
-      console.log("Authenticating with new SSO token");
-      const loginResult = await Promise.race([
-        API.login(ssoToken),
-        timeoutPromise(10000), // 10 second timeout
-      ]);
-      
-      // Store the new token with timestamp
-      this.tokens.set(ssoToken, {
-        token: loginResult,
-        timestamp: currentTime
-      });
-      
-      console.log("Authentication successful");
-      return loginResult;
-    } catch (error) {
-      console.error("Authentication failed:", error);
-      throw new Error("Failed to authenticate with SSO token");
-    }
-  },
-  
-  invalidateToken(ssoToken) {
-    this.tokens.delete(ssoToken);
+// Store active sessions to avoid repeated logins. Each token keeps its client,
+// so in-flight requests and Uno ID lookups are shared between requests. The
+// map is kept in least recently used order, so idle sessions are at the front.
+const activeSessions = new Map();
+const maxSessions = 100;
+const sessionIdleTimeout = 30 * 60 * 1000; // 30 minutes
+
+// Drop sessions nobody has used lately, and the least recent past the limit
+const pruneSessions = (now) => {
+  for (const [ssoToken, session] of activeSessions) {
+    if (
+      activeSessions.size <= maxSessions &&
+      now - session.lastUsed < sessionIdleTimeout
+    ) {
+      break;
+    }
+    activeSessions.delete(ssoToken);
   }
 };
 
-// Store active sessions to avoid repeated logins
-const activeSessions = new Map();
+// Responses are cached per token, so one cache can serve every session. Match
+// details never expire, so the cache is capped by size as well as count.
+const responseCache = API.createMemoryCache(1000, 64 * 1024 * 1024);
 
 // Utility function to create a timeout promise
 const timeoutPromise = (ms) => {
@@ -154,38 +144,73 @@ const timeoutPromise = (ms) => {
   });
 };
 
-// Helper function to ensure login
+// Helper function to ensure login, returns a client bound to this SSO token
 const ensureLogin = async (ssoToken) => {
-  if (!activeSessions.has(ssoToken)) {
-    console.log("Attempting to login with SSO token");
-    const loginResult = await Promise.race([
-      API.login(ssoToken),
-      timeoutPromise(10000), // 10 second timeout
-    ]);
-
-    console.log("Login successful:", loginResult);
-    activeSessions.set(ssoToken, new Date());
-  } else {
+  const now = Date.now();
+  pruneSessions(now);
+
+  const session = activeSessions.get(ssoToken);
+  if (session) {
     console.log("Using existing session");
+    // Re-insert to mark as most recently used
+    activeSessions.delete(ssoToken);
+    activeSessions.set(ssoToken, { client: session.client, lastUsed: now });
+    return session.client;
   }
+
+  console.log("Attempting to login with SSO token");
+  const client = API.createClient({ cache: responseCache });
+  // Verify up front so a bad token fails here rather than on the stats call
+  const account = await Promise.race([
+    client.login(ssoToken, { verify: true }),
+    timeoutPromise(10000), // 10 second timeout
+  ]);
+
+  console.log(
+    "Login successful:",
+    `${account.username || "unknown"} (${account.platform || "unknown"})`
+  );
+  activeSessions.set(ssoToken, { client, lastUsed: now });
+  pruneSessions(now);
+  return client;
 };
 
 // Helper function to handle API errors
-const handleApiError = (error, res) => {
+const handleApiError = (error, res, ssoToken) => {
   console.error("API Error:", error);
 
   // Try to extract more useful information from the error
   let errorMessage = error.message || "Unknown API error";
   let errorName = error.name || "ApiError";
 
-  // Handle the specific JSON parsing error
-  if (errorName === "SyntaxError" && errorMessage.includes("JSON")) {
-    console.log("JSON parsing error detected");
+  // Handle an invalid or expired SSO token
+  if (error instanceof API.InvalidTokenError) {
+    console.log("Invalid or expired SSO token detected");
+    // Log in again next time rather than reusing a dead session
+    activeSessions.delete(ssoToken);
     return res.status(200).json({
       status: "error",
       message:
         "Failed to parse API response. This usually means the SSO token is invalid or expired.",
-      error_type: "InvalidResponseError",
+      error_type: errorName,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  if (error instanceof API.PrivateProfileError) {
+    return res.status(200).json({
+      status: "error",
+      message: "This player's profile is private.",
+      error_type: errorName,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  if (error instanceof API.PlayerNotFoundError) {
+    return res.status(200).json({
+      status: "error",
+      message: "Player not found. Check the username and platform.",
+      error_type: errorName,
       timestamp: new Date().toISOString(),
     });
   }
@@ -199,11 +224,21 @@ const handleApiError = (error, res) => {
   });
 };
 
+// Check a request against the title registry, returns an error message or null
+const titleRequestError = (game, operation) => {
+  const title = API.titleRegistry[game];
+  if (!title) return "Invalid game selected";
+  if (!title.operations.includes(operation)) {
+    return `${operation} is not available for ${title.name}`;
+  }
+  return null;
+};
+
 // API endpoint to fetch stats
 app.post("/api/stats", async (req, res) => {
   console.log("Received request for /api/stats");
   try {
-    const { username, ssoToken, platform, game, apiCall } = req.body;
+    const { username, ssoToken, platform, game, apiCall, locale } = req.body;
 
     console.log(
       `Request details - Username: ${username}, Platform: ${platform}, Game: ${game}, API Call: ${apiCall}`
@@ -218,15 +253,10 @@ app.post("/api/stats", async (req, res) => {
       return res.status(400).json({ error: "Username is required" });
     }
 
-    // Clear previous session if it exists
-    if (activeSessions.has(ssoToken)) {
-      console.log("Clearing previous session");
-      activeSessions.delete(ssoToken);
-    }
-
     // Login with the provided SSO token
+    let client;
     try {
-      await ensureLogin(ssoToken);
+      client = await ensureLogin(ssoToken);
     } catch (loginError) {
       console.error("Login error:", loginError);
       return res.status(200).json({
@@ -246,13 +276,13 @@ app.post("/api/stats", async (req, res) => {
       ]);
     };
 
-    // Check if the platform is valid for the game
-    const requiresUno = ["mw2", "wz2", "mw3", "wzm"].includes(game);
-    if (requiresUno && platform !== "uno" && apiCall !== "mapList") {
-      console.log(`${game} requires Uno ID`);
+    // Check the game supports this call
+    const titleError = titleRequestError(game, apiCall);
+    if (titleError) {
+      console.log(titleError);
       return res.status(200).json({
         status: "error",
-        message: `${game} requires Uno ID (numerical ID)`,
+        message: titleError,
         timestamp: new Date().toISOString(),
       });
     }
@@ -261,122 +291,13 @@ app.post("/api/stats", async (req, res) => {
       console.log(
         `Attempting to fetch ${game} data for ${username} on ${platform}`
       );
-      let data;
-
-      if (apiCall === "fullData") {
-        // Fetch lifetime stats based on game
-        switch (game) {
-          case "mw":
-            data = await fetchWithTimeout(() =>
-              API.ModernWarfare.fullData(username, platform)
-            );
-            break;
-          case "wz":
-            data = await fetchWithTimeout(() =>
-              API.Warzone.fullData(username, platform)
-            );
-            break;
-          case "mw2":
-            data = await fetchWithTimeout(() =>
-              API.ModernWarfare2.fullData(username)
-            );
-            break;
-          case "wz2":
-            data = await fetchWithTimeout(() =>
-              API.Warzone2.fullData(username)
-            );
-            break;
-          case "mw3":
-            data = await fetchWithTimeout(() =>
-              API.ModernWarfare3.fullData(username)
-            );
-            break;
-          case "cw":
-            data = await fetchWithTimeout(() =>
-              API.ColdWar.fullData(username, platform)
-            );
-            break;
-          case "vg":
-            data = await fetchWithTimeout(() =>
-              API.Vanguard.fullData(username, platform)
-            );
-            break;
-          case "wzm":
-            data = await fetchWithTimeout(() =>
-              API.WarzoneMobile.fullData(username)
-            );
-            break;
-          default:
-            return res.status(200).json({
-              status: "error",
-              message: "Invalid game selected",
-              timestamp: new Date().toISOString(),
-            });
-        }
-      } else if (apiCall === "combatHistory") {
-        // Fetch recent match history based on game
-        switch (game) {
-          case "mw":
-            data = await fetchWithTimeout(() =>
-              API.ModernWarfare.combatHistory(username, platform)
-            );
-            break;
-          case "wz":
-            data = await fetchWithTimeout(() =>
-              API.Warzone.combatHistory(username, platform)
-            );
-            break;
-          case "mw2":
-            data = await fetchWithTimeout(() =>
-              API.ModernWarfare2.combatHistory(username)
-            );
-            break;
-          case "wz2":
-            data = await fetchWithTimeout(() =>
-              API.Warzone2.combatHistory(username)
-            );
-            break;
-          case "mw3":
-            data = await fetchWithTimeout(() =>
-              API.ModernWarfare3.combatHistory(username)
-            );
-            break;
-          case "cw":
-            data = await fetchWithTimeout(() =>
-              API.ColdWar.combatHistory(username, platform)
-            );
-            break;
-          case "vg":
-            data = await fetchWithTimeout(() =>
-              API.Vanguard.combatHistory(username, platform)
-            );
-            break;
-          case "wzm":
-            data = await fetchWithTimeout(() =>
-              API.WarzoneMobile.combatHistory(username)
-            );
-            break;
-          default:
-            return res.status(200).json({
-              status: "error",
-              message: "Invalid game selected",
-              timestamp: new Date().toISOString(),
-            });
-        }
-      } else if (apiCall === "mapList") {
-        // Fetch map list (only valid for MW)
-        if (game === "mw") {
-          data = await fetchWithTimeout(() =>
-            API.ModernWarfare.mapList(platform)
-          );
-        } else {
-          return res.status(200).json({
-            status: "error",
-            message: "Map list is only available for Modern Warfare",
-            timestamp: new Date().toISOString(),
-          });
-        }
-      }
+      const data = await fetchWithTimeout(() =>
+        client.titleRequest(game, apiCall, {
+          gamertag: username,
+          platform,
+          locale,
+        })
+      );
 
       console.log("Data fetched successfully");
 
@@ -397,11 +318,11 @@ app.post("/api/stats", async (req, res) => {
 
       return res.json({
         // status: "success",
-        data: processJsonOutput(data, { sanitize, replaceKeys }),
+        data: processJsonOutput(data, { sanitize, replaceKeys, locale }),
         timestamp: new Date().toISOString(),
       });
     } catch (apiError) {
-      return handleApiError(apiError, res);
+      return handleApiError(apiError, res, ssoToken);
     }
   } catch (serverError) {
     console.error("Server Error:", serverError);
@@ -420,7 +341,7 @@ app.post("/api/stats", async (req, res) => {
 app.post("/api/matches", async (req, res) => {
   console.log("Received request for /api/matches");
   try {
-    const { username, ssoToken, platform, game } = req.body;
+    const { username, ssoToken, platform, game, locale } = req.body;
 
     console.log(
       `Request details - Username: ${username}, Platform: ${platform}, Game: ${game}`
@@ -432,8 +353,9 @@ app.post("/api/matches", async (req, res) => {
         .json({ error: "Username and SSO Token are required" });
     }
 
+    let client;
     try {
-      await ensureLogin(ssoToken);
+      client = await ensureLogin(ssoToken);
     } catch (loginError) {
       return res.status(200).json({
         status: "error",
@@ -456,77 +378,34 @@ app.post("/api/matches", async (req, res) => {
       console.log(
         `Attempting to fetch combat history for ${username} on ${platform}`
       );
-      let data;
 
-      // Check if the platform is valid for the game
-      const requiresUno = ["mw2", "wz2", "mw3", "wzm"].includes(game);
-      if (requiresUno && platform !== "uno") {
+      // Check the game supports match history
+      const titleError = titleRequestError(game, "combatHistory");
+      if (titleError) {
         return res.status(200).json({
           status: "error",
-          message: `${game} requires Uno ID (numerical ID)`,
+          message: titleError,
           timestamp: new Date().toISOString(),
         });
       }
 
-      // Fetch combat history based on game
-      switch (game) {
-        case "mw":
-          data = await fetchWithTimeout(() =>
-            API.ModernWarfare.combatHistory(username, platform)
-          );
-          break;
-        case "wz":
-          data = await fetchWithTimeout(() =>
-            API.Warzone.combatHistory(username, platform)
-          );
-          break;
-        case "mw2":
-          data = await fetchWithTimeout(() =>
-            API.ModernWarfare2.combatHistory(username)
-          );
-          break;
-        case "wz2":
-          data = await fetchWithTimeout(() =>
-            API.Warzone2.combatHistory(username)
-          );
-          break;
-        case "mw3":
-          data = await fetchWithTimeout(() =>
-            API.ModernWarfare3.combatHistory(username)
-          );
-          break;
-        case "cw":
-          data = await fetchWithTimeout(() =>
-            API.ColdWar.combatHistory(username, platform)
-          );
-          break;
-        case "vg":
-          data = await fetchWithTimeout(() =>
-            API.Vanguard.combatHistory(username, platform)
-          );
-          break;
-        case "wzm":
-          data = await fetchWithTimeout(() =>
-            API.WarzoneMobile.combatHistory(username)
-          );
-          break;
-        default:
-          return res.status(200).json({
-            status: "error",
-            message: "Invalid game selected",
-            timestamp: new Date().toISOString(),
-          });
-      }
+      const data = await fetchWithTimeout(() =>
+        client.titleRequest(game, "combatHistory", {
+          gamertag: username,
+          platform,
+          locale,
+        })
+      );
 
       const { sanitize, replaceKeys } = req.body;
 
       return res.json({
         // status: "success",
-        data: processJsonOutput(data, { sanitize, replaceKeys }),
+        data: processJsonOutput(data, { sanitize, replaceKeys, locale }),
         timestamp: new Date().toISOString(),
       });
     } catch (apiError) {
-      return handleApiError(apiError, res);
+      return handleApiError(apiError, res, ssoToken);
     }
   } catch (serverError) {
     return res.status(200).json({
@@ -542,7 +421,7 @@ app.post("/api/matches", async (req, res) => {
 app.post("/api/matchInfo", async (req, res) => {
   console.log("Received request for /api/matchInfo");
   try {
-    const { matchId, ssoToken, platform, game } = req.body;
+    const { matchId, username, ssoToken, platform, game, locale } = req.body;
     const mode = "mp";
 
     console.log(
@@ -555,8 +434,25 @@ app.post("/api/matchInfo", async (req, res) => {
         .json({ error: "Match ID and SSO Token are required" });
     }
 
+    const titleError = titleRequestError(game, "matchInfo");
+    if (titleError) {
+      return res.status(200).json({
+        status: "error",
+        message: titleError,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    // Telescope titles look matches up relative to a player in the match
+    if (API.titleRegistry[game].requiresUno && !username) {
+      return res
+        .status(400)
+        .json({ error: `${game} requires the gamertag of a player in the match` });
+    }
+
+    let client;
     try {
-      await ensureLogin(ssoToken);
+      client = await ensureLogin(ssoToken);
     } catch (loginError) {
       return res.status(200).json({
         status: "error",
@@ -577,65 +473,25 @@ app.post("/api/matchInfo", async (req, res) => {
 
     try {
       console.log(`Attempting to fetch match info for match ID: ${matchId}`);
-      let data;
 
-      // Fetch match info based on game
-      switch (game) {
-        case "mw":
-          data = await fetchWithTimeout(() =>
-            API.ModernWarfare.matchInfo(matchId, platform)
-          );
-          break;
-        case "wz":
-          data = await fetchWithTimeout(() =>
-            API.Warzone.matchInfo(matchId, platform)
-          );
-          break;
-        case "mw2":
-          data = await fetchWithTimeout(() =>
-            API.ModernWarfare2.matchInfo(matchId)
-          );
-          break;
-        case "wz2":
-          data = await fetchWithTimeout(() => API.Warzone2.matchInfo(matchId));
-          break;
-        case "mw3":
-          data = await fetchWithTimeout(() =>
-            API.ModernWarfare3.matchInfo(matchId)
-          );
-          break;
-        case "cw":
-          data = await fetchWithTimeout(() =>
-            API.ColdWar.matchInfo(matchId, platform)
-          );
-          break;
-        case "vg":
-          data = await fetchWithTimeout(() =>
-            API.Vanguard.matchInfo(matchId, platform)
-          );
-          break;
-        case "wzm":
-          data = await fetchWithTimeout(() =>
-            API.WarzoneMobile.matchInfo(matchId)
-          );
-          break;
-        default:
-          return res.status(200).json({
-            status: "error",
-            message: "Invalid game selected",
-            timestamp: new Date().toISOString(),
-          });
-      }
+      const data = await fetchWithTimeout(() =>
+        client.titleRequest(game, "matchInfo", {
+          gamertag: username,
+          platform,
+          matchId,
+          locale,
+        })
+      );
 
       const { sanitize, replaceKeys } = req.body;
 
       return res.json({
         // status: "success",
-        data: processJsonOutput(data, { sanitize, replaceKeys }),
+        data: processJsonOutput(data, { sanitize, replaceKeys, locale }),
         timestamp: new Date().toISOString(),
       });
     } catch (apiError) {
-      return handleApiError(apiError, res);
+      return handleApiError(apiError, res, ssoToken);
     }
   } catch (serverError) {
     return res.status(200).json({
@@ -651,7 +507,7 @@ app.post("/api/matchInfo", async (req, res) => {
 app.post("/api/user", async (req, res) => {
   console.log("Received request for /api/user");
   try {
-    const { username, ssoToken, platform, userCall } = req.body;
+    const { username, ssoToken, platform, userCall, locale } = req.body;
 
     console.log(
       `Request details - Username: ${username}, Platform: ${platform}, User Call: ${userCall}`
@@ -673,8 +529,9 @@ app.post("/api/user", async (req, res) => {
         .json({ error: "Username is required for this API call" });
     }
 
+    let client;
     try {
-      await ensureLogin(ssoToken);
+      client = await ensureLogin(ssoToken);
     } catch (loginError) {
       return res.status(200).json({
         status: "error",
@@ -701,31 +558,31 @@ app.post("/api/user", async (req, res) => {
       switch (userCall) {
         case "codPoints":
           data = await fetchWithTimeout(() =>
-            API.Me.codPoints(username, platform)
+            client.Me.codPoints(username, platform)
           );
           break;
         case "connectedAccounts":
           data = await fetchWithTimeout(() =>
-            API.Me.connectedAccounts(username, platform)
+            client.Me.connectedAccounts(username, platform)
           );
           break;
         case "eventFeed":
-          data = await fetchWithTimeout(() => API.Me.eventFeed());
+          data = await fetchWithTimeout(() => client.Me.eventFeed({ locale }));
           break;
         case "friendFeed":
           data = await fetchWithTimeout(() =>
-            API.Me.friendFeed(username, platform)
+            client.Me.friendFeed(username, platform, { locale })
           );
           break;
         case "identities":
-          data = await fetchWithTimeout(() => API.Me.loggedInIdentities());
+          data = await fetchWithTimeout(() => client.Me.loggedInIdentities());
           break;
         case "friendsList":
-          data = await fetchWithTimeout(() => API.Me.friendsList());
+          data = await fetchWithTimeout(() => client.Me.friendsList());
           break;
         case "settings":
           data = await fetchWithTimeout(() =>
-            API.Me.settings(username, platform)
+            client.Me.settings(username, platform)
           );
           break;
         default:
@@ -740,11 +597,11 @@ app.post("/api/user", async (req, res) => {
 
       return res.json({
         // status: "success",
-        data: processJsonOutput(data, { sanitize, replaceKeys }),
+        data: processJsonOutput(data, { sanitize, replaceKeys, locale }),
         timestamp: new Date().toISOString(),
       });
     } catch (apiError) {
-      return handleApiError(apiError, res);
+      return handleApiError(apiError, res, ssoToken);
     }
   } catch (serverError) {
     return res.status(200).json({
@@ -760,7 +617,7 @@ app.post("/api/user", async (req, res) => {
 app.post("/api/search", async (req, res) => {
   console.log("Received request for /api/search");
   try {
-    const { username, ssoToken, platform } = req.body;
+    const { username, ssoToken, platform, locale } = req.body;
 
     console.log(
       `Request details - Username to search: ${username}, Platform: ${platform}`
@@ -772,8 +629,9 @@ app.post("/api/search", async (req, res) => {
         .json({ error: "Username and SSO Token are required" });
     }
 
+    let client;
     try {
-      await ensureLogin(ssoToken);
+      client = await ensureLogin(ssoToken);
     } catch (loginError) {
       return res.status(200).json({
         status: "error",
@@ -797,19 +655,19 @@ app.post("/api/search", async (req, res) => {
         `Attempting fuzzy search for ${username} on platform ${platform}`
       );
       const data = await fetchWithTimeout(() =>
-        API.Misc.search(username, platform)
+        client.Misc.search(username, platform)
       );
 
       const { sanitize, replaceKeys } = req.body;
 
       return res.json({
         // status: "success",
-        data: processJsonOutput(data, { sanitize, replaceKeys }),
+        data: processJsonOutput(data, { sanitize, replaceKeys, locale }),
         timestamp: new Date().toISOString(),
         // link: "Stats pulled using codtracker.rimmyscorner.com",
       });
     } catch (apiError) {
-      return handleApiError(apiError, res);
+      return handleApiError(apiError, res, ssoToken);
     }
   } catch (serverError) {
     return res.status(200).json({
@@ -831,7 +689,471 @@ app.get("/", (req, res) => {
   res.sendFile(path.join(__dirname, "src", "index.html"));
 });
 
-// Start the server
-app.listen(port, () => {
-  console.log(`Server running on http://localhost:${port}`);
+// API endpoint for derived stats over the recent match history
+app.post("/api/analytics", async (req, res) => {
+  console.log("Received request for /api/analytics");
+  try {
+    const { username, ssoToken, platform, game, locale, window, rankBy } =
+      req.body;
+
+    console.log(
+      `Request details - Username: ${username}, Platform: ${platform}, Game: ${game}`
+    );
+
+    if (!username || !ssoToken) {
+      return res
+        .status(400)
+        .json({ error: "Username and SSO Token are required" });
+    }
+
+    let client;
+    try {
+      client = await ensureLogin(ssoToken);
+    } catch (loginError) {
+      return res.status(200).json({
+        status: "error",
+        error_type: "LoginError",
+        message: "SSO token login failed",
+        details: loginError.message || "Unknown login error",
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    try {
+      const titleError = titleRequestError(game, "combatHistory");
+      if (titleError) {
+        return res.status(200).json({
+          status: "error",
+          message: titleError,
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const data = await Promise.race([
+        client.titleRequest(game, "combatHistory", {
+          gamertag: username,
+          platform,
+          locale,
+        }),
+        timeoutPromise(30000), // 30 second timeout
+      ]);
+
+      const analytics = API.analyzeMatches(API.normalizeMatches(data, game), {
+        window: Number(window) || undefined,
+        rankBy: rankBy || undefined,
+      });
+
+      return res.json({
+        data: analytics,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (apiError) {
+      return handleApiError(apiError, res, ssoToken);
+    }
+  } catch (serverError) {
+    return res.status(200).json({
+      status: "server_error",
+      message: "The server encountered an unexpected error",
+      error_details: serverError.message || "Unknown server error",
+      timestamp: new Date().toISOString(),
+    });
+  }
+});
+
+// API endpoint for lobby strength of a single match
+app.post("/api/lobby", async (req, res) => {
+  console.log("Received request for /api/lobby");
+  try {
+    const { matchId, username, ssoToken, platform, game, locale, lookup } =
+      req.body;
+
+    console.log(
+      `Request details - Match ID: ${matchId}, Platform: ${platform}, Game: ${game}, Lookup: ${!!lookup}`
+    );
+
+    if (!matchId || !ssoToken) {
+      return res
+        .status(400)
+        .json({ error: "Match ID and SSO Token are required" });
+    }
+
+    const titleError = titleRequestError(game, "matchInfo");
+    if (titleError) {
+      return res.status(200).json({
+        status: "error",
+        message: titleError,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    // Telescope titles look matches up relative to a player in the match
+    if (API.titleRegistry[game].requiresUno && !username) {
+      return res
+        .status(400)
+        .json({ error: `${game} requires the gamertag of a player in the match` });
+    }
+
+    let client;
+    try {
+      client = await ensureLogin(ssoToken);
+    } catch (loginError) {
+      return res.status(200).json({
+        status: "error",
+        error_type: "LoginError",
+        message: "SSO token login failed",
+        details: loginError.message || "Unknown login error",
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    try {
+      const analysis = await Promise.race([
+        API.analyzeLobby(client, game, matchId, {
+          gamertag: username,
+          platform,
+          locale,
+          lookup: !!lookup,
+        }),
+        // Lifetime lookups cover the whole lobby, so allow more time for them
+        timeoutPromise(lookup ? 120000 : 30000),
+      ]);
+
+      return res.json({
+        data: analysis,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (apiError) {
+      return handleApiError(apiError, res, ssoToken);
+    }
+  } catch (serverError) {
+    return res.status(200).json({
+      status: "server_error",
+      message: "The server encountered an unexpected error",
+      error_details: serverError.message || "Unknown server error",
+      timestamp: new Date().toISOString(),
+    });
+  }
+});
+
+// API endpoint for teammates and squad compositions over recent matches
+const maxSquadMatches = 50;
+
+app.post("/api/squad", async (req, res) => {
+  console.log("Received request for /api/squad");
+  try {
+    const { username, ssoToken, platform, game, locale, matches } = req.body;
+    const matchCount = Math.min(Number(matches) || 20, maxSquadMatches);
+
+    console.log(
+      `Request details - Username: ${username}, Platform: ${platform}, Game: ${game}, Matches: ${matchCount}`
+    );
+
+    if (!username || !ssoToken) {
+      return res
+        .status(400)
+        .json({ error: "Username and SSO Token are required" });
+    }
+
+    // The report needs both the history and the details of each match
+    const titleError =
+      titleRequestError(game, "combatHistory") ||
+      titleRequestError(game, "matchInfo");
+    if (titleError) {
+      return res.status(200).json({
+        status: "error",
+        message: titleError,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    let client;
+    try {
+      client = await ensureLogin(ssoToken);
+    } catch (loginError) {
+      return res.status(200).json({
+        status: "error",
+        error_type: "LoginError",
+        message: "SSO token login failed",
+        details: loginError.message || "Unknown login error",
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    try {
+      const report = await Promise.race([
+        API.analyzeSquad(client, game, username, platform, {
+          locale,
+          matches: matchCount,
+        }),
+        timeoutPromise(120000), // 2 minute timeout, one request per match
+      ]);
+
+      return res.json({
+        data: report,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (apiError) {
+      return handleApiError(apiError, res, ssoToken);
+    }
+  } catch (serverError) {
+    return res.status(200).json({
+      status: "server_error",
+      message: "The server encountered an unexpected error",
+      error_details: serverError.message || "Unknown server error",
+      timestamp: new Date().toISOString(),
+    });
+  }
+});
+
+// API endpoint comparing lifetime stats of several players of one title
+const maxComparePlayers = 8;
+
+app.post("/api/compare", async (req, res) => {
+  console.log("Received request for /api/compare");
+  try {
+    const { players, ssoToken, game, locale } = req.body;
+
+    // Each player carries their own platform so platforms can be mixed
+    const targets = (Array.isArray(players) ? players : [])
+      .filter((player) => player && String(player.username || "").trim())
+      .map((player) => ({
+        gamertag: String(player.username).trim(),
+        platform: player.platform,
+      }));
+
+    console.log(
+      `Request details - Game: ${game}, Players: ${targets
+        .map((target) => `${target.gamertag} (${target.platform})`)
+        .join(", ")}`
+    );
+
+    if (targets.length < 2 || !ssoToken) {
+      return res
+        .status(400)
+        .json({ error: "At least two players and an SSO Token are required" });
+    }
+
+    if (targets.length > maxComparePlayers) {
+      return res.status(400).json({
+        error: `At most ${maxComparePlayers} players can be compared at once`,
+      });
+    }
+
+    const titleError = titleRequestError(game, "fullData");
+    if (titleError) {
+      return res.status(200).json({
+        status: "error",
+        message: titleError,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    let client;
+    try {
+      client = await ensureLogin(ssoToken);
+    } catch (loginError) {
+      return res.status(200).json({
+        status: "error",
+        error_type: "LoginError",
+        message: "SSO token login failed",
+        details: loginError.message || "Unknown login error",
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    try {
+      const comparison = await Promise.race([
+        API.comparePlayers(client, game, targets, { locale }),
+        timeoutPromise(30000), // 30 second timeout
+      ]);
+
+      const { replaceKeys } = req.body;
+      if (replaceKeys) {
+        const replacements = replacementsFor(locale);
+        comparison.stats.forEach((row) => {
+          row.label = replacements[row.stat] || row.stat;
+        });
+      }
+
+      return res.json({
+        data: comparison,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (apiError) {
+      return handleApiError(apiError, res, ssoToken);
+    }
+  } catch (serverError) {
+    return res.status(200).json({
+      status: "server_error",
+      message: "The server encountered an unexpected error",
+      error_details: serverError.message || "Unknown server error",
+      timestamp: new Date().toISOString(),
+    });
+  }
+});
+
+// Lifetime stat snapshots, one JSON-lines file per player. Kept out of the
+// repo, which is served as static files.
+const historyDir =
+  process.env.COD_HISTORY_DIR || path.join(os.homedir(), ".cod-stats", "history");
+
+app.post("/api/history", async (req, res) => {
+  console.log("Received request for /api/history");
+  try {
+    const { username, ssoToken, platform, game, snapshot, since, until } =
+      req.body;
+
+    console.log(
+      `Request details - Username: ${username}, Platform: ${platform}, Game: ${game}, Snapshot: ${!!snapshot}`
+    );
+
+    if (!username || !ssoToken) {
+      return res
+        .status(400)
+        .json({ error: "Username and SSO Token are required" });
+    }
+
+    // The platform is part of the history file name
+    if (!Object.values(API.platforms).includes(platform)) {
+      return res.status(400).json({ error: "Invalid platform selected" });
+    }
+
+    let client;
+    try {
+      client = await ensureLogin(ssoToken);
+    } catch (loginError) {
+      return res.status(200).json({
+        status: "error",
+        error_type: "LoginError",
+        message: "SSO token login failed",
+        details: loginError.message || "Unknown login error",
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    try {
+      const titleError = titleRequestError(game, "fullData");
+      if (titleError) {
+        return res.status(200).json({
+          status: "error",
+          message: titleError,
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const history = API.createStatHistory(client, historyDir);
+      if (snapshot) {
+        await Promise.race([
+          history.snapshot(game, username, platform),
+          timeoutPromise(30000), // 30 second timeout
+        ]);
+      }
+
+      const range = { since, until };
+      const [series, delta] = await Promise.all([
+        history.series(game, username, platform, range),
+        history.delta(game, username, platform, range),
+      ]);
+
+      return res.json({
+        data: { series, delta: delta || null },
+        timestamp: new Date().toISOString(),
+      });
+    } catch (apiError) {
+      return handleApiError(apiError, res, ssoToken);
+    }
+  } catch (serverError) {
+    return res.status(200).json({
+      status: "server_error",
+      message: "The server encountered an unexpected error",
+      error_details: serverError.message || "Unknown server error",
+      timestamp: new Date().toISOString(),
+    });
+  }
 });
+
+// Friend management
+const maxFriendTargets = 50;
+
+app.post("/api/friends", async (req, res) => {
+  console.log("Received request for /api/friends");
+  try {
+    const { gamertags, ssoToken, platform, action, dryRun } = req.body;
+
+    // Accept an array or a newline/comma separated list from the textarea
+    const targets = (Array.isArray(gamertags) ? gamertags : String(gamertags || "").split(/[\n,]/))
+      .map((gamertag) => String(gamertag).trim())
+      .filter((gamertag) => gamertag.length > 0);
+
+    console.log(
+      `Request details - Action: ${action}, Platform: ${platform}, Targets: ${targets.length}, Dry run: ${!!dryRun}`
+    );
+
+    if (!targets.length || !ssoToken || !action) {
+      return res
+        .status(400)
+        .json({ error: "Gamertags, action and SSO Token are required" });
+    }
+
+    if (targets.length > maxFriendTargets) {
+      return res.status(400).json({
+        error: `At most ${maxFriendTargets} gamertags can be processed at once`,
+      });
+    }
+
+    let client;
+    try {
+      client = await ensureLogin(ssoToken);
+    } catch (loginError) {
+      return res.status(200).json({
+        status: "error",
+        error_type: "LoginError",
+        message: "SSO token login failed",
+        details: loginError.message || "Unknown login error",
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    try {
+      const results = await Promise.race([
+        client.Me.batchFriendAction(targets, platform, action, {
+          dryRun: !!dryRun,
+        }),
+        timeoutPromise(60000), // 60 second timeout for the whole batch
+      ]);
+      const failed = results.filter((result) => result.status === "failed");
+
+      return res.json({
+        data: {
+          action,
+          dryRun: !!dryRun,
+          summary: {
+            total: results.length,
+            succeeded: results.length - failed.length,
+            failed: failed.length,
+          },
+          results,
+        },
+        timestamp: new Date().toISOString(),
+      });
+    } catch (apiError) {
+      return handleApiError(apiError, res, ssoToken);
+    }
+  } catch (serverError) {
+    return res.status(200).json({
+      status: "server_error",
+      message: "The server encountered an unexpected error",
+      error_details: serverError.message || "Unknown server error",
+      timestamp: new Date().toISOString(),
+    });
+  }
+});
+
+// Start the server when run directly; tests require the app instead
+if (require.main === module) {
+  app.listen(port, () => {
+    console.log(`Server running on http://localhost:${port}`);
+  });
+}
+
+module.exports = app;
@@ -0,0 +1,311 @@
+#!/usr/bin/env node
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { parseArgs } = require("util");
+const API = require("../src/js/index.js");
+
+const usage = `Usage: cod-stats <command> [arguments] [options]
+
+Commands:
+  stats <username>            Player stats (--call picks the API call)
+  matches <username>          Recent match history
+  match <matchId> [username]  Match details (telescope titles need a username)
+  search <username>           Fuzzy search for a gamertag
+  user <call> [username]      codPoints, connectedAccounts, eventFeed, friendFeed,
+                              identities, friendsList or settings
+  store                       Store listing, or one bundle with --bundle
+
+Options:
+  -g, --game <game>           ${Object.keys(API.titleRegistry).join(", ")} (default: mw)
+  -p, --platform <platform>   acti, battle, psn, xbl, steam or uno (default: uno)
+  -c, --call <call>           API call for stats (default: fullData)
+  -f, --format <format>       json, yaml, csv or table (default: json)
+  -l, --locale <locale>       Response language (default: en)
+  -b, --bundle <id>           Bundle to look up with the store command
+      --config <file>         Config file (default: ~/.cod-stats.json)
+  -h, --help                  Show this help
+
+The SSO token is read from COD_SSO_TOKEN, or from "ssoToken" in the config
+file. The config file may also set defaults for game, platform, format and
+locale.`;
+
+// Exit codes per error class. Subclasses must come before ApiError.
+const exitCodes = [
+  [API.NotLoggedInError, 3],
+  [API.InvalidTokenError, 3],
+  [API.PlayerNotFoundError, 4],
+  [API.PrivateProfileError, 5],
+  [API.RateLimitedError, 6],
+  [API.UpstreamUnavailableError, 7],
+  [API.InvalidPlatformError, 8],
+  [API.UnsupportedOperationError, 9],
+  [API.ApiError, 10],
+];
+
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UsageError";
+  }
+}
+
+const exitCodeFor = (error) => {
+  if (error instanceof UsageError) return 2;
+  const match = exitCodes.find(([errorClass]) => error instanceof errorClass);
+  return match ? match[1] : 1;
+};
+
+const loadConfig = (file) => {
+  const configPath =
+    file || process.env.COD_STATS_CONFIG || path.join(os.homedir(), ".cod-stats.json");
+  if (!fs.existsSync(configPath)) {
+    if (file) throw new UsageError(`Config file not found: ${configPath}`);
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(configPath, "utf8"));
+};
+
+// Same calls as the User Info tab of the web UI
+const userCalls = {
+  codPoints: (client, username, platform) => client.Me.codPoints(username, platform),
+  connectedAccounts: (client, username, platform) =>
+    client.Me.connectedAccounts(username, platform),
+  eventFeed: (client, username, platform, locale) => client.Me.eventFeed({ locale }),
+  friendFeed: (client, username, platform, locale) =>
+    client.Me.friendFeed(username, platform, { locale }),
+  identities: (client) => client.Me.loggedInIdentities(),
+  friendsList: (client) => client.Me.friendsList(),
+  settings: (client, username, platform) => client.Me.settings(username, platform),
+};
+
+const requireArgument = (value, name) => {
+  if (!value) throw new UsageError(`Missing ${name}. See cod-stats --help.`);
+  return value;
+};
+
+const runCommand = async (client, command, args, options) => {
+  const { game, platform, storePlatform, call, locale, bundle } = options;
+
+  switch (command) {
+    case "stats":
+      return await client.titleRequest(game, call, {
+        gamertag: requireArgument(args[0], "username"),
+        platform,
+        locale,
+      });
+    case "matches":
+      return await client.titleRequest(game, "combatHistory", {
+        gamertag: requireArgument(args[0], "username"),
+        platform,
+        locale,
+      });
+    case "match":
+      return await client.titleRequest(game, "matchInfo", {
+        matchId: requireArgument(args[0], "match ID"),
+        gamertag: args[1],
+        platform,
+        locale,
+      });
+    case "search":
+      return await client.Misc.search(requireArgument(args[0], "username"), platform);
+    case "user": {
+      const userCall = userCalls[requireArgument(args[0], "user call")];
+      if (!userCall) throw new UsageError(`Unknown user call: ${args[0]}`);
+      return await userCall(client, args[1] || "", platform, locale);
+    }
+    case "store": {
+      const gameId = API.titleRegistry[game] ? API.titleRegistry[game].title : game;
+      if (bundle) return await client.Store.bundleInformation(gameId, bundle, { locale });
+      return await client.Store.purchasableItems(gameId, storePlatform, { locale });
+    }
+    default:
+      throw new UsageError(`Unknown command: ${command}. See cod-stats --help.`);
+  }
+};
+
+// Output formatting
+
+const isScalar = (value) => value === null || typeof value !== "object";
+
+const yamlScalar = (value) => {
+  if (value === null || value === undefined) return "null";
+  if (typeof value !== "string") return String(value);
+  const plain =
+    /^[A-Za-z_][\w .\/#@-]*$/.test(value) &&
+    !/^(true|false|null|yes|no|on|off|~)$/i.test(value) &&
+    value.trim() === value;
+  return plain ? value : JSON.stringify(value);
+};
+
+const yamlKey = (key) => (/^[\w.-]+$/.test(key) ? key : JSON.stringify(key));
+
+const yamlLines = (value, indent) => {
+  const pad = " ".repeat(indent);
+  const entries = Array.isArray(value)
+    ? value.map((item) => [`-`, item])
+    : Object.entries(value).map(([key, item]) => [`${yamlKey(key)}:`, item]);
+
+  if (entries.length === 0) return [`${pad}${Array.isArray(value) ? "[]" : "{}"}`];
+
+  return entries.flatMap(([prefix, item]) => {
+    if (isScalar(item)) return [`${pad}${prefix} ${yamlScalar(item)}`];
+    if (Object.keys(item).length === 0) {
+      return [`${pad}${prefix} ${Array.isArray(item) ? "[]" : "{}"}`];
+    }
+    return [`${pad}${prefix}`, ...yamlLines(item, indent + 2)];
+  });
+};
+
+const toYaml = (value) =>
+  isScalar(value) ? yamlScalar(value) : yamlLines(value, 0).join("\n");
+
+// Nested objects become dotted columns: { kills: { total: 1 } } -> kills.total
+const flatten = (value, prefix = "", into = {}) => {
+  if (isScalar(value)) {
+    into[prefix || "value"] = value;
+    return into;
+  }
+  Object.entries(value).forEach(([key, item]) =>
+    flatten(item, prefix ? `${prefix}.${key}` : key, into)
+  );
+  return into;
+};
+
+// Lists print one row per item, anything else as key/value pairs
+const toRows = (value) => {
+  if (Array.isArray(value)) return value.map((item) => flatten(item));
+  return Object.entries(flatten(value)).map(([key, item]) => ({ key, value: item }));
+};
+
+const columnsOf = (rows) => {
+  const columns = new Set();
+  rows.forEach((row) => Object.keys(row).forEach((column) => columns.add(column)));
+  return Array.from(columns);
+};
+
+const cellText = (value) => (value === null || value === undefined ? "" : String(value));
+
+const toCsv = (value) => {
+  const rows = toRows(value);
+  const columns = columnsOf(rows);
+  const escape = (text) => (/[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+  return [columns, ...rows.map((row) => columns.map((column) => cellText(row[column])))]
+    .map((cells) => cells.map(escape).join(","))
+    .join("\n");
+};
+
+const maxCellWidth = 40;
+
+const toTable = (value) => {
+  const rows = toRows(value);
+  const columns = columnsOf(rows);
+  const clip = (text) =>
+    text.length > maxCellWidth ? `${text.slice(0, maxCellWidth - 1)}…` : text;
+  const cells = rows.map((row) => columns.map((column) => clip(cellText(row[column]))));
+  const widths = columns.map((column, index) =>
+    Math.max(clip(column).length, ...cells.map((row) => row[index].length))
+  );
+  const line = (values) =>
+    values.map((text, index) => text.padEnd(widths[index])).join("  ").trimEnd();
+  return [
+    line(columns.map(clip)),
+    line(widths.map((width) => "-".repeat(width))),
+    ...cells.map(line),
+  ].join("\n");
+};
+
+const formatters = {
+  json: (value) => JSON.stringify(value, null, 2),
+  yaml: toYaml,
+  csv: toCsv,
+  table: toTable,
+};
+
+// Print the payload's data rather than the { status, data } envelope, and the
+// match list rather than the summary around it.
+const resultOf = (payload, command) => {
+  let data = payload && payload.data !== undefined ? payload.data : payload;
+  if (command === "matches" && data && Array.isArray(data.matches)) data = data.matches;
+  return data === undefined ? null : data;
+};
+
+const parseCommandLine = () => {
+  try {
+    return parseArgs({
+      allowPositionals: true,
+      options: {
+        game: { type: "string", short: "g" },
+        platform: { type: "string", short: "p" },
+        call: { type: "string", short: "c" },
+        format: { type: "string", short: "f" },
+        locale: { type: "string", short: "l" },
+        bundle: { type: "string", short: "b" },
+        config: { type: "string" },
+        help: { type: "boolean", short: "h" },
+      },
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+};
+
+const main = async () => {
+  const { values: flags, positionals } = parseCommandLine();
+
+  const [command, ...args] = positionals;
+  if (flags.help || !command) {
+    console.log(usage);
+    return 0;
+  }
+
+  const config = loadConfig(flags.config);
+  const options = {
+    game: flags.game || config.game || "mw",
+    platform: flags.platform || config.platform || "uno",
+    // The store has no "uno" listing, so it keeps the library default
+    storePlatform: flags.platform || config.platform,
+    call: flags.call || "fullData",
+    format: flags.format || config.format || "json",
+    locale: flags.locale || config.locale,
+    bundle: flags.bundle,
+  };
+
+  const format = formatters[options.format];
+  if (!format) throw new UsageError(`Unknown format: ${options.format}`);
+
+  const ssoToken = process.env.COD_SSO_TOKEN || config.ssoToken;
+  if (!ssoToken) {
+    throw new UsageError("No SSO token. Set COD_SSO_TOKEN or ssoToken in the config file.");
+  }
+
+  const client = API.createClient({ ssoToken, locale: options.locale });
+  const payload = await runCommand(client, command, args, options);
+  console.log(format(resultOf(payload, command)));
+  return 0;
+};
+
+// Set the exit code rather than calling process.exit, which can cut off
+// output that is still being written to a pipe
+if (require.main === module) {
+  main().then(
+    (code) => {
+      process.exitCode = code;
+    },
+    (error) => {
+      console.error(`${error.name || "Error"}: ${error.message}`);
+      process.exitCode = exitCodeFor(error);
+    }
+  );
+}
+
+module.exports = {
+  UsageError,
+  exitCodeFor,
+  loadConfig,
+  toYaml,
+  toCsv,
+  toTable,
+  formatters,
+  resultOf,
+};
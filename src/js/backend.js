@@ -48,6 +48,13 @@ function setupProcessingOptions() {
       triggerActiveTabButton();
     }
   });
+
+  document.getElementById("localeOption").addEventListener("change", function() {
+    if (currentData) {
+      // Re-fetch in the new language
+      triggerActiveTabButton();
+    }
+  });
 }
 
 // Setup format selector
@@ -70,6 +77,7 @@ document.getElementById("fetchStats").addEventListener("click", async () => {
 
   const sanitize = document.getElementById("sanitizeOption").checked;
   const replaceKeys = document.getElementById("replaceKeysOption").checked;
+  const locale = document.getElementById("localeOption").value;
 
   await fetchData("/api/stats", {
     username,
@@ -78,7 +86,8 @@ document.getElementById("fetchStats").addEventListener("click", async () => {
     game,
     apiCall,
     sanitize,
-    replaceKeys
+    replaceKeys,
+    locale
   });
 });
 
@@ -91,6 +100,7 @@ document.getElementById("fetchMatches").addEventListener("click", async () => {
 
   const sanitize = document.getElementById("sanitizeOption").checked;
   const replaceKeys = document.getElementById("replaceKeysOption").checked;
+  const locale = document.getElementById("localeOption").value;
 
   await fetchData("/api/matches", {
     username,
@@ -98,19 +108,22 @@ document.getElementById("fetchMatches").addEventListener("click", async () => {
     platform,
     game,
     sanitize,
-    replaceKeys
+    replaceKeys,
+    locale
   });
 });
 
 // Fetch match details
 document.getElementById("fetchMatchInfo").addEventListener("click", async () => {
   const matchId = document.getElementById("matchId").value.trim();
+  const username = document.getElementById("matchUsername").value.trim();
   const ssoToken = document.getElementById("ssoToken").value.trim();
   const platform = document.getElementById("matchPlatform").value;
   const game = document.getElementById("matchGame").value;
 
   const sanitize = document.getElementById("sanitizeOption").checked;
   const replaceKeys = document.getElementById("replaceKeysOption").checked;
+  const locale = document.getElementById("localeOption").value;
 
   if (!matchId) {
     displayError("Match ID is required");
@@ -119,11 +132,13 @@ document.getElementById("fetchMatchInfo").addEventListener("click", async () =>
 
   await fetchData("/api/matchInfo", {
     matchId,
+    username,
     ssoToken,
     platform,
     game,
     sanitize,
-    replaceKeys
+    replaceKeys,
+    locale
   });
 });
 
@@ -136,6 +151,7 @@ document.getElementById("fetchUserInfo").addEventListener("click", async () => {
 
   const sanitize = document.getElementById("sanitizeOption").checked;
   const replaceKeys = document.getElementById("replaceKeysOption").checked;
+  const locale = document.getElementById("localeOption").value;
 
   // For event feed and identities, username is not required
   if (
@@ -154,7 +170,8 @@ document.getElementById("fetchUserInfo").addEventListener("click", async () => {
     platform,
     userCall,
     sanitize,
-    replaceKeys
+    replaceKeys,
+    locale
   });
 });
 
@@ -166,6 +183,7 @@ document.getElementById("fuzzySearch").addEventListener("click", async () => {
 
   const sanitize = document.getElementById("sanitizeOption").checked;
   const replaceKeys = document.getElementById("replaceKeysOption").checked;
+  const locale = document.getElementById("localeOption").value;
 
   if (!username) {
     displayError("Username is required for search");
@@ -177,7 +195,209 @@ document.getElementById("fuzzySearch").addEventListener("click", async () => {
     ssoToken,
     platform,
     sanitize,
-    replaceKeys
+    replaceKeys,
+    locale
+  });
+});
+
+// Squad report
+document.getElementById("fetchSquad").addEventListener("click", async () => {
+  const username = document.getElementById("squadUsername").value.trim();
+  const ssoToken = document.getElementById("ssoToken").value.trim();
+  const platform = document.getElementById("squadPlatform").value;
+  const game = document.getElementById("squadGame").value;
+  const matches = document.getElementById("squadMatches").value;
+  const locale = document.getElementById("localeOption").value;
+
+  if (!username) {
+    displayError("Username is required for the squad report");
+    return;
+  }
+
+  // One request per scanned match, so allow as long as the server does
+  const data = await fetchData("/api/squad", {
+    username,
+    ssoToken,
+    platform,
+    game,
+    matches,
+    locale
+  }, 120000);
+  if (data) displaySquad(data.data);
+});
+
+// Builds a table with a header row; cells are set as text
+function buildSummaryTable(columns, rows) {
+  const table = document.createElement("table");
+  const header = table.insertRow();
+  columns.forEach(column => {
+    const cell = document.createElement("th");
+    cell.textContent = column;
+    header.appendChild(cell);
+  });
+  rows.forEach(row => {
+    const tableRow = table.insertRow();
+    row.forEach(value => {
+      tableRow.insertCell().textContent =
+        typeof value === "string" ? value : formatSummaryValue(value);
+    });
+  });
+  return table;
+}
+
+// Render the squad report as teammate and composition tables above the raw output
+function displaySquad(report) {
+  const container = document.getElementById("summary");
+  const heading = (text) => {
+    const element = document.createElement("h3");
+    element.textContent = text;
+    return element;
+  };
+
+  const scanned = document.createElement("p");
+  scanned.className = "small-text";
+  scanned.textContent = `${report.matches} matches scanned, ${report.skipped} skipped`;
+
+  const teammates = buildSummaryTable(
+    ["Teammate", "Matches", "Wins", "Win %", "Avg Placement", "Combined K/D", "Their K/D"],
+    report.teammates.map(teammate => [
+      teammate.username || teammate.uno || "Unknown",
+      teammate.matches,
+      teammate.wins,
+      teammate.winRate,
+      teammate.averagePlacement,
+      teammate.kdRatio,
+      teammate.teammate.kdRatio
+    ])
+  );
+
+  const compositions = buildSummaryTable(
+    ["Squad", "Matches", "Wins", "Win %", "Avg Placement", "Squad K/D"],
+    report.compositions.map(composition => [
+      composition.members.map(member => member || "Unknown").join(", "),
+      composition.matches,
+      composition.wins,
+      composition.winRate,
+      composition.averagePlacement,
+      composition.kdRatio
+    ])
+  );
+
+  container.replaceChildren(
+    heading("Teammates"),
+    scanned,
+    teammates,
+    heading("Best Squads"),
+    compositions
+  );
+  container.style.display = "block";
+}
+
+// Player comparison
+const comparePlatforms = ["acti", "battle", "psn", "xbl", "steam", "uno"];
+
+document.getElementById("fetchComparison").addEventListener("click", async () => {
+  const ssoToken = document.getElementById("ssoToken").value.trim();
+  const defaultPlatform = document.getElementById("comparePlatform").value;
+  const game = document.getElementById("compareGame").value;
+  const replaceKeys = document.getElementById("replaceKeysOption").checked;
+  const locale = document.getElementById("localeOption").value;
+
+  // "psn:Name" picks the platform for that line, anything else uses the default
+  const players = document.getElementById("comparePlayers").value
+    .split("\n")
+    .map(line => line.trim())
+    .filter(line => line.length > 0)
+    .map(line => {
+      const separator = line.indexOf(":");
+      const prefix = separator > 0 ? line.slice(0, separator).toLowerCase() : "";
+      return comparePlatforms.includes(prefix)
+        ? { username: line.slice(separator + 1).trim(), platform: prefix }
+        : { username: line, platform: defaultPlatform };
+    });
+
+  if (players.length < 2) {
+    displayError("At least two players are required to compare");
+    return;
+  }
+
+  const data = await fetchData("/api/compare", {
+    players,
+    ssoToken,
+    game,
+    replaceKeys,
+    locale
+  });
+  if (data) displayComparison(data.data);
+});
+
+// Shared by the comparison and squad tables
+function formatSummaryValue(value) {
+  if (value === null || value === undefined) return "-";
+  return Number.isInteger(value) ? String(value) : value.toFixed(2);
+}
+
+// Render the comparison as a table above the raw output
+function displayComparison(comparison) {
+  const container = document.getElementById("summary");
+  const table = document.createElement("table");
+
+  const header = table.insertRow();
+  const corner = document.createElement("th");
+  corner.textContent = "Stat";
+  header.appendChild(corner);
+  comparison.players.forEach(player => {
+    const cell = document.createElement("th");
+    cell.textContent = `${player.username || player.gamertag} (${player.platform})`;
+    if (player.error) cell.title = player.error;
+    header.appendChild(cell);
+  });
+
+  const leadsRow = table.insertRow();
+  leadsRow.insertCell().textContent = "Stats led";
+  comparison.leads.forEach(leads => {
+    leadsRow.insertCell().textContent = String(leads);
+  });
+
+  comparison.stats.forEach(row => {
+    const tableRow = table.insertRow();
+    tableRow.insertCell().textContent = row.label || row.stat;
+    row.values.forEach((value, index) => {
+      const cell = tableRow.insertCell();
+      cell.textContent = formatSummaryValue(value);
+      if (row.leader === index) cell.classList.add("leader");
+      if (index > 0 && row.diffs[index] !== null && row.diffs[index] !== undefined) {
+        const diff = document.createElement("span");
+        diff.className = "diff";
+        diff.textContent = `(${row.diffs[index] > 0 ? "+" : ""}${formatSummaryValue(row.diffs[index])})`;
+        cell.appendChild(diff);
+      }
+    });
+  });
+
+  container.replaceChildren(table);
+  container.style.display = "block";
+}
+
+// Friend actions
+document.getElementById("applyFriendAction").addEventListener("click", async () => {
+  const gamertags = document.getElementById("friendGamertags").value.trim();
+  const ssoToken = document.getElementById("ssoToken").value.trim();
+  const platform = document.getElementById("friendPlatform").value;
+  const action = document.getElementById("friendAction").value;
+  const dryRun = document.getElementById("friendDryRun").checked;
+
+  if (!gamertags) {
+    displayError("At least one gamertag is required");
+    return;
+  }
+
+  await fetchData("/api/friends", {
+    gamertags,
+    ssoToken,
+    platform,
+    action,
+    dryRun
   });
 });
 
@@ -234,7 +454,7 @@ function jsonToYAML(json) {
 }
 
 // Common fetch function
-async function fetchData(endpoint, requestData) {
+async function fetchData(endpoint, requestData, timeout = 30000) {
   const errorElement = document.getElementById("error");
   const loadingElement = document.getElementById("loading");
   const resultsElement = document.getElementById("results");
@@ -242,6 +462,7 @@ async function fetchData(endpoint, requestData) {
   // Reset display
   errorElement.textContent = "";
   resultsElement.style.display = "none";
+  document.getElementById("summary").style.display = "none";
   loadingElement.style.display = "block";
   
   // Hide tutorial if not already dismissed
@@ -262,7 +483,7 @@ async function fetchData(endpoint, requestData) {
   try {
     // Set up the request with a timeout
     const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 30000); // 30 second timeout
+    const timeoutId = setTimeout(() => controller.abort(), timeout); // 30 second timeout by default
     
     const response = await fetch(endpoint, {
       method: "POST",
@@ -294,6 +515,7 @@ async function fetchData(endpoint, requestData) {
     } else {
       currentData = data;
       displayResults(data);
+      return data;
     }
   } catch (error) {
     if (error.name === 'AbortError') {
@@ -350,6 +572,7 @@ function displayError(message) {
   // Clear previous results to ensure they can be redrawn
   resultsElement.style.display = "none";
   resultsElement.textContent = "";
+  document.getElementById("summary").style.display = "none";
 
   // Keep tutorial hidden if previously dismissed
   if (tutorialDismissed) {
@@ -390,6 +613,11 @@ function addEnterKeyListeners() {
       document.getElementById("fuzzySearch").click();
     }
   });
+  document.getElementById("squadUsername").addEventListener("keypress", function(event) {
+    if (event.key === "Enter") {
+      document.getElementById("fetchSquad").click();
+    }
+  });
 }
 
 function triggerActiveTabButton() {
@@ -404,6 +632,12 @@ function triggerActiveTabButton() {
     case "user":
       document.getElementById("fetchUserInfo").click();
       break;
+    case "squad":
+      document.getElementById("fetchSquad").click();
+      break;
+    case "compare":
+      document.getElementById("fetchComparison").click();
+      break;
     case "other":
       document.getElementById("fuzzySearch").click();
       break;
@@ -527,6 +761,7 @@ function syncUsernames() {
     document.getElementById("matchUsername").value = mainUsername;
     document.getElementById("userUsername").value = mainUsername;
     document.getElementById("searchUsername").value = mainUsername;
+    document.getElementById("squadUsername").value = mainUsername;
   }
 
   // Also sync platform across tabs when it changes
@@ -534,6 +769,7 @@ function syncUsernames() {
   document.getElementById("matchPlatform").value = mainPlatform;
   document.getElementById("userPlatform").value = mainPlatform;
   document.getElementById("searchPlatform").value = mainPlatform;
+  document.getElementById("squadPlatform").value = mainPlatform;
 }
 
 // Sync listeners for persistent usernames
@@ -552,6 +788,10 @@ function addSyncListeners() {
     document.getElementById("username").value = this.value;
     syncUsernames();
   });
+  document.getElementById("squadUsername").addEventListener("change", function() {
+    document.getElementById("username").value = this.value;
+    syncUsernames();
+  });
 
   // Add change listeners for platform sync
   document.getElementById("platform").addEventListener("change", syncUsernames);
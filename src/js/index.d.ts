@@ -1,3 +1,21 @@
+/// <reference types="node" />
+/// <reference types="node" />
+import { EventEmitter } from "events";
+import { IncomingHttpHeaders } from "http";
+interface LocaleSettings {
+    code: string;
+    language: string;
+    region: string;
+}
+interface CustomHeaders extends IncomingHttpHeaders {
+    "X-XSRF-TOKEN"?: string | undefined;
+    "X-CSRF-TOKEN"?: string | undefined;
+    "Atvi-Auth"?: string | undefined;
+    ACT_SSO_COOKIE?: string | undefined;
+    atkn?: string | undefined;
+    cookie?: string | undefined;
+    "content-type"?: string | undefined;
+}
 declare enum platforms {
     All = "all",
     Activision = "acti",
@@ -16,6 +34,22 @@ declare enum games {
     ColdWar = "cw",
     NULL = "_"
 }
+declare enum telescopeGames {
+    ModernWarfare2 = "mw2",
+    Warzone2 = "wz2",
+    ModernWarfare3 = "jup",
+    Mobile = "mgl"
+}
+declare enum modes {
+    Multiplayer = "mp",
+    Warzone = "wz",
+    Warzone2 = "wz2",
+    NULL = "_"
+}
+declare enum telescopeModes {
+    Multiplayer = "mp",
+    Outbreak = "ob"
+}
 declare enum friendActions {
     Invite = "invite",
     Uninvite = "uninvite",
@@ -23,96 +57,704 @@ declare enum friendActions {
     Block = "block",
     Unblock = "unblock"
 }
-declare const enableDebugMode: () => boolean;
-declare const disableDebugMode: () => boolean;
-declare const login: (ssoToken: string) => boolean;
-declare const telescopeLogin: (username: string, password: string) => Promise<boolean>;
-declare class WZ {
-    fullData: (gamertag: string, platform: platforms) => Promise<unknown>;
-    combatHistory: (gamertag: string, platform: platforms) => Promise<unknown>;
-    combatHistoryWithDate: (gamertag: string, startTime: number, endTime: number, platform: platforms) => Promise<unknown>;
-    breakdown: (gamertag: string, platform: platforms) => Promise<unknown>;
-    breakdownWithDate: (gamertag: string, startTime: number, endTime: number, platform: platforms) => Promise<unknown>;
-    matchInfo: (matchId: string, platform: platforms) => Promise<unknown>;
-    cleanGameMode: (mode: string) => Promise<string>;
+interface ApiErrorDetails {
+    statusCode?: number;
+    endpoint?: string;
+    payload?: unknown;
 }
-declare class MW {
-    fullData: (gamertag: string, platform: platforms) => Promise<unknown>;
-    combatHistory: (gamertag: string, platform: platforms) => Promise<unknown>;
-    combatHistoryWithDate: (gamertag: string, startTime: number, endTime: number, platform: platforms) => Promise<unknown>;
-    breakdown: (gamertag: string, platform: platforms) => Promise<unknown>;
-    breakdownWithDate: (gamertag: string, startTime: number, endTime: number, platform: platforms) => Promise<unknown>;
-    matchInfo: (matchId: string, platform: platforms) => Promise<unknown>;
-    seasonloot: (gamertag: string, platform: platforms) => Promise<unknown>;
-    mapList: (platform: platforms) => Promise<unknown>;
+declare class ApiError extends Error {
+    statusCode: number | undefined;
+    endpoint: string | undefined;
+    payload: unknown;
+    constructor(message: string, details?: ApiErrorDetails);
 }
-declare class MW2 {
-    fullData: (unoId: string) => Promise<unknown>;
-    matches: (unoId: string) => Promise<unknown>;
-    matchInfo: (unoId: string, matchId: string) => Promise<unknown>;
+declare class NotLoggedInError extends ApiError {
 }
-declare class WZ2 {
-    fullData: (unoId: string) => Promise<unknown>;
-    matches: (unoId: string) => Promise<unknown>;
-    matchInfo: (unoId: string, matchId: string) => Promise<unknown>;
+declare class InvalidTokenError extends ApiError {
 }
-declare class MW3 {
-    fullData: (unoId: string) => Promise<unknown>;
-    matches: (unoId: string) => Promise<unknown>;
-    matchInfo: (unoId: string, matchId: string) => Promise<unknown>;
+declare class RateLimitedError extends ApiError {
+    retryAfter: number | undefined;
+    constructor(message: string, details?: ApiErrorDetails, retryAfter?: number);
 }
-declare class WZM {
-    fullData: (unoId: string) => Promise<unknown>;
-    matches: (unoId: string) => Promise<unknown>;
-    matchInfo: (unoId: string, matchId: string) => Promise<unknown>;
+declare class UpstreamUnavailableError extends ApiError {
 }
-declare class CW {
-    fullData: (gamertag: string, platform: platforms) => Promise<unknown>;
-    combatHistory: (gamertag: string, platform: platforms) => Promise<unknown>;
-    combatHistoryWithDate: (gamertag: string, startTime: number, endTime: number, platform: platforms) => Promise<unknown>;
-    breakdown: (gamertag: string, platform: platforms) => Promise<unknown>;
-    breakdownWithDate: (gamertag: string, startTime: number, endTime: number, platform: platforms) => Promise<unknown>;
-    seasonloot: (gamertag: string, platform: platforms) => Promise<unknown>;
-    mapList: (platform: platforms) => Promise<unknown>;
-    matchInfo: (matchId: string, platform: platforms) => Promise<unknown>;
+declare class PlayerNotFoundError extends ApiError {
+}
+declare class PrivateProfileError extends ApiError {
+}
+declare class InvalidPlatformError extends ApiError {
+}
+declare class UnsupportedOperationError extends ApiError {
+}
+interface TransportRequest {
+    method: "GET" | "POST";
+    url: string;
+    headers: CustomHeaders;
+    body?: string;
+}
+interface TransportResponse {
+    statusCode: number;
+    headers: IncomingHttpHeaders;
+    body: string;
+}
+type Transport = (req: TransportRequest) => Promise<TransportResponse>;
+declare const undiciTransport: Transport;
+declare const createRecordingTransport: (fixtureDir: string, transport?: Transport) => Transport;
+declare const createReplayTransport: (fixtureDir: string) => Transport;
+interface RetryOptions {
+    retries: number;
+    minDelay: number;
+    maxDelay: number;
+    factor: number;
+    jitter: boolean;
+}
+interface StoredTelescopeToken {
+    accessToken: string;
+    unoUsername: string;
+    expiresAt: number;
+}
+interface TokenStore {
+    load: () => Promise<StoredTelescopeToken | undefined>;
+    save: (token: StoredTelescopeToken) => Promise<void>;
+    clear: () => Promise<void>;
+}
+declare const createMemoryTokenStore: () => TokenStore;
+declare const createFileTokenStore: (file: string, secret: string) => TokenStore;
+interface AccountIdentity {
+    title: string;
+    platform: string;
+    username: string;
+    activeDate: Date | undefined;
+}
+interface AccountInfo {
+    identities: AccountIdentity[];
+    platform: string | undefined;
+    username: string | undefined;
+    expiresAt: Date | undefined;
+}
+interface LoginOptions {
+    verify?: boolean;
+}
+interface LoginFunction {
+    (ssoToken: string, options?: {
+        verify?: false;
+    }): boolean;
+    (ssoToken: string, options: {
+        verify: true;
+    }): Promise<AccountInfo>;
+}
+interface CacheEntry {
+    value: unknown;
+    expiresAt: number | null;
+}
+interface CacheStore {
+    get: (key: string) => Promise<CacheEntry | undefined>;
+    set: (key: string, entry: CacheEntry) => Promise<void>;
+    delete: (key: string) => Promise<void>;
+}
+type CacheCategory = "combatHistory" | "fullData" | "matchInfo" | "mapList" | "loot" | "purchasableItems" | "bundleInformation";
+declare const createMemoryCache: (maxEntries?: number, maxBytes?: number) => CacheStore;
+interface FileCacheOptions {
+    maxEntries?: number;
+    sweepEvery?: number;
+}
+interface FileCache extends CacheStore {
+    sweep: () => Promise<void>;
+}
+declare const createFileCache: (cacheDir: string, options?: FileCacheOptions) => FileCache;
+interface RequestEvent {
+    method: TransportRequest["method"];
+    url: string;
+    title: string | undefined;
+    attempt: number;
+}
+interface ResponseEvent extends RequestEvent {
+    status: number;
+    duration: number;
+    bytes: number;
+}
+interface RetryEvent extends RequestEvent {
+    status: number | undefined;
+    delay: number;
+}
+interface RequestErrorEvent extends RequestEvent {
+    status: number | undefined;
+    duration: number;
+    error: ApiError;
+}
+interface ClientOptions {
+    ssoToken?: string;
+    debug?: boolean;
+    transport?: Transport;
+    retry?: Partial<RetryOptions>;
+    concurrency?: number;
+    tokenStore?: TokenStore;
+    refreshTelescopeToken?: boolean;
+    tokenRefreshMargin?: number;
+    cache?: CacheStore;
+    cacheTtls?: Partial<Record<CacheCategory, number>>;
+    locale?: string;
+}
+interface LocaleOptions {
+    locale?: string;
+}
+declare class Client extends EventEmitter {
+    ssoToken: string;
+    telescopeUnoToken: string;
+    telescopeTokenExpiresAt: number | undefined;
+    unoUsername: string | undefined;
+    tokenStore: TokenStore | undefined;
+    tokenRefreshMargin: number;
+    telescopeCredentials: {
+        username: string;
+        password: string;
+    } | undefined;
+    refreshTelescopeToken: boolean;
+    tokenExpiringEmitted: boolean;
+    refreshing: Promise<boolean> | undefined;
+    loggedIn: boolean;
+    locale: string;
+    debugMode: boolean;
+    headers: CustomHeaders;
+    postHeaders: CustomHeaders;
+    telescopeHeaders: CustomHeaders;
+    transport: Transport;
+    retry: RetryOptions;
+    limit: <T>(task: () => Promise<T>) => Promise<T>;
+    cache: CacheStore | undefined;
+    cacheTtls: Record<CacheCategory, number>;
+    inflight: Map<string, {
+        request: Promise<unknown>;
+        waiters: number;
+    }>;
+    unoIds: Map<string, string>;
+    titles: Record<string, PapiTitle | TelescopeTitle>;
+    Warzone: PapiTitle;
+    ModernWarfare: PapiTitle;
+    ModernWarfare2: TelescopeTitle;
+    Warzone2: TelescopeTitle;
+    ModernWarfare3: TelescopeTitle;
+    WarzoneMobile: TelescopeTitle;
+    ColdWar: PapiTitle;
+    Vanguard: PapiTitle;
+    Store: SHOP;
+    Me: USER;
+    Misc: ALT;
+    constructor(options?: ClientOptions);
+    debugListeners: {
+        request: (event: RequestEvent) => void;
+        response: (event: ResponseEvent) => void;
+        retry: (event: RetryEvent) => void;
+        error: (event: RequestErrorEvent) => void;
+    };
+    enableDebugMode: () => boolean;
+    disableDebugMode: () => boolean;
+    setLocale: (locale: string) => void;
+    localeFor: (locale?: string) => LocaleSettings;
+    redact: (url: string) => string;
+    sendTelescopeRequest: (url: string, title?: string) => Promise<unknown>;
+    sendRequest: (url: string, title?: string) => Promise<unknown>;
+    sendPostRequest: (url: string, data: string) => Promise<unknown>;
+    dispatch: (req: TransportRequest, title?: string) => Promise<unknown>;
+    fetchCached: (req: TransportRequest, key: string, title?: string) => Promise<unknown>;
+    send: (req: TransportRequest, title?: string) => Promise<unknown>;
+    backoff: (event: RequestEvent, status?: number, wait?: number) => Promise<void>;
+    resolveUnoId: (gamertag: string, platform: platforms) => Promise<string>;
+    unoIdFromSearch: (gamertag: string, platform: platforms) => Promise<string | undefined>;
+    unoIdFromAccounts: (gamertag: string, platform: platforms) => Promise<string | undefined>;
+    titleRequest: (game: string, operation: TitleOperation, params?: TitleRequestParams) => Promise<unknown>;
+    login: LoginFunction;
+    verifyLogin: () => Promise<AccountInfo>;
+    telescopeLogin: (username: string, password: string) => Promise<boolean>;
+    restoreTelescopeLogin: () => Promise<boolean>;
+    setTelescopeToken: (token: StoredTelescopeToken) => void;
+    checkTelescopeToken: () => Promise<void>;
+}
+declare const createClient: (options?: ClientOptions) => Client;
+interface MatchHistoryOptions {
+    since?: Date | number;
+    until?: Date | number;
+    limit?: number;
+}
+declare class Endpoints {
+    game: games | undefined;
+    gamertag: string | undefined;
+    platform: platforms | undefined;
+    lookupType: string | undefined;
+    mode: string | undefined;
+    locale: string;
+    constructor(game?: games, gamertag?: string, platform?: platforms, mode?: string, lookupType?: string, locale?: string);
+    fullData: () => string;
+    combatHistory: () => string;
+    combatHistoryWithDate: (startTime: number, endTime: number) => string;
+    breakdown: () => string;
+    breakdownWithDate: (startTime: number, endTime: number) => string;
+    matchInfo: (matchId: string) => string;
+    seasonLoot: () => string;
+    mapList: () => string;
+    purchasableItems: (gameId: string) => string;
+    bundleInformation: (gameId: string, bundleId: string) => string;
+    battlePassLoot: (season: number) => string;
+    friendFeed: () => string;
+    eventFeed: (ssoToken: string) => string;
+    loggedInIdentities: (ssoToken: string) => string;
+    codPoints: () => string;
+    connectedAccounts: () => string;
+    settings: () => string;
+    friendsList: () => string;
+    friendAction: (action: friendActions) => string;
+    search: () => string;
 }
-declare class VG {
+interface TelescopeMatchWindow {
+    startTime?: number;
+    endTime?: number;
+    offset?: number;
+    limit?: number;
+}
+interface TelescopeOptions extends TelescopeMatchWindow, LocaleOptions {
+    mode?: telescopeModes;
+}
+interface TelescopeMatchOptions extends TelescopeOptions {
+    platform?: platforms;
+}
+declare class TelescopeEndpoints {
+    game: telescopeGames | undefined;
+    unoId: string | undefined;
+    mode: telescopeModes | undefined;
+    language: string;
+    constructor(game?: telescopeGames, unoId?: string, mode?: telescopeModes, language?: string);
+    query: (window?: TelescopeMatchWindow) => string;
+    lifeTime: () => string;
+    matches: (window?: TelescopeMatchWindow) => string;
+    match: (matchId: string) => string;
+}
+type TitleOperation = "fullData" | "combatHistory" | "combatHistoryWithDate" | "breakdown" | "breakdownWithDate" | "matches" | "matchInfo" | "allMatches" | "seasonloot" | "mapList" | "cleanGameMode";
+interface TitleDefinition {
+    name: string;
+    backend: "papi" | "telescope";
+    title: games | telescopeGames;
+    mode: modes | telescopeModes;
+    modes: (modes | telescopeModes)[];
+    platforms: platforms[];
+    requiresUno: boolean;
+    operations: TitleOperation[];
+}
+declare const titleRegistry: Record<string, TitleDefinition>;
+interface TitleRequestParams {
+    gamertag?: string;
+    platform?: platforms;
+    matchId?: string;
+    startTime?: number;
+    endTime?: number;
+    mode?: telescopeModes;
+    locale?: string;
+}
+declare class Title {
+    client: Client;
+    definition: TitleDefinition;
+    constructor(client: Client, definition: TitleDefinition);
+    supports: (operation: TitleOperation) => boolean;
+    checkSupports: (operation: TitleOperation) => void;
+    checkPlatform: (platform: platforms) => void;
+    request: (url: string) => Promise<unknown>;
+}
+declare class PapiTitle extends Title {
+    endpoint: (gamertag: string, platform: platforms, locale?: string) => Endpoints;
     fullData: (gamertag: string, platform: platforms) => Promise<unknown>;
     combatHistory: (gamertag: string, platform: platforms) => Promise<unknown>;
     combatHistoryWithDate: (gamertag: string, startTime: number, endTime: number, platform: platforms) => Promise<unknown>;
+    allMatches: (gamertag: string, platform: platforms, options?: MatchHistoryOptions) => AsyncGenerator<any, any, unknown>;
     breakdown: (gamertag: string, platform: platforms) => Promise<unknown>;
     breakdownWithDate: (gamertag: string, startTime: number, endTime: number, platform: platforms) => Promise<unknown>;
-    seasonloot: (gamertag: string, platform: platforms) => Promise<unknown>;
+    matchInfo: (matchId: string, platform: platforms, options?: LocaleOptions) => Promise<unknown>;
+    seasonloot: (gamertag: string, platform: platforms, options?: LocaleOptions) => Promise<unknown>;
     mapList: (platform: platforms) => Promise<unknown>;
-    matchInfo: (matchId: string, platform: platforms) => Promise<unknown>;
+    cleanGameMode: (mode: string) => Promise<string>;
+    run: (operation: TitleOperation, params: TitleRequestParams) => Promise<unknown>;
+}
+declare class TelescopeTitle extends Title {
+    endpoint: (unoId: string, mode?: telescopeModes, locale?: string) => TelescopeEndpoints;
+    unoId: (gamertag: string, platform: platforms) => Promise<string>;
+    fullData: (gamertag: string, platform?: platforms, options?: TelescopeOptions) => Promise<unknown>;
+    combatHistory: (gamertag: string, platform?: platforms, options?: TelescopeOptions) => Promise<unknown>;
+    combatHistoryWithDate: (gamertag: string, startTime: number, endTime: number, platform?: platforms, options?: TelescopeOptions) => Promise<unknown>;
+    matches: (unoId: string, options?: TelescopeOptions) => Promise<unknown>;
+    matchInfo: (gamertag: string, matchId: string, options?: TelescopeMatchOptions) => Promise<unknown>;
+    allMatches: (gamertag: string, platform?: platforms, options?: MatchHistoryOptions & TelescopeOptions) => AsyncGenerator<any, any, unknown>;
+    run: (operation: TitleOperation, params: TitleRequestParams) => Promise<unknown>;
 }
 declare class SHOP {
-    purchasableItems: (gameId: string) => Promise<unknown>;
-    bundleInformation: (title: string, bundleId: string) => Promise<unknown>;
-    battlePassLoot: (title: games, season: number, platform: platforms) => Promise<unknown>;
+    client: Client;
+    constructor(client: Client);
+    purchasableItems: (gameId: string, platform?: platforms, options?: LocaleOptions) => Promise<unknown>;
+    bundleInformation: (title: string, bundleId: string, options?: LocaleOptions) => Promise<unknown>;
+    battlePassLoot: (title: games, season: number, platform: platforms, options?: LocaleOptions) => Promise<unknown>;
+}
+interface FriendActionOptions {
+    dryRun?: boolean;
+}
+interface FriendActionResult {
+    gamertag: string;
+    platform: platforms;
+    action: friendActions;
+    status: "applied" | "valid" | "failed";
+    error: string | undefined;
+    errorType: string | undefined;
 }
 declare class USER {
-    friendFeed: (gamertag: string, platform: platforms) => Promise<unknown>;
-    eventFeed: () => Promise<unknown>;
+    client: Client;
+    constructor(client: Client);
+    friendFeed: (gamertag: string, platform: platforms, options?: LocaleOptions) => Promise<unknown>;
+    eventFeed: (options?: LocaleOptions) => Promise<unknown>;
     loggedInIdentities: () => Promise<unknown>;
     codPoints: (gamertag: string, platform: platforms) => Promise<unknown>;
     connectedAccounts: (gamertag: string, platform: platforms) => Promise<unknown>;
     settings: (gamertag: string, platform: platforms) => Promise<unknown>;
+    friendsList: () => Promise<unknown>;
     friendAction: (gamertag: string, platform: platforms, action: friendActions) => Promise<unknown>;
+    batchFriendAction: (gamertags: string[], platform: platforms, action: friendActions, options?: FriendActionOptions) => Promise<FriendActionResult[]>;
+    resolveFriendTarget: (gamertag: string, platform: platforms) => Promise<any>;
 }
+interface CatalogItem {
+    id: string;
+    name: string;
+    class: string;
+    title: string | undefined;
+    kind: "weapon" | "attachment" | "perk";
+}
+declare const weaponCatalog: CatalogItem[];
+declare const lookupItem: (id: string) => CatalogItem | undefined;
+declare const findWeapons: (name: string, title?: string) => CatalogItem[];
+declare const weaponClasses: () => string[];
+declare const weaponsByClass: (weaponClass: string, title?: string) => CatalogItem[];
+type ModeFamily = "Battle Royale" | "Plunder" | "Resurgence" | "Rumble" | "Limited-Time";
+interface GameMode {
+    code: string;
+    name: string;
+    family: ModeFamily;
+    teamSize: number | undefined;
+    ranked: boolean;
+    title: string | undefined;
+}
+declare const classifyMode: (code: string) => GameMode;
+declare const modeCatalog: GameMode[];
+declare const modesByFamily: (family: ModeFamily) => GameMode[];
 declare class ALT {
+    client: Client;
+    constructor(client: Client);
     search: (gamertag: string, platform: platforms) => Promise<unknown>;
     cleanWeapon: (weapon: string) => Promise<string>;
 }
-declare const Warzone: WZ;
-declare const ModernWarfare: MW;
-declare const ModernWarfare2: MW2;
-declare const Warzone2: WZ2;
-declare const ModernWarfare3: MW3;
-declare const WarzoneMobile: WZM;
-declare const ColdWar: CW;
-declare const Vanguard: VG;
+interface PlayerProfile {
+    title: string | undefined;
+    platform: string | undefined;
+    username: string | undefined;
+    level: number | undefined;
+    prestige: number | undefined;
+    stats: Record<string, number>;
+    modes: Record<string, Record<string, number>>;
+    raw: unknown;
+}
+interface MatchPlayer {
+    username: string | undefined;
+    uno: string | undefined;
+    clantag: string | undefined;
+    team: string | undefined;
+    level: number | undefined;
+    stats: Record<string, number>;
+}
+interface MatchTeam {
+    name: string;
+    placement: number | undefined;
+    players: MatchPlayer[];
+    stats: Record<string, number>;
+}
+interface Match {
+    id: string;
+    title: string | undefined;
+    mode: string | undefined;
+    map: string | undefined;
+    start: Date | undefined;
+    end: Date | undefined;
+    result: string | undefined;
+    players: MatchPlayer[];
+    teams: MatchTeam[];
+    stats: Record<string, number>;
+    raw: unknown;
+}
+declare const normalizeProfile: (payload: unknown, title?: string) => PlayerProfile;
+declare const normalizeMatches: (payload: unknown, title?: string) => Match[];
+declare const normalizeMatch: (payload: unknown, title?: string) => Match;
+interface MatchAggregate {
+    matches: number;
+    kills: number;
+    deaths: number;
+    kdRatio: number | undefined;
+    wins: number;
+    winRate: number | undefined;
+    averagePlacement: number | undefined;
+    damagePerMinute: number | undefined;
+    headshotPercentage: number | undefined;
+    totals: Record<string, number>;
+}
+interface ModeAggregate extends MatchAggregate {
+    name: string;
+    family: ModeFamily | undefined;
+}
+interface MapAggregate extends MatchAggregate {
+    name: string;
+}
+interface MatchSummary {
+    id: string;
+    mode: string | undefined;
+    map: string | undefined;
+    start: Date | undefined;
+    value: number;
+    stats: Record<string, number>;
+}
+interface RollingPoint {
+    id: string;
+    start: Date | undefined;
+    kdRatio: number | undefined;
+    winRate: number | undefined;
+    averagePlacement: number | undefined;
+    damagePerMinute: number | undefined;
+}
+interface MatchAnalytics {
+    overall: MatchAggregate;
+    byMode: Record<string, ModeAggregate>;
+    byFamily: Partial<Record<ModeFamily, MatchAggregate>>;
+    byMap: Record<string, MapAggregate>;
+    rolling: RollingPoint[];
+    best: MatchSummary[];
+    worst: MatchSummary[];
+}
+interface AnalyticsOptions {
+    window?: number;
+    rankBy?: string;
+    top?: number;
+}
+declare const analyzeMatches: (matches: Match[], options?: AnalyticsOptions) => MatchAnalytics;
+interface StoreBundle {
+    id: string;
+    name: string;
+    price: number | undefined;
+    details: unknown;
+    raw: unknown;
+}
+interface StoreSnapshot {
+    title: string;
+    platform: string;
+    locale: string;
+    takenAt: string;
+    bundles: StoreBundle[];
+}
+interface StorePriceChange {
+    bundle: StoreBundle;
+    previousPrice: number | undefined;
+    price: number | undefined;
+}
+interface StoreDiff {
+    previous: string | undefined;
+    current: string;
+    added: StoreBundle[];
+    removed: StoreBundle[];
+    priceChanged: StorePriceChange[];
+}
+interface StoreSnapshotOptions extends LocaleOptions {
+    details?: boolean;
+}
+declare const diffStoreSnapshots: (previous: StoreSnapshot | undefined, current: StoreSnapshot) => StoreDiff;
+declare const summarizeStoreDiff: (diff: StoreDiff) => string;
+declare class StoreTracker {
+    client: Client;
+    snapshots: CacheStore;
+    constructor(client: Client, snapshots?: CacheStore);
+    snapshotKey: (title: string, platform: string, locale: string) => string;
+    snapshot: (title: string, platform?: platforms, options?: StoreSnapshotOptions) => Promise<StoreSnapshot>;
+    previous: (title: string, platform?: platforms, options?: LocaleOptions) => Promise<StoreSnapshot | undefined>;
+    track: (title: string, platform?: platforms, options?: StoreSnapshotOptions) => Promise<StoreDiff>;
+}
+declare const createStoreTracker: (client: Client, snapshots?: CacheStore) => StoreTracker;
+interface LobbyPlayer {
+    username: string | undefined;
+    uno: string | undefined;
+    team: string | undefined;
+    level: number | undefined;
+    kills: number;
+    deaths: number;
+    kdRatio: number | undefined;
+    value: number | undefined;
+    lifetime?: {
+        level: number | undefined;
+        kdRatio: number | undefined;
+    };
+}
+interface LobbyTeam {
+    name: string;
+    placement: number | undefined;
+    players: number;
+    kdRatio: number | undefined;
+    lifetimeKdRatio: number | undefined;
+}
+interface LevelSpread {
+    min: number | undefined;
+    max: number | undefined;
+    average: number | undefined;
+    median: number | undefined;
+    spread: number | undefined;
+}
+interface LobbyAnalysis {
+    match: {
+        id: string;
+        title: string | undefined;
+        mode: string | undefined;
+        modeName: string | undefined;
+        map: string | undefined;
+        mapName: string | undefined;
+        start: Date | undefined;
+    };
+    players: number;
+    kdRatio: number | undefined;
+    lifetimeKdRatio: number | undefined;
+    teams: LobbyTeam[];
+    levels: LevelSpread;
+    topPerformers: LobbyPlayer[];
+    requester?: {
+        player: LobbyPlayer;
+        rank: number;
+        of: number;
+    };
+}
+interface LobbyOptions extends LocaleOptions {
+    gamertag?: string;
+    platform?: platforms;
+    rankBy?: string;
+    top?: number;
+    lookup?: boolean;
+    concurrency?: number;
+}
+declare const summarizeLobby: (match: Match, options?: LobbyOptions, profiles?: Map<string, PlayerProfile>) => LobbyAnalysis;
+declare const analyzeLobby: (client: Client, title: string, matchId: string, options?: LobbyOptions) => Promise<LobbyAnalysis>;
+interface SquadRecord {
+    matches: number;
+    wins: number;
+    winRate: number | undefined;
+    averagePlacement: number | undefined;
+    kills: number;
+    deaths: number;
+    kdRatio: number | undefined;
+}
+interface Teammate extends SquadRecord {
+    username: string | undefined;
+    uno: string | undefined;
+    teammate: {
+        kills: number;
+        deaths: number;
+        kdRatio: number | undefined;
+    };
+}
+interface SquadComposition extends SquadRecord {
+    members: (string | undefined)[];
+}
+interface SquadReport {
+    gamertag: string;
+    matches: number;
+    skipped: number;
+    teammates: Teammate[];
+    compositions: SquadComposition[];
+}
+interface SquadOptions extends LocaleOptions {
+    matches?: number;
+    minMatches?: number;
+    top?: number;
+    concurrency?: number;
+}
+declare const summarizeSquad: (gamertag: string, history: Match[], details: Map<string, Match>, options?: SquadOptions) => SquadReport;
+declare const analyzeSquad: (client: Client, title: string, gamertag: string, platform: platforms, options?: SquadOptions) => Promise<SquadReport>;
+interface ComparedPlayer {
+    gamertag: string;
+    platform: platforms;
+    username: string | undefined;
+    level: number | undefined;
+    prestige: number | undefined;
+    error?: string;
+    errorType?: string;
+}
+interface StatComparison {
+    stat: string;
+    values: (number | undefined)[];
+    diffs: (number | undefined)[];
+    leader: number | undefined;
+}
+interface PlayerComparison {
+    title: string;
+    players: ComparedPlayer[];
+    stats: StatComparison[];
+    leads: number[];
+}
+interface ComparisonTarget {
+    gamertag: string;
+    platform: platforms;
+}
+declare const compareProfiles: (title: string, players: ComparedPlayer[], profiles: (PlayerProfile | undefined)[]) => PlayerComparison;
+declare const comparePlayers: (client: Client, title: string, targets: ComparisonTarget[], options?: LocaleOptions) => Promise<PlayerComparison>;
+interface StatSnapshot {
+    title: string;
+    platform: string;
+    gamertag: string;
+    takenAt: string;
+    level: number | undefined;
+    prestige: number | undefined;
+    stats: Record<string, number>;
+}
+interface StatDelta {
+    from: string;
+    to: string;
+    level: number | undefined;
+    prestige: number | undefined;
+    stats: Record<string, number>;
+}
+interface HistoryRange {
+    since?: Date | string;
+    until?: Date | string;
+}
+interface TrackedPlayer {
+    title: string;
+    gamertag: string;
+    platform: platforms;
+}
+interface SnapshotResult extends TrackedPlayer {
+    snapshot?: StatSnapshot;
+    error?: string;
+    errorType?: string;
+}
+declare const diffStatSnapshots: (from: StatSnapshot, to: StatSnapshot) => StatDelta;
+declare class StatHistory {
+    client: Client;
+    historyDir: string;
+    constructor(client: Client, historyDir: string);
+    historyFile: (title: string, gamertag: string, platform: string) => string;
+    snapshot: (title: string, gamertag: string, platform: platforms) => Promise<StatSnapshot>;
+    snapshotAll: (players: TrackedPlayer[]) => Promise<SnapshotResult[]>;
+    schedule: (players: TrackedPlayer[], interval: number, onResults?: ((results: SnapshotResult[]) => void) | undefined) => () => void;
+    series: (title: string, gamertag: string, platform: platforms, range?: HistoryRange) => Promise<StatSnapshot[]>;
+    delta: (title: string, gamertag: string, platform: platforms, range?: HistoryRange) => Promise<StatDelta | undefined>;
+}
+declare const createStatHistory: (client: Client, historyDir: string) => StatHistory;
+declare const login: LoginFunction;
+declare const telescopeLogin: (username: string, password: string) => Promise<boolean>;
+declare const enableDebugMode: () => boolean;
+declare const disableDebugMode: () => boolean;
+declare const Warzone: PapiTitle;
+declare const ModernWarfare: PapiTitle;
+declare const ModernWarfare2: TelescopeTitle;
+declare const Warzone2: TelescopeTitle;
+declare const ModernWarfare3: TelescopeTitle;
+declare const WarzoneMobile: TelescopeTitle;
+declare const ColdWar: PapiTitle;
+declare const Vanguard: PapiTitle;
 declare const Store: SHOP;
 declare const Me: USER;
 declare const Misc: ALT;
-export { login, telescopeLogin, platforms, friendActions, Warzone, ModernWarfare, ModernWarfare2, ModernWarfare3, WarzoneMobile, Warzone2, ColdWar, Vanguard, Store, Me, Misc, enableDebugMode, disableDebugMode, };
+export { createClient, ApiError, NotLoggedInError, InvalidTokenError, RateLimitedError, UpstreamUnavailableError, PlayerNotFoundError, PrivateProfileError, InvalidPlatformError, UnsupportedOperationError, Client, ClientOptions, LocaleOptions, LoginOptions, AccountInfo, AccountIdentity, RetryOptions, RequestEvent, ResponseEvent, RetryEvent, RequestErrorEvent, CacheStore, CacheEntry, CacheCategory, createMemoryCache, FileCacheOptions, FileCache, createFileCache, TokenStore, StoredTelescopeToken, createMemoryTokenStore, createFileTokenStore, MatchHistoryOptions, TelescopeOptions, TelescopeMatchOptions, TitleDefinition, TitleOperation, TitleRequestParams, titleRegistry, telescopeModes, GameMode, ModeFamily, modeCatalog, classifyMode, modesByFamily, CatalogItem, weaponCatalog, lookupItem, findWeapons, weaponClasses, weaponsByClass, PlayerProfile, Match, MatchPlayer, MatchTeam, normalizeProfile, normalizeMatches, normalizeMatch, MatchAnalytics, MatchAggregate, ModeAggregate, MapAggregate, MatchSummary, RollingPoint, AnalyticsOptions, analyzeMatches, LobbyPlayer, LobbyTeam, LevelSpread, LobbyAnalysis, LobbyOptions, analyzeLobby, summarizeLobby, SquadRecord, Teammate, SquadComposition, SquadReport, SquadOptions, analyzeSquad, summarizeSquad, ComparedPlayer, StatComparison, PlayerComparison, ComparisonTarget, comparePlayers, compareProfiles, StatSnapshot, StatDelta, HistoryRange, TrackedPlayer, SnapshotResult, StatHistory, createStatHistory, diffStatSnapshots, StoreBundle, StoreSnapshot, StoreDiff, StorePriceChange, StoreTracker, createStoreTracker, diffStoreSnapshots, summarizeStoreDiff, Transport, TransportRequest, TransportResponse, undiciTransport, createRecordingTransport, createReplayTransport, login, telescopeLogin, platforms, friendActions, FriendActionOptions, FriendActionResult, Warzone, ModernWarfare, ModernWarfare2, ModernWarfare3, WarzoneMobile, Warzone2, ColdWar, Vanguard, Store, Me, Misc, enableDebugMode, disableDebugMode, };
@@ -1,20 +1,38 @@
 "use strict";
 Object.defineProperty(exports, "__esModule", { value: true });
-exports.disableDebugMode = exports.enableDebugMode = exports.Misc = exports.Me = exports.Store = exports.Vanguard = exports.ColdWar = exports.Warzone2 = exports.WarzoneMobile = exports.ModernWarfare3 = exports.ModernWarfare2 = exports.ModernWarfare = exports.Warzone = exports.friendActions = exports.platforms = exports.telescopeLogin = exports.login = void 0;
+exports.Warzone = exports.friendActions = exports.platforms = exports.telescopeLogin = exports.login = exports.createReplayTransport = exports.createRecordingTransport = exports.undiciTransport = exports.summarizeStoreDiff = exports.diffStoreSnapshots = exports.createStoreTracker = exports.StoreTracker = exports.diffStatSnapshots = exports.createStatHistory = exports.StatHistory = exports.compareProfiles = exports.comparePlayers = exports.summarizeSquad = exports.analyzeSquad = exports.summarizeLobby = exports.analyzeLobby = exports.analyzeMatches = exports.normalizeMatch = exports.normalizeMatches = exports.normalizeProfile = exports.weaponsByClass = exports.weaponClasses = exports.findWeapons = exports.lookupItem = exports.weaponCatalog = exports.modesByFamily = exports.classifyMode = exports.modeCatalog = exports.telescopeModes = exports.titleRegistry = exports.createFileTokenStore = exports.createMemoryTokenStore = exports.createFileCache = exports.createMemoryCache = exports.Client = exports.UnsupportedOperationError = exports.InvalidPlatformError = exports.PrivateProfileError = exports.PlayerNotFoundError = exports.UpstreamUnavailableError = exports.RateLimitedError = exports.InvalidTokenError = exports.NotLoggedInError = exports.ApiError = exports.createClient = void 0;
+exports.disableDebugMode = exports.enableDebugMode = exports.Misc = exports.Me = exports.Store = exports.Vanguard = exports.ColdWar = exports.Warzone2 = exports.WarzoneMobile = exports.ModernWarfare3 = exports.ModernWarfare2 = exports.ModernWarfare = void 0;
 const tslib_1 = require("tslib");
+const crypto_1 = require("crypto");
+const events_1 = require("events");
+const fs_1 = require("fs");
+const path_1 = require("path");
 const undici_1 = require("undici");
 const weapon_ids_json_1 = tslib_1.__importDefault(require("../data/weapon-ids.json"));
 const game_modes_json_1 = tslib_1.__importDefault(require("../data/game-modes.json"));
+const replacements_json_1 = tslib_1.__importDefault(require("../data/replacements.json"));
 const userAgent = "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/74.0.3729.169 Safari/537.36";
-let baseCookie = "new_SiteId=cod;ACT_SSO_LOCALE=en_US;country=US;";
-let baseSsoToken = "";
-let debugMode = false;
-let baseHeaders = {
+const locales = {
+    en: { code: "en", language: "english", region: "en_US" },
+    fr: { code: "fr", language: "french", region: "fr_FR" },
+    de: { code: "de", language: "german", region: "de_DE" },
+    es: { code: "es", language: "spanish", region: "es_ES" },
+    it: { code: "it", language: "italian", region: "it_IT" },
+    pt: { code: "pt", language: "portuguese", region: "pt_BR" },
+    pl: { code: "pl", language: "polish", region: "pl_PL" },
+    ru: { code: "ru", language: "russian", region: "ru_RU" },
+    ja: { code: "ja", language: "japanese", region: "ja_JP" },
+    ko: { code: "ko", language: "korean", region: "ko_KR" },
+};
+const defaultLocale = "en";
+const localeCookie = (locale) => `new_SiteId=cod;ACT_SSO_LOCALE=${locale.region};country=${locale.region.split("_")[1]};`;
+let baseCookie = localeCookie(locales[defaultLocale]);
+const baseHeaders = {
     "content-type": "application/json",
     cookie: baseCookie,
     "user-agent": userAgent,
 };
-let baseTelescopeHeaders = {
+const baseTelescopeHeaders = {
     accept: "application/json, text/plain, */*",
     "accept-language": "en-GB,en;q=0.9,en-US;q=0.8,fr;q=0.7,nl;q=0.6,et;q=0.5",
     "cache-control": "no-cache",
@@ -26,7 +44,7 @@ let baseTelescopeHeaders = {
     "sec-fetch-mode": "cors",
     "sec-fetch-site": "same-site",
 };
-let basePostHeaders = {
+const basePostHeaders = {
     "content-type": "text/plain",
     cookie: baseCookie,
     "user-agent": userAgent,
@@ -35,7 +53,6 @@ let baseUrl = "https://profile.callofduty.com";
 let apiPath = "/api/papi-client";
 let baseTelescopeUrl = "https://telescope.callofduty.com";
 let apiTelescopePath = "/api/ts-api";
-let loggedIn = false;
 var platforms;
 (function (platforms) {
     platforms["All"] = "all";
@@ -76,6 +93,7 @@ var telescopeModes;
     telescopeModes["Multiplayer"] = "mp";
     telescopeModes["Outbreak"] = "ob";
 })(telescopeModes || (telescopeModes = {}));
+exports.telescopeModes = telescopeModes;
 var friendActions;
 (function (friendActions) {
     friendActions["Invite"] = "invite";
@@ -90,143 +108,890 @@ var generics;
     generics["STEAM_UNSUPPORTED"] = "Steam platform not supported by this game. Try `battle` instead.";
     generics["UNO_NO_NUMERICAL_ID"] = "You must use a numerical ID when using the platform 'uno'.\nIf using an Activision ID, please use the platform 'acti'.";
 })(generics || (generics = {}));
-let telescopeUnoToken = "";
-const enableDebugMode = () => (debugMode = true);
-exports.enableDebugMode = enableDebugMode;
-const disableDebugMode = () => (debugMode = false);
-exports.disableDebugMode = disableDebugMode;
-const sendTelescopeRequest = (url) => tslib_1.__awaiter(void 0, void 0, void 0, function* () {
-    try {
-        if (!loggedIn)
-            throw new Error("Not Logged In!");
-        let requestUrl = `${baseTelescopeUrl}${apiTelescopePath}${url}`;
-        if (debugMode)
-            console.log(`[DEBUG]`, `Request Uri: ${requestUrl}`);
-        baseTelescopeHeaders.authorization = `Bearer ${telescopeUnoToken}`;
-        const { body, statusCode } = yield (0, undici_1.request)(requestUrl, {
-            headers: baseTelescopeHeaders,
-        });
-        if (statusCode >= 500)
-            throw new Error(`Received status code: '${statusCode}'. Route may be down or not exist.`);
-        let response = yield body.json();
-        return response;
+class ApiError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = new.target.name;
+        this.statusCode = details.statusCode;
+        this.endpoint = details.endpoint;
+        this.payload = details.payload;
     }
-    catch (exception) {
-        throw exception;
+}
+exports.ApiError = ApiError;
+class NotLoggedInError extends ApiError {
+}
+exports.NotLoggedInError = NotLoggedInError;
+class InvalidTokenError extends ApiError {
+}
+exports.InvalidTokenError = InvalidTokenError;
+class RateLimitedError extends ApiError {
+    constructor(message, details = {}, retryAfter) {
+        super(message, details);
+        this.retryAfter = retryAfter;
     }
+}
+exports.RateLimitedError = RateLimitedError;
+class UpstreamUnavailableError extends ApiError {
+}
+exports.UpstreamUnavailableError = UpstreamUnavailableError;
+class PlayerNotFoundError extends ApiError {
+}
+exports.PlayerNotFoundError = PlayerNotFoundError;
+class PrivateProfileError extends ApiError {
+}
+exports.PrivateProfileError = PrivateProfileError;
+class InvalidPlatformError extends ApiError {
+}
+exports.InvalidPlatformError = InvalidPlatformError;
+class UnsupportedOperationError extends ApiError {
+}
+exports.UnsupportedOperationError = UnsupportedOperationError;
+// Accepts "fr", "fr-FR" or "fr_FR".
+const resolveLocale = (locale) => {
+    const settings = locales[locale.toLowerCase().split(/[-_]/)[0]];
+    if (!settings)
+        throw new UnsupportedOperationError(`Locale '${locale}' is not supported.`);
+    return settings;
+};
+const upstreamErrorMessage = (payload) => {
+    if (!payload || typeof payload !== "object")
+        return undefined;
+    if (payload.data && typeof payload.data.message === "string")
+        return payload.data.message;
+    if (payload.error && typeof payload.error.msg === "string")
+        return payload.error.msg;
+    if (typeof payload.message === "string")
+        return payload.message;
+    return undefined;
+};
+// Activision answers most failures with a 200 and a body like
+// `{ status: "error", data: { message: "Not permitted: not allowed" } }`,
+// so the message text is the only reliable signal of what went wrong.
+const toApiError = (statusCode, endpoint, payload) => {
+    const message = upstreamErrorMessage(payload) || `Received status code: '${statusCode}'.`;
+    const details = { statusCode, endpoint, payload };
+    const text = message.toLowerCase();
+    if (statusCode === 401 ||
+        text.includes("not authenticated") ||
+        text.includes("unauthorized") ||
+        text.includes("invalid token"))
+        return new InvalidTokenError(message, details);
+    if (statusCode === 429 || text.includes("rate limit"))
+        return new RateLimitedError(message, details);
+    if (text.includes("user not found") || text.includes("player not found"))
+        return new PlayerNotFoundError(message, details);
+    if (text.includes("not allowed"))
+        return new PrivateProfileError(message, details);
+    if (statusCode === 403)
+        return new InvalidTokenError(message, details);
+    if (statusCode === 404)
+        return new PlayerNotFoundError(message, details);
+    if (statusCode >= 500)
+        return new UpstreamUnavailableError(message, details);
+    return new ApiError(message, details);
+};
+const undiciTransport = (req) => tslib_1.__awaiter(void 0, void 0, void 0, function* () {
+    const { body, statusCode, headers } = yield (0, undici_1.request)(req.url, {
+        method: req.method,
+        headers: req.headers,
+        body: req.body,
+    });
+    return { statusCode, headers, body: yield body.text() };
 });
-const sendRequest = (url) => tslib_1.__awaiter(void 0, void 0, void 0, function* () {
+exports.undiciTransport = undiciTransport;
+// The SSO token ends up in some papi paths (eventFeed, identities), and the
+// telescope token in the bearer header.
+const requestSecrets = (req) => [
+    req.headers.atkn,
+    (req.headers.authorization || "").replace(/^Bearer /, ""),
+].filter((secret) => !!secret);
+const credentialKey = /^(email|password|accessToken|refreshToken|ssoToken)$/i;
+const redactCredentials = (body) => {
+    if (!body)
+        return body;
     try {
-        if (!loggedIn)
-            throw new Error("Not Logged In.");
-        let requestUrl = `${baseUrl}${apiPath}${url}`;
-        if (debugMode)
-            console.log(`[DEBUG]`, `Request Uri: ${requestUrl}`);
-        if (debugMode)
-            console.time("Round Trip");
-        const { body, statusCode } = yield (0, undici_1.request)(requestUrl, {
-            headers: baseHeaders,
-        });
-        if (debugMode)
-            console.timeEnd("Round Trip");
-        if (statusCode >= 500)
-            throw new Error(`Received status code: '${statusCode}'. Route may be down or not exist.`);
-        let response = yield body.json();
-        if (debugMode)
-            console.log(`[DEBUG]`, `Body Size: ${JSON.stringify(response).length} bytes.`);
-        return response;
+        return JSON.stringify(JSON.parse(body), (key, value) => credentialKey.test(key) && typeof value === "string"
+            ? redactedToken
+            : value);
     }
     catch (exception) {
-        throw exception;
+        return body;
     }
+};
+// Fixtures are stored and looked up by the redacted request, so they are
+// safe to commit and replay with any token.
+const redactRequest = (req) => ({
+    method: req.method,
+    url: redactUrl(req.url, requestSecrets(req)),
+    body: redactCredentials(req.body),
 });
-const sendPostRequest = (url, data) => tslib_1.__awaiter(void 0, void 0, void 0, function* () {
-    try {
-        if (!loggedIn)
-            throw new Error("Not Logged In.");
-        let requestUrl = `${baseUrl}${apiPath}${url}`;
-        const { body, statusCode } = yield (0, undici_1.request)(requestUrl, {
-            method: "POST",
-            headers: basePostHeaders,
-            body: data,
-        });
-        if (statusCode >= 500)
-            throw new Error(`Received status code: '${statusCode}'. Route may be down or not exist.`);
-        let response = yield body.json();
+const fixtureName = (request) => (0, crypto_1.createHash)("sha1")
+    .update(`${request.method} ${request.url}\n${request.body || ""}`)
+    .digest("hex") + ".json";
+// Forwards every request to `transport` and saves the request/response pair
+// under `fixtureDir` so it can be served back later by a replay transport.
+const createRecordingTransport = (fixtureDir, transport = undiciTransport) => {
+    return (req) => tslib_1.__awaiter(void 0, void 0, void 0, function* () {
+        const response = yield transport(req);
+        const request = redactRequest(req);
+        const _a = response.headers, { "set-cookie": _cookies } = _a, headers = tslib_1.__rest(_a, ["set-cookie"]);
+        const fixture = {
+            request,
+            response: Object.assign(Object.assign({}, response), { headers, body: redactCredentials(response.body) }),
+        };
+        yield fs_1.promises.mkdir(fixtureDir, { recursive: true });
+        yield fs_1.promises.writeFile((0, path_1.join)(fixtureDir, fixtureName(request)), JSON.stringify(fixture, null, 2));
         return response;
-    }
-    catch (exception) {
-        throw exception;
-    }
-});
-const cleanClientName = (gamertag) => {
-    return encodeURIComponent(gamertag);
+    });
+};
+exports.createRecordingTransport = createRecordingTransport;
+// Serves responses saved by a recording transport without touching the network.
+const createReplayTransport = (fixtureDir) => {
+    return (req) => tslib_1.__awaiter(void 0, void 0, void 0, function* () {
+        let contents;
+        try {
+            contents = yield fs_1.promises.readFile((0, path_1.join)(fixtureDir, fixtureName(redactRequest(req))), "utf8");
+        }
+        catch (exception) {
+            throw new Error(`No recorded fixture for ${req.method} ${redactRequest(req).url}`);
+        }
+        const fixture = JSON.parse(contents);
+        return fixture.response;
+    });
 };
-const login = (ssoToken) => {
-    if (!ssoToken || ssoToken.trim().length <= 0)
-        return false;
-    let fakeXSRF = "68e8b62e-1d9d-4ce1-b93f-cbe5ff31a041";
-    baseHeaders["X-XSRF-TOKEN"] = fakeXSRF;
-    baseHeaders["X-CSRF-TOKEN"] = fakeXSRF;
-    baseHeaders["Atvi-Auth"] = ssoToken;
-    baseHeaders["ACT_SSO_COOKIE"] = ssoToken;
-    baseHeaders["atkn"] = ssoToken;
-    baseHeaders["cookie"] = `${baseCookie}ACT_SSO_COOKIE=${ssoToken};XSRF-TOKEN=${fakeXSRF};API_CSRF_TOKEN=${fakeXSRF};ACT_SSO_EVENT="LOGIN_SUCCESS:1644346543228";ACT_SSO_COOKIE_EXPIRY=1645556143194;comid=cod;ssoDevId=63025d09c69f47dfa2b8d5520b5b73e4;tfa_enrollment_seen=true;gtm.custom.bot.flag=human;`;
-    baseSsoToken = ssoToken;
-    basePostHeaders["X-XSRF-TOKEN"] = fakeXSRF;
-    basePostHeaders["X-CSRF-TOKEN"] = fakeXSRF;
-    basePostHeaders["Atvi-Auth"] = ssoToken;
-    basePostHeaders["ACT_SSO_COOKIE"] = ssoToken;
-    basePostHeaders["atkn"] = ssoToken;
-    basePostHeaders["cookie"] = `${baseCookie}ACT_SSO_COOKIE=${ssoToken};XSRF-TOKEN=${fakeXSRF};API_CSRF_TOKEN=${fakeXSRF};ACT_SSO_EVENT="LOGIN_SUCCESS:1644346543228";ACT_SSO_COOKIE_EXPIRY=1645556143194;comid=cod;ssoDevId=63025d09c69f47dfa2b8d5520b5b73e4;tfa_enrollment_seen=true;gtm.custom.bot.flag=human;`;
-    loggedIn = true;
-    return loggedIn;
+exports.createReplayTransport = createReplayTransport;
+const defaultRetryOptions = {
+    retries: 3,
+    minDelay: 500,
+    maxDelay: 10000,
+    factor: 2,
+    jitter: true,
 };
-exports.login = login;
-const telescope_login_endpoint = "https://wzm-ios-loginservice.prod.demonware.net/v1/login/uno/?titleID=7100&client=shg-cod-jup-bnet";
-const telescopeLogin = (username, password) => tslib_1.__awaiter(void 0, void 0, void 0, function* () {
-    if (!username || !password)
-        return false;
-    const { body, statusCode } = yield (0, undici_1.request)(telescope_login_endpoint, {
-        method: "POST",
-        headers: baseHeaders,
-        body: JSON.stringify({
-            platform: "ios",
-            hardwareType: "ios",
-            auth: {
-                email: username,
-                password: password,
-            },
-            version: 1492,
+const defaultConcurrency = 4;
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+// Retry-After is either a number of seconds or an HTTP date.
+const parseRetryAfter = (value) => {
+    if (Array.isArray(value))
+        value = value[0];
+    if (!value)
+        return undefined;
+    const seconds = Number(value);
+    if (!isNaN(seconds))
+        return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    if (isNaN(date))
+        return undefined;
+    return Math.max(0, date - Date.now());
+};
+const createLimiter = (concurrency) => {
+    let active = 0;
+    const queue = [];
+    const next = () => {
+        if (active >= concurrency || queue.length === 0)
+            return;
+        active++;
+        queue.shift()();
+    };
+    return (task) => new Promise((resolve, reject) => {
+        queue.push(() => task()
+            .then(resolve, reject)
+            .finally(() => {
+            active--;
+            next();
+        }));
+        next();
+    });
+};
+const createMemoryTokenStore = () => {
+    let stored;
+    return {
+        load: () => tslib_1.__awaiter(void 0, void 0, void 0, function* () { return stored; }),
+        save: (token) => tslib_1.__awaiter(void 0, void 0, void 0, function* () {
+            stored = token;
+        }),
+        clear: () => tslib_1.__awaiter(void 0, void 0, void 0, function* () {
+            stored = undefined;
+        }),
+    };
+};
+exports.createMemoryTokenStore = createMemoryTokenStore;
+// Keeps the token encrypted at rest (AES-256-GCM, key derived from `secret`)
+// so a restart doesn't force a fresh email/password login.
+const createFileTokenStore = (file, secret) => {
+    const deriveKey = (salt) => (0, crypto_1.scryptSync)(secret, salt, 32);
+    return {
+        load: () => tslib_1.__awaiter(void 0, void 0, void 0, function* () {
+            let contents;
+            try {
+                contents = yield fs_1.promises.readFile(file, "utf8");
+            }
+            catch (exception) {
+                if (exception.code === "ENOENT")
+                    return undefined;
+                throw exception;
+            }
+            const { salt, iv, tag, data } = JSON.parse(contents);
+            const decipher = (0, crypto_1.createDecipheriv)("aes-256-gcm", deriveKey(Buffer.from(salt, "base64")), Buffer.from(iv, "base64"));
+            decipher.setAuthTag(Buffer.from(tag, "base64"));
+            const plain = Buffer.concat([
+                decipher.update(Buffer.from(data, "base64")),
+                decipher.final(),
+            ]);
+            return JSON.parse(plain.toString("utf8"));
+        }),
+        save: (token) => tslib_1.__awaiter(void 0, void 0, void 0, function* () {
+            const salt = (0, crypto_1.randomBytes)(16);
+            const iv = (0, crypto_1.randomBytes)(12);
+            const cipher = (0, crypto_1.createCipheriv)("aes-256-gcm", deriveKey(salt), iv);
+            const data = Buffer.concat([
+                cipher.update(JSON.stringify(token), "utf8"),
+                cipher.final(),
+            ]);
+            const contents = {
+                salt: salt.toString("base64"),
+                iv: iv.toString("base64"),
+                tag: cipher.getAuthTag().toString("base64"),
+                data: data.toString("base64"),
+            };
+            yield fs_1.promises.writeFile(file, JSON.stringify(contents), { mode: 0o600 });
+        }),
+        clear: () => tslib_1.__awaiter(void 0, void 0, void 0, function* () {
+            try {
+                yield fs_1.promises.unlink(file);
+            }
+            catch (exception) {
+                if (exception.code !== "ENOENT")
+                    throw exception;
+            }
+        }),
+    };
+};
+exports.createFileTokenStore = createFileTokenStore;
+const defaultTokenRefreshMargin = 5 * 60 * 1000;
+// ACT_SSO_COOKIE is base64 of `<account id>:<expiry in ms>:<signature>`.
+const ssoTokenExpiry = (ssoToken) => {
+    const parts = Buffer.from(ssoToken, "base64").toString("utf8").split(":");
+    const expiry = Number(parts[1]);
+    if (parts.length < 3 || !expiry || isNaN(expiry))
+        return undefined;
+    return new Date(expiry);
+};
+const hour = 60 * 60 * 1000;
+const defaultCacheTtls = {
+    combatHistory: 60 * 1000,
+    fullData: 10 * 60 * 1000,
+    matchInfo: Infinity,
+    mapList: 24 * hour,
+    loot: 24 * hour,
+    purchasableItems: 6 * hour,
+    bundleInformation: 6 * hour,
+};
+// Anything not matched here (identities, feeds, settings, search...) is
+// never cached.
+const cacheCategories = [
+    [/\/fullMatch\/|\/cr\/v1\/title\/[^/]+\/match\//, "matchInfo"],
+    [/\/matches\/|\/cr\/v1\/title\/[^/]+\/matches\?/, "combatHistory"],
+    [/\/profile\/type\/|\/cr\/v1\/title\/[^/]+\/lifetime\?/, "fullData"],
+    [/\/communityMapData\//, "mapList"],
+    [/\/loot\//, "loot"],
+    [/\/purchasable\//, "purchasableItems"],
+    [/\/inventory\/v1\/title\/[^/]+\/bundle\//, "bundleInformation"],
+];
+const cacheCategory = (url) => {
+    const match = cacheCategories.find(([pattern]) => pattern.test(url));
+    return match && match[1];
+};
+// Keys are scoped to a hash of the token the request was sent with, so one
+// account can never be served another account's cached or in-flight data.
+const cacheKey = (req) => {
+    const token = req.headers.authorization || req.headers.atkn || "";
+    const identity = (0, crypto_1.createHash)("sha256").update(token).digest("hex");
+    return `${identity.slice(0, 16)}:${req.url}`;
+};
+// Payloads are parsed JSON, so a JSON round trip copies them exactly.
+const clonePayload = (payload) => payload === undefined ? undefined : JSON.parse(JSON.stringify(payload));
+const isFresh = (entry) => entry.expiresAt === null || entry.expiresAt > Date.now();
+// Entries are kept serialized so callers can't mutate each other's results.
+// The least recently used are evicted past `maxEntries` or `maxBytes` of
+// serialized entries, whichever comes first.
+const createMemoryCache = (maxEntries = 500, maxBytes = 32 * 1024 * 1024) => {
+    const entries = new Map();
+    let bytes = 0;
+    const remove = (key) => {
+        const stored = entries.get(key);
+        if (stored === undefined)
+            return;
+        bytes -= Buffer.byteLength(stored);
+        entries.delete(key);
+    };
+    return {
+        get: (key) => tslib_1.__awaiter(void 0, void 0, void 0, function* () {
+            const stored = entries.get(key);
+            if (stored === undefined)
+                return undefined;
+            const entry = JSON.parse(stored);
+            if (!isFresh(entry)) {
+                remove(key);
+                return undefined;
+            }
+            // Re-insert to mark as most recently used.
+            entries.delete(key);
+            entries.set(key, stored);
+            return entry;
+        }),
+        set: (key, entry) => tslib_1.__awaiter(void 0, void 0, void 0, function* () {
+            remove(key);
+            const stored = JSON.stringify(entry);
+            entries.set(key, stored);
+            bytes += Buffer.byteLength(stored);
+            while (entries.size > maxEntries ||
+                (bytes > maxBytes && entries.size > 1))
+                remove(entries.keys().next().value);
         }),
+        delete: (key) => tslib_1.__awaiter(void 0, void 0, void 0, function* () {
+            remove(key);
+        }),
+    };
+};
+exports.createMemoryCache = createMemoryCache;
+// Expired entries are removed when they're read. Every `sweepEvery` writes, a
+// sweep removes the rest of the expired ones and then the least recently
+// written beyond `maxEntries`.
+const createFileCache = (cacheDir, options = {}) => {
+    const { maxEntries = 5000, sweepEvery = 100 } = options;
+    let writes = 0;
+    const entryPath = (key) => (0, path_1.join)(cacheDir, (0, crypto_1.createHash)("sha1").update(key).digest("hex") + ".json");
+    const remove = (file) => fs_1.promises.unlink(file).catch(() => undefined);
+    const sweep = () => tslib_1.__awaiter(void 0, void 0, void 0, function* () {
+        const names = yield fs_1.promises.readdir(cacheDir).catch(() => []);
+        const kept = [];
+        for (const name of names.filter((name) => name.endsWith(".json"))) {
+            const file = (0, path_1.join)(cacheDir, name);
+            try {
+                const entry = JSON.parse(yield fs_1.promises.readFile(file, "utf8"));
+                if (!isFresh(entry))
+                    yield remove(file);
+                else
+                    kept.push({ file, written: (yield fs_1.promises.stat(file)).mtimeMs });
+            }
+            catch (exception) {
+                // Removed meanwhile, or still being written.
+            }
+        }
+        kept.sort((a, b) => a.written - b.written);
+        for (const { file } of kept.slice(0, Math.max(0, kept.length - maxEntries)))
+            yield remove(file);
     });
-    if (statusCode === 200) {
-        let response = (yield body.json());
-        let unoToken = response.umbrella.accessToken;
-        telescopeUnoToken = unoToken;
-    }
-    else if (statusCode === 403) {
-        let errorResponse = (yield body.json());
-        console.error("Error Logging In:", errorResponse.error.msg);
+    return {
+        get: (key) => tslib_1.__awaiter(void 0, void 0, void 0, function* () {
+            let entry;
+            try {
+                entry = JSON.parse(yield fs_1.promises.readFile(entryPath(key), "utf8"));
+            }
+            catch (exception) {
+                return undefined;
+            }
+            if (isFresh(entry))
+                return entry;
+            yield remove(entryPath(key));
+            return undefined;
+        }),
+        set: (key, entry) => tslib_1.__awaiter(void 0, void 0, void 0, function* () {
+            yield fs_1.promises.mkdir(cacheDir, { recursive: true });
+            yield fs_1.promises.writeFile(entryPath(key), JSON.stringify(entry));
+            if (++writes % sweepEvery === 0)
+                yield sweep();
+        }),
+        delete: (key) => tslib_1.__awaiter(void 0, void 0, void 0, function* () {
+            yield remove(entryPath(key));
+        }),
+        sweep,
+    };
+};
+exports.createFileCache = createFileCache;
+const redactedToken = "[REDACTED]";
+const redactUrl = (url, secrets) => secrets
+    .filter((secret) => secret.length > 0)
+    .reduce((redacted, secret) => redacted
+    .split(secret)
+    .join(redactedToken)
+    .split(encodeURIComponent(secret))
+    .join(redactedToken), url);
+class Client extends events_1.EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.ssoToken = "";
+        this.telescopeUnoToken = "";
+        this.tokenRefreshMargin = defaultTokenRefreshMargin;
+        this.refreshTelescopeToken = false;
+        this.tokenExpiringEmitted = false;
+        this.loggedIn = false;
+        this.locale = defaultLocale;
+        this.debugMode = false;
+        this.headers = Object.assign({}, baseHeaders);
+        this.postHeaders = Object.assign({}, basePostHeaders);
+        this.telescopeHeaders = Object.assign({}, baseTelescopeHeaders);
+        this.transport = undiciTransport;
+        this.retry = Object.assign({}, defaultRetryOptions);
+        this.limit = createLimiter(defaultConcurrency);
+        this.cacheTtls = Object.assign({}, defaultCacheTtls);
+        this.inflight = new Map();
+        this.unoIds = new Map();
+        this.titles = Object.fromEntries(Object.entries(titleRegistry).map(([key, definition]) => [
+            key,
+            createTitle(this, definition),
+        ]));
+        this.Warzone = this.titles.wz;
+        this.ModernWarfare = this.titles.mw;
+        this.ModernWarfare2 = this.titles.mw2;
+        this.Warzone2 = this.titles.wz2;
+        this.ModernWarfare3 = this.titles.mw3;
+        this.WarzoneMobile = this.titles.wzm;
+        this.ColdWar = this.titles.cw;
+        this.Vanguard = this.titles.vg;
+        this.Store = new SHOP(this);
+        this.Me = new USER(this);
+        this.Misc = new ALT(this);
+        // Debug output is just a console subscriber to the request events.
+        this.debugListeners = {
+            request: (event) => console.log(`[DEBUG]`, `Request Uri: ${event.url}`),
+            response: (event) => console.log(`[DEBUG]`, `${event.status} ${event.url} in ${event.duration}ms, body size: ${event.bytes} bytes.`),
+            retry: (event) => console.log(`[DEBUG]`, `Retrying ${event.url} in ${Math.round(event.delay)}ms (attempt ${event.attempt + 1}/${this.retry.retries}).`),
+            error: (event) => console.log(`[DEBUG]`, `${event.error.name}: ${event.error.message}`),
+        };
+        this.enableDebugMode = () => {
+            if (!this.debugMode)
+                for (const [event, listener] of Object.entries(this.debugListeners))
+                    this.on(event, listener);
+            return (this.debugMode = true);
+        };
+        this.disableDebugMode = () => {
+            for (const [event, listener] of Object.entries(this.debugListeners))
+                this.off(event, listener);
+            return (this.debugMode = false);
+        };
+        this.setLocale = (locale) => {
+            const previous = localeCookie(this.localeFor());
+            this.locale = resolveLocale(locale).code;
+            for (const headers of [this.headers, this.postHeaders])
+                if (headers.cookie)
+                    headers.cookie = headers.cookie.replace(previous, localeCookie(this.localeFor()));
+        };
+        // A per-call locale wins over the client's.
+        this.localeFor = (locale) => resolveLocale(locale || this.locale);
+        this.redact = (url) => redactUrl(url, [this.ssoToken, this.telescopeUnoToken]);
+        this.sendTelescopeRequest = (url, title) => tslib_1.__awaiter(this, void 0, void 0, function* () {
+            try {
+                if (!this.loggedIn)
+                    throw new NotLoggedInError("Not Logged In!");
+                yield this.checkTelescopeToken();
+                let requestUrl = `${baseTelescopeUrl}${apiTelescopePath}${url}`;
+                this.telescopeHeaders.authorization = `Bearer ${this.telescopeUnoToken}`;
+                let response = yield this.dispatch({
+                    method: "GET",
+                    url: requestUrl,
+                    headers: this.telescopeHeaders,
+                }, title);
+                return response;
+            }
+            catch (exception) {
+                throw exception;
+            }
+        });
+        this.sendRequest = (url, title) => tslib_1.__awaiter(this, void 0, void 0, function* () {
+            try {
+                if (!this.loggedIn)
+                    throw new NotLoggedInError("Not Logged In.");
+                let requestUrl = `${baseUrl}${apiPath}${url}`;
+                let response = yield this.dispatch({
+                    method: "GET",
+                    url: requestUrl,
+                    headers: this.headers,
+                }, title);
+                return response;
+            }
+            catch (exception) {
+                throw exception;
+            }
+        });
+        this.sendPostRequest = (url, data) => tslib_1.__awaiter(this, void 0, void 0, function* () {
+            try {
+                if (!this.loggedIn)
+                    throw new NotLoggedInError("Not Logged In.");
+                let requestUrl = `${baseUrl}${apiPath}${url}`;
+                let response = yield this.dispatch({
+                    method: "POST",
+                    url: requestUrl,
+                    headers: this.postHeaders,
+                    body: data,
+                });
+                return response;
+            }
+            catch (exception) {
+                throw exception;
+            }
+        });
+        // Shared by the papi-client and telescope backends so both follow the same
+        // retry policy and count against the same concurrency limit. Only the
+        // transport call takes a slot, so a request backing off doesn't hold one.
+        this.dispatch = (req, title) => tslib_1.__awaiter(this, void 0, void 0, function* () {
+            if (req.method !== "GET")
+                return yield this.send(req, title);
+            // Identical GETs made while one is already on the wire share its result.
+            // Once it is shared, every caller gets a copy so none can mutate another's.
+            const key = cacheKey(req);
+            const pending = this.inflight.get(key);
+            if (pending) {
+                pending.waiters++;
+                return clonePayload(yield pending.request);
+            }
+            const inflight = {
+                request: this.fetchCached(req, key, title).finally(() => this.inflight.delete(key)),
+                waiters: 0,
+            };
+            this.inflight.set(key, inflight);
+            const payload = yield inflight.request;
+            return inflight.waiters > 0 ? clonePayload(payload) : payload;
+        });
+        this.fetchCached = (req, key, title) => tslib_1.__awaiter(this, void 0, void 0, function* () {
+            const category = cacheCategory(req.url);
+            const ttl = category ? this.cacheTtls[category] : 0;
+            if (!this.cache || !ttl)
+                return yield this.send(req, title);
+            const cached = yield this.cache.get(key);
+            if (cached && isFresh(cached))
+                return cached.value;
+            const value = yield this.send(req, title);
+            yield this.cache.set(key, {
+                value,
+                expiresAt: ttl === Infinity ? null : Date.now() + ttl,
+            });
+            return value;
+        });
+        // The final failure, after any retries, is reported to `error` listeners.
+        // Node throws on an `error` event nobody listens to, hence the check.
+        this.send = (req, title) => tslib_1.__awaiter(this, void 0, void 0, function* () {
+            const url = this.redact(req.url);
+            const started = Date.now();
+            let attempt = 0;
+            try {
+                for (;; attempt++) {
+                    const event = { method: req.method, url, title, attempt };
+                    // A failed POST may already have been applied upstream, so only a 429
+                    // (which guarantees it was not) is safe to send again.
+                    const canRetry = attempt < this.retry.retries;
+                    let res;
+                    this.emit("request", event);
+                    const sent = Date.now();
+                    try {
+                        res = yield this.limit(() => this.transport(req));
+                    }
+                    catch (exception) {
+                        if (canRetry && req.method !== "POST") {
+                            yield this.backoff(event);
+                            continue;
+                        }
+                        throw new UpstreamUnavailableError(exception instanceof Error ? exception.message : String(exception), { endpoint: url });
+                    }
+                    const { body, statusCode, headers } = res;
+                    const response = Object.assign(Object.assign({}, event), { status: statusCode, duration: Date.now() - sent, bytes: Buffer.byteLength(body) });
+                    this.emit("response", response);
+                    if (statusCode === 429) {
+                        const retryAfter = parseRetryAfter(headers["retry-after"]);
+                        // A server asking for a longer wait than we'd ever back off for is
+                        // better reported to the caller than slept through.
+                        if (canRetry &&
+                            (retryAfter === undefined || retryAfter <= this.retry.maxDelay)) {
+                            yield this.backoff(event, statusCode, retryAfter);
+                            continue;
+                        }
+                        throw new RateLimitedError(`Received status code: '${statusCode}'. Rate limited, try again later.`, { statusCode, endpoint: url, payload: body }, retryAfter);
+                    }
+                    if (statusCode >= 500) {
+                        if (canRetry && req.method !== "POST") {
+                            yield this.backoff(event, statusCode);
+                            continue;
+                        }
+                        throw new UpstreamUnavailableError(`Received status code: '${statusCode}'. Route may be down or not exist.`, { statusCode, endpoint: url, payload: body });
+                    }
+                    let payload;
+                    try {
+                        payload = JSON.parse(body);
+                    }
+                    catch (exception) {
+                        // An expired SSO token gets redirected to the HTML login page.
+                        if (statusCode < 400)
+                            throw new InvalidTokenError("Failed to parse API response. The SSO token is likely invalid or expired.", { statusCode, endpoint: url, payload: body });
+                        throw toApiError(statusCode, url, body);
+                    }
+                    if (statusCode >= 400 || (payload && payload.status === "error"))
+                        throw toApiError(statusCode, url, payload);
+                    return payload;
+                }
+            }
+            catch (exception) {
+                if (exception instanceof ApiError && this.listenerCount("error") > 0) {
+                    const event = {
+                        method: req.method,
+                        url,
+                        title,
+                        attempt,
+                        status: exception.statusCode,
+                        duration: Date.now() - started,
+                        error: exception,
+                    };
+                    this.emit("error", event);
+                }
+                throw exception;
+            }
+        });
+        this.backoff = (event, status, wait) => tslib_1.__awaiter(this, void 0, void 0, function* () {
+            let delay = wait;
+            if (delay === undefined) {
+                const { minDelay, maxDelay, factor, jitter } = this.retry;
+                delay = Math.min(maxDelay, minDelay * Math.pow(factor, event.attempt));
+                if (jitter)
+                    delay = delay / 2 + Math.random() * (delay / 2);
+            }
+            const retry = Object.assign(Object.assign({}, event), { status, delay });
+            this.emit("retry", retry);
+            yield sleep(delay);
+        });
+        // Uno IDs never change, so each lookup is remembered for the life of the
+        // client, and in the response cache when one is configured.
+        this.resolveUnoId = (gamertag, platform) => tslib_1.__awaiter(this, void 0, void 0, function* () {
+            const key = `uno:${platform}:${gamertag.toLowerCase()}`;
+            const known = this.unoIds.get(key);
+            if (known)
+                return known;
+            const cached = this.cache ? yield this.cache.get(key) : undefined;
+            const unoId = (cached && cached.value) ||
+                (yield this.unoIdFromSearch(gamertag, platform)) ||
+                (yield this.unoIdFromAccounts(gamertag, platform));
+            if (!unoId)
+                throw new PlayerNotFoundError(`Could not find the Uno ID of '${gamertag}' on ${platform}.`);
+            this.unoIds.set(key, unoId);
+            if (this.cache && !cached)
+                yield this.cache.set(key, { value: unoId, expiresAt: null });
+            return unoId;
+        });
+        this.unoIdFromSearch = (gamertag, platform) => tslib_1.__awaiter(this, void 0, void 0, function* () {
+            const results = unwrap(yield this.Misc.search(gamertag, platform).catch(() => undefined));
+            return numericId(pick(searchMatch(results, gamertag), "accountId", "unoId", "uno"));
+        });
+        this.unoIdFromAccounts = (gamertag, platform) => tslib_1.__awaiter(this, void 0, void 0, function* () {
+            const accounts = unwrap(yield this.Me.connectedAccounts(gamertag, platform));
+            const uno = pick(accounts, "uno", "unoId", "accountId");
+            return numericId(uno && typeof uno === "object" ? pick(uno, "id", "username") : uno);
+        });
+        this.titleRequest = (game, operation, params = {}) => tslib_1.__awaiter(this, void 0, void 0, function* () {
+            const title = this.titles[game];
+            if (!title)
+                throw new UnsupportedOperationError(`Game '${game}' is not supported.`);
+            title.checkSupports(operation);
+            return yield title.run(operation, params);
+        });
+        this.login = ((ssoToken, options = {}) => {
+            if (!ssoToken || ssoToken.trim().length <= 0)
+                return options.verify
+                    ? Promise.reject(new InvalidTokenError("No SSO token was provided."))
+                    : false;
+            let fakeXSRF = "68e8b62e-1d9d-4ce1-b93f-cbe5ff31a041";
+            this.headers["X-XSRF-TOKEN"] = fakeXSRF;
+            this.headers["X-CSRF-TOKEN"] = fakeXSRF;
+            this.headers["Atvi-Auth"] = ssoToken;
+            this.headers["ACT_SSO_COOKIE"] = ssoToken;
+            this.headers["atkn"] = ssoToken;
+            this.headers["cookie"] = `${localeCookie(this.localeFor())}ACT_SSO_COOKIE=${ssoToken};XSRF-TOKEN=${fakeXSRF};API_CSRF_TOKEN=${fakeXSRF};ACT_SSO_EVENT="LOGIN_SUCCESS:1644346543228";ACT_SSO_COOKIE_EXPIRY=1645556143194;comid=cod;ssoDevId=63025d09c69f47dfa2b8d5520b5b73e4;tfa_enrollment_seen=true;gtm.custom.bot.flag=human;`;
+            this.ssoToken = ssoToken;
+            this.postHeaders["X-XSRF-TOKEN"] = fakeXSRF;
+            this.postHeaders["X-CSRF-TOKEN"] = fakeXSRF;
+            this.postHeaders["Atvi-Auth"] = ssoToken;
+            this.postHeaders["ACT_SSO_COOKIE"] = ssoToken;
+            this.postHeaders["atkn"] = ssoToken;
+            this.postHeaders["cookie"] = `${localeCookie(this.localeFor())}ACT_SSO_COOKIE=${ssoToken};XSRF-TOKEN=${fakeXSRF};API_CSRF_TOKEN=${fakeXSRF};ACT_SSO_EVENT="LOGIN_SUCCESS:1644346543228";ACT_SSO_COOKIE_EXPIRY=1645556143194;comid=cod;ssoDevId=63025d09c69f47dfa2b8d5520b5b73e4;tfa_enrollment_seen=true;gtm.custom.bot.flag=human;`;
+            this.loggedIn = true;
+            if (options.verify)
+                return this.verifyLogin();
+            return this.loggedIn;
+        });
+        // Confirms the SSO token against the loggedInIdentities endpoint and
+        // describes the account it belongs to. A rejected token logs the client out.
+        this.verifyLogin = () => tslib_1.__awaiter(this, void 0, void 0, function* () {
+            const expiresAt = ssoTokenExpiry(this.ssoToken);
+            if (expiresAt && expiresAt.getTime() <= Date.now()) {
+                this.loggedIn = false;
+                throw new InvalidTokenError(`The SSO token expired on ${expiresAt.toISOString()}.`);
+            }
+            let response;
+            try {
+                response = yield this.Me.loggedInIdentities();
+            }
+            catch (exception) {
+                if (!(exception instanceof InvalidTokenError))
+                    throw exception;
+                this.loggedIn = false;
+                throw new InvalidTokenError("The SSO token was rejected. It is likely invalid or expired.", exception);
+            }
+            const identities = ((response.data && response.data.titleIdentities) ||
+                []).map((identity) => ({
+                title: identity.title,
+                platform: identity.platform,
+                username: identity.username,
+                activeDate: identity.activeDate
+                    ? new Date(Number(identity.activeDate) * 1000)
+                    : undefined,
+            }));
+            // The most recently active identity is the best guess at the main account.
+            const primary = identities
+                .slice()
+                .sort((a, b) => (b.activeDate ? b.activeDate.getTime() : 0) -
+                (a.activeDate ? a.activeDate.getTime() : 0))[0];
+            return {
+                identities,
+                platform: primary && primary.platform,
+                username: primary && primary.username,
+                expiresAt,
+            };
+        });
+        this.telescopeLogin = (username, password) => tslib_1.__awaiter(this, void 0, void 0, function* () {
+            if (!username || !password)
+                return false;
+            const { body, statusCode } = yield this.transport({
+                method: "POST",
+                url: telescope_login_endpoint,
+                headers: this.headers,
+                body: JSON.stringify({
+                    platform: "ios",
+                    hardwareType: "ios",
+                    auth: {
+                        email: username,
+                        password: password,
+                    },
+                    version: 1492,
+                }),
+            });
+            if (statusCode === 200) {
+                let response = JSON.parse(body);
+                const { accessToken, unoUsername, accessExpiresIn } = response.umbrella;
+                this.setTelescopeToken({
+                    accessToken,
+                    unoUsername,
+                    expiresAt: Date.now() + accessExpiresIn * 1000,
+                });
+                if (this.refreshTelescopeToken)
+                    this.telescopeCredentials = { username, password };
+                if (this.tokenStore)
+                    yield this.tokenStore.save({
+                        accessToken,
+                        unoUsername,
+                        expiresAt: this.telescopeTokenExpiresAt,
+                    });
+            }
+            else if (statusCode === 403) {
+                let errorResponse = JSON.parse(body);
+                console.error("Error Logging In:", errorResponse.error.msg);
+            }
+            this.loggedIn = statusCode == 200;
+            return this.loggedIn;
+        });
+        // Picks up a telescope token saved by an earlier process, if it hasn't lapsed.
+        this.restoreTelescopeLogin = () => tslib_1.__awaiter(this, void 0, void 0, function* () {
+            if (!this.tokenStore)
+                return false;
+            const stored = yield this.tokenStore.load();
+            if (!stored || stored.expiresAt <= Date.now())
+                return false;
+            this.setTelescopeToken(stored);
+            this.loggedIn = true;
+            return this.loggedIn;
+        });
+        this.setTelescopeToken = (token) => {
+            this.telescopeUnoToken = token.accessToken;
+            this.unoUsername = token.unoUsername;
+            this.telescopeTokenExpiresAt = token.expiresAt;
+            this.tokenExpiringEmitted = false;
+        };
+        // Re-authenticates shortly before the token lapses when credentials were
+        // kept, otherwise warns once through a `tokenExpiring` event.
+        this.checkTelescopeToken = () => tslib_1.__awaiter(this, void 0, void 0, function* () {
+            if (this.telescopeTokenExpiresAt === undefined)
+                return;
+            const remaining = this.telescopeTokenExpiresAt - Date.now();
+            if (remaining > this.tokenRefreshMargin)
+                return;
+            if (this.telescopeCredentials) {
+                const { username, password } = this.telescopeCredentials;
+                if (!this.refreshing)
+                    this.refreshing = this.telescopeLogin(username, password).finally(() => (this.refreshing = undefined));
+                if (yield this.refreshing)
+                    return;
+                throw new InvalidTokenError("Failed to refresh the telescope token.");
+            }
+            if (!this.tokenExpiringEmitted) {
+                this.tokenExpiringEmitted = true;
+                this.emit("tokenExpiring", {
+                    unoUsername: this.unoUsername,
+                    expiresAt: new Date(this.telescopeTokenExpiresAt),
+                });
+            }
+            if (remaining <= 0)
+                throw new InvalidTokenError("The telescope token has expired. Log in again.");
+        });
+        if (options.transport)
+            this.transport = options.transport;
+        if (options.retry)
+            this.retry = Object.assign(Object.assign({}, this.retry), options.retry);
+        if (options.concurrency)
+            this.limit = createLimiter(options.concurrency);
+        if (options.debug)
+            this.enableDebugMode();
+        if (options.locale)
+            this.setLocale(options.locale);
+        if (options.cache)
+            this.cache = options.cache;
+        if (options.cacheTtls)
+            this.cacheTtls = Object.assign(Object.assign({}, this.cacheTtls), options.cacheTtls);
+        if (options.tokenStore)
+            this.tokenStore = options.tokenStore;
+        if (options.refreshTelescopeToken)
+            this.refreshTelescopeToken = true;
+        if (options.tokenRefreshMargin !== undefined)
+            this.tokenRefreshMargin = options.tokenRefreshMargin;
+        if (options.ssoToken)
+            this.login(options.ssoToken);
     }
-    loggedIn = statusCode == 200;
-    return loggedIn;
-});
-exports.telescopeLogin = telescopeLogin;
+}
+exports.Client = Client;
+const createClient = (options = {}) => new Client(options);
+exports.createClient = createClient;
+const numericId = (value) => value !== undefined && /^\d+$/.test(String(value))
+    ? String(value)
+    : undefined;
+// Search is fuzzy, so only trust an exact name or a single result.
+const searchMatch = (results, gamertag) => {
+    if (!Array.isArray(results))
+        return undefined;
+    return (results.find((result) => String(result.username).toLowerCase() === gamertag.toLowerCase()) || (results.length === 1 ? results[0] : undefined));
+};
+const cleanClientName = (gamertag) => {
+    return encodeURIComponent(gamertag);
+};
+const telescope_login_endpoint = "https://wzm-ios-loginservice.prod.demonware.net/v1/login/uno/?titleID=7100&client=shg-cod-jup-bnet";
 const handleLookupType = (platform) => {
     return platform === platforms.Uno ? "id" : "gamer";
 };
 const checkForValidPlatform = (platform, gamertag) => {
     if (!Object.values(platforms).includes(platform))
-        throw new Error(`Platform '${platform}' is not valid.\nTry one of the following:\n${JSON.stringify(Object.values(platforms), null, 2)}`);
+        throw new InvalidPlatformError(`Platform '${platform}' is not valid.\nTry one of the following:\n${JSON.stringify(Object.values(platforms), null, 2)}`);
     if (gamertag && isNaN(Number(gamertag)) && platform === platforms.Uno)
-        throw new Error(generics.UNO_NO_NUMERICAL_ID);
+        throw new InvalidPlatformError(generics.UNO_NO_NUMERICAL_ID);
 };
 const mapGamertagToPlatform = (gamertag, platform, steamSupport = false) => {
     checkForValidPlatform(platform, gamertag);
     const lookupType = handleLookupType(platform);
     if (!steamSupport && platform === platforms.Steam)
-        throw new Error(generics.STEAM_UNSUPPORTED);
+        throw new InvalidPlatformError(generics.STEAM_UNSUPPORTED);
     if (platform == platforms.Battlenet ||
         platform == platforms.Activision ||
         platform == platforms.Uno)
@@ -236,22 +1001,62 @@ const mapGamertagToPlatform = (gamertag, platform, steamSupport = false) => {
         platform = platforms.Uno;
     return { gamertag, _platform: platform, lookupType };
 };
+const toMillis = (time) => time instanceof Date ? time.getTime() : time;
+// combatHistoryWithDate only returns the most recent page before `end`, so
+// walk backwards by moving `end` to the start of the oldest match seen.
+function walkMatchHistory(fetchWindow, options) {
+    return tslib_1.__asyncGenerator(this, arguments, function* walkMatchHistory_1() {
+        const since = options.since !== undefined ? toMillis(options.since) : 0;
+        const seen = new Set();
+        let end = options.until !== undefined ? toMillis(options.until) : 0;
+        let count = 0;
+        while (true) {
+            // Same payload shapes and match fields as normalizeMatches accepts.
+            const page = unwrap(yield tslib_1.__await(fetchWindow(0, end)));
+            const matches = (Array.isArray(page) ? page : page.matches) || [];
+            let oldest;
+            let found = false;
+            for (const match of matches) {
+                const id = pick(match, "matchID", "matchId", "id");
+                // Without an ID a match can't be told apart from the next page's.
+                if (id === undefined || seen.has(String(id)))
+                    continue;
+                seen.add(String(id));
+                found = true;
+                const start = toDate(pick(match, "utcStartSeconds", "startTime", "start"));
+                if (start) {
+                    const started = start.getTime();
+                    if (oldest === undefined || started < oldest)
+                        oldest = started;
+                    if (started < since)
+                        continue;
+                }
+                yield yield tslib_1.__await(match);
+                if (options.limit && ++count >= options.limit)
+                    return yield tslib_1.__await(void 0);
+            }
+            if (!found || oldest === undefined || oldest < since)
+                return yield tslib_1.__await(void 0);
+            end = oldest;
+        }
+    });
+}
 class Endpoints {
-    constructor(game, gamertag, platform, mode, lookupType) {
+    constructor(game, gamertag, platform, mode, lookupType, locale = defaultLocale) {
         this.fullData = () => `/stats/cod/v1/title/${this.game}/platform/${this.platform}/${this.lookupType}/${this.gamertag}/profile/type/${this.mode}`;
         this.combatHistory = () => `/crm/cod/v2/title/${this.game}/platform/${this.platform}/${this.lookupType}/${this.gamertag}/matches/${this.mode}/start/0/end/0/details`;
         this.combatHistoryWithDate = (startTime, endTime) => `/crm/cod/v2/title/${this.game}/platform/${this.platform}/${this.lookupType}/${this.gamertag}/matches/${this.mode}/start/${startTime}/end/${endTime}/details`;
         this.breakdown = () => `/crm/cod/v2/title/${this.game}/platform/${this.platform}/${this.lookupType}/${this.gamertag}/matches/${this.mode}/start/0/end/0`;
         this.breakdownWithDate = (startTime, endTime) => `/crm/cod/v2/title/${this.game}/platform/${this.platform}/${this.lookupType}/${this.gamertag}/matches/${this.mode}/start/${startTime}/end/${endTime}`;
-        this.matchInfo = (matchId) => `/crm/cod/v2/title/${this.game}/platform/${this.platform}/fullMatch/${this.mode}/${matchId}/en`;
-        this.seasonLoot = () => `/loot/title/${this.game}/platform/${this.platform}/${this.lookupType}/${this.gamertag}/status/en`;
+        this.matchInfo = (matchId) => `/crm/cod/v2/title/${this.game}/platform/${this.platform}/fullMatch/wz/${matchId}/${this.locale}`;
+        this.seasonLoot = () => `/loot/title/${this.game}/platform/${this.platform}/${this.lookupType}/${this.gamertag}/status/${this.locale}`;
         this.mapList = () => `/ce/v1/title/${this.game}/platform/${this.platform}/gameType/${this.mode}/communityMapData/availability`;
-        this.purchasableItems = (gameId) => `/inventory/v1/title/${gameId}/platform/psn/purchasable/public/en`;
-        this.bundleInformation = (gameId, bundleId) => `/inventory/v1/title/${gameId}/bundle/${bundleId}/en`;
-        this.battlePassLoot = (season) => `/loot/title/${this.game}/platform/${this.platform}/list/loot_season_${season}/en`;
-        this.friendFeed = () => `/userfeed/v1/friendFeed/platform/${this.platform}/${this.lookupType}/${this.gamertag}/friendFeedEvents/en`;
-        this.eventFeed = () => `/userfeed/v1/friendFeed/rendered/en/${baseSsoToken}`;
-        this.loggedInIdentities = () => `/crm/cod/v2/identities/${baseSsoToken}`;
+        this.purchasableItems = (gameId) => `/inventory/v1/title/${gameId}/platform/${this.platform}/purchasable/public/${this.locale}`;
+        this.bundleInformation = (gameId, bundleId) => `/inventory/v1/title/${gameId}/bundle/${bundleId}/${this.locale}`;
+        this.battlePassLoot = (season) => `/loot/title/${this.game}/platform/${this.platform}/list/loot_season_${season}/${this.locale}`;
+        this.friendFeed = () => `/userfeed/v1/friendFeed/platform/${this.platform}/${this.lookupType}/${this.gamertag}/friendFeedEvents/${this.locale}`;
+        this.eventFeed = (ssoToken) => `/userfeed/v1/friendFeed/rendered/${this.locale}/${ssoToken}`;
+        this.loggedInIdentities = (ssoToken) => `/crm/cod/v2/identities/${ssoToken}`;
         this.codPoints = () => `/inventory/v1/title/mw/platform/${this.platform}/${this.lookupType}/${this.gamertag}/currency`;
         this.connectedAccounts = () => `/crm/cod/v2/accounts/platform/${this.platform}/${this.lookupType}/${this.gamertag}`;
         this.settings = () => `/preferences/v1/platform/${this.platform}/${this.lookupType}/${this.gamertag}/list`;
@@ -263,426 +1068,377 @@ class Endpoints {
         this.platform = platform;
         this.lookupType = lookupType;
         this.mode = mode;
+        this.locale = locale;
     }
 }
 class TelescopeEndpoints {
-    constructor(game, unoId, mode) {
-        this.lifeTime = () => `/cr/v1/title/${this.game}/lifetime?language=english&unoId=${this.unoId}`;
-        this.matches = () => `/cr/v1/title/${this.game}/matches?language=english&unoId=${this.unoId}`;
-        this.match = (matchId) => `/cr/v1/title/${this.game}/match/${matchId}?language=english&unoId=${this.unoId}`;
+    constructor(game, unoId, mode, language = locales[defaultLocale].language) {
+        this.query = (window = {}) => {
+            let query = `language=${this.language}&unoId=${this.unoId}`;
+            if (this.mode)
+                query += `&mode=${this.mode}`;
+            for (const [key, value] of Object.entries(window))
+                if (value !== undefined)
+                    query += `&${key}=${value}`;
+            return query;
+        };
+        this.lifeTime = () => `/cr/v1/title/${this.game}/lifetime?${this.query()}`;
+        this.matches = (window = {}) => `/cr/v1/title/${this.game}/matches?${this.query(window)}`;
+        this.match = (matchId) => `/cr/v1/title/${this.game}/match/${matchId}?${this.query()}`;
         this.game = game;
         this.unoId = unoId;
         this.mode = mode;
+        this.language = language;
     }
 }
-class WZ {
-    constructor() {
-        this.fullData = (gamertag, platform) => { var gamertag, platform, lookupType; return tslib_1.__awaiter(this, void 0, void 0, function* () {
-            ({
-                gamertag,
-                _platform: platform,
-                lookupType
-            } = mapGamertagToPlatform(gamertag, platform));
-            const endpoint = new Endpoints(games.ModernWarfare, gamertag, platform, modes.Warzone, lookupType);
-            return yield sendRequest(endpoint.fullData());
-        }); };
-        this.combatHistory = (gamertag, platform) => { var gamertag, platform, lookupType; return tslib_1.__awaiter(this, void 0, void 0, function* () {
-            ({
-                gamertag,
-                _platform: platform,
-                lookupType
-            } = mapGamertagToPlatform(gamertag, platform));
-            const endpoint = new Endpoints(games.ModernWarfare, gamertag, platform, modes.Warzone, lookupType);
-            return yield sendRequest(endpoint.combatHistory());
-        }); };
-        this.combatHistoryWithDate = (gamertag, startTime, endTime, platform) => { var gamertag, platform, lookupType; return tslib_1.__awaiter(this, void 0, void 0, function* () {
-            ({
-                gamertag,
-                _platform: platform,
-                lookupType
-            } = mapGamertagToPlatform(gamertag, platform));
-            const endpoint = new Endpoints(games.ModernWarfare, gamertag, platform, modes.Warzone, lookupType);
-            return yield sendRequest(endpoint.combatHistoryWithDate(startTime, endTime));
-        }); };
-        this.breakdown = (gamertag, platform) => { var gamertag, platform, lookupType; return tslib_1.__awaiter(this, void 0, void 0, function* () {
-            ({
-                gamertag,
-                _platform: platform,
-                lookupType
-            } = mapGamertagToPlatform(gamertag, platform));
-            const endpoint = new Endpoints(games.ModernWarfare, gamertag, platform, modes.Warzone, lookupType);
-            return yield sendRequest(endpoint.breakdown());
-        }); };
-        this.breakdownWithDate = (gamertag, startTime, endTime, platform) => { var gamertag, platform, lookupType; return tslib_1.__awaiter(this, void 0, void 0, function* () {
-            ({
-                gamertag,
-                _platform: platform,
-                lookupType
-            } = mapGamertagToPlatform(gamertag, platform));
-            const endpoint = new Endpoints(games.ModernWarfare, gamertag, platform, modes.Warzone, lookupType);
-            return yield sendRequest(endpoint.breakdownWithDate(startTime, endTime));
-        }); };
-        this.matchInfo = (matchId, platform) => { var gamertag, platform, lookupType; return tslib_1.__awaiter(this, void 0, void 0, function* () {
-            ({
-                gamertag,
-                _platform: platform,
-                lookupType
-            } = mapGamertagToPlatform("", platform));
-            const endpoint = new Endpoints(games.ModernWarfare, gamertag, platform, modes.Warzone, lookupType);
-            return yield sendRequest(endpoint.matchInfo(matchId));
-        }); };
-        this.cleanGameMode = (mode) => tslib_1.__awaiter(this, void 0, void 0, function* () {
-            //@ts-ignore
-            const foundMode = game_modes_json_1.default["modes"][mode];
-            if (!foundMode)
-                return mode;
-            return foundMode;
-        });
-    }
-}
-class MW {
-    constructor() {
-        this.fullData = (gamertag, platform) => { var gamertag, platform, lookupType; return tslib_1.__awaiter(this, void 0, void 0, function* () {
-            ({
-                gamertag,
-                _platform: platform,
-                lookupType
-            } = mapGamertagToPlatform(gamertag, platform));
-            const endpoint = new Endpoints(games.ModernWarfare, gamertag, platform, modes.Multiplayer, lookupType);
-            return yield sendRequest(endpoint.fullData());
-        }); };
-        this.combatHistory = (gamertag, platform) => { var gamertag, platform, lookupType; return tslib_1.__awaiter(this, void 0, void 0, function* () {
-            ({
-                gamertag,
-                _platform: platform,
-                lookupType
-            } = mapGamertagToPlatform(gamertag, platform));
-            const endpoint = new Endpoints(games.ModernWarfare, gamertag, platform, modes.Multiplayer, lookupType);
-            return yield sendRequest(endpoint.combatHistory());
-        }); };
-        this.combatHistoryWithDate = (gamertag, startTime, endTime, platform) => { var gamertag, platform, lookupType; return tslib_1.__awaiter(this, void 0, void 0, function* () {
-            ({
-                gamertag,
-                _platform: platform,
-                lookupType
-            } = mapGamertagToPlatform(gamertag, platform));
-            const endpoint = new Endpoints(games.ModernWarfare, gamertag, platform, modes.Multiplayer, lookupType);
-            return yield sendRequest(endpoint.combatHistoryWithDate(startTime, endTime));
-        }); };
-        this.breakdown = (gamertag, platform) => { var gamertag, platform, lookupType; return tslib_1.__awaiter(this, void 0, void 0, function* () {
-            ({
-                gamertag,
-                _platform: platform,
-                lookupType
-            } = mapGamertagToPlatform(gamertag, platform));
-            const endpoint = new Endpoints(games.ModernWarfare, gamertag, platform, modes.Multiplayer, lookupType);
-            return yield sendRequest(endpoint.breakdown());
-        }); };
-        this.breakdownWithDate = (gamertag, startTime, endTime, platform) => { var gamertag, platform, lookupType; return tslib_1.__awaiter(this, void 0, void 0, function* () {
-            ({
-                gamertag,
-                _platform: platform,
-                lookupType
-            } = mapGamertagToPlatform(gamertag, platform));
-            const endpoint = new Endpoints(games.ModernWarfare, gamertag, platform, modes.Multiplayer, lookupType);
-            return yield sendRequest(endpoint.breakdownWithDate(startTime, endTime));
-        }); };
-        this.matchInfo = (matchId, platform) => { var gamertag, platform, lookupType; return tslib_1.__awaiter(this, void 0, void 0, function* () {
-            ({
-                gamertag,
-                _platform: platform,
-                lookupType
-            } = mapGamertagToPlatform("", platform));
-            const endpoint = new Endpoints(games.ModernWarfare, gamertag, platform, modes.Multiplayer, lookupType);
-            return yield sendRequest(endpoint.matchInfo(matchId));
-        }); };
-        this.seasonloot = (gamertag, platform) => { var gamertag, platform, lookupType; return tslib_1.__awaiter(this, void 0, void 0, function* () {
-            ({
-                gamertag,
-                _platform: platform,
-                lookupType
-            } = mapGamertagToPlatform(gamertag, platform));
-            const endpoint = new Endpoints(games.ModernWarfare, gamertag, platform, modes.Multiplayer, lookupType);
-            return yield sendRequest(endpoint.seasonLoot());
-        }); };
-        this.mapList = (platform) => { var gamertag, platform, lookupType; return tslib_1.__awaiter(this, void 0, void 0, function* () {
-            ({
-                gamertag,
-                _platform: platform,
-                lookupType
-            } = mapGamertagToPlatform("", platform));
-            const endpoint = new Endpoints(games.ModernWarfare, gamertag, platform, modes.Multiplayer, lookupType);
-            return yield sendRequest(endpoint.mapList());
-        }); };
+// The platforms each backend accepted before titles moved to the registry.
+// papi has never served Steam accounts.
+const papiPlatforms = [
+    platforms.All,
+    platforms.Activision,
+    platforms.Battlenet,
+    platforms.PSN,
+    platforms.XBOX,
+    platforms.Uno,
+    platforms.ios,
+];
+// Telescope looks players up by Uno ID whatever their platform; the platform
+// only matters when a gamertag has to be resolved to one.
+const telescopePlatforms = [...papiPlatforms, platforms.Steam];
+const papiOperations = [
+    "fullData",
+    "combatHistory",
+    "combatHistoryWithDate",
+    "breakdown",
+    "breakdownWithDate",
+    "matchInfo",
+    "allMatches",
+];
+const telescopeOperations = [
+    "fullData",
+    "combatHistory",
+    "combatHistoryWithDate",
+    "matches",
+    "matchInfo",
+    "allMatches",
+];
+// Keyed by the game codes the web UI sends. Adding a title only needs an
+// entry here; the client and the server routes both dispatch from it.
+const titleRegistry = {
+    wz: {
+        name: "Warzone",
+        backend: "papi",
+        title: games.ModernWarfare,
+        mode: modes.Warzone,
+        modes: [modes.Warzone],
+        platforms: papiPlatforms,
+        requiresUno: false,
+        operations: [...papiOperations, "cleanGameMode"],
+    },
+    mw: {
+        name: "Modern Warfare",
+        backend: "papi",
+        title: games.ModernWarfare,
+        mode: modes.Multiplayer,
+        modes: [modes.Multiplayer],
+        platforms: papiPlatforms,
+        requiresUno: false,
+        operations: [...papiOperations, "seasonloot", "mapList"],
+    },
+    cw: {
+        name: "Cold War",
+        backend: "papi",
+        title: games.ColdWar,
+        mode: modes.Multiplayer,
+        modes: [modes.Multiplayer],
+        platforms: papiPlatforms,
+        requiresUno: false,
+        operations: [...papiOperations, "seasonloot", "mapList"],
+    },
+    vg: {
+        name: "Vanguard",
+        backend: "papi",
+        title: games.Vanguard,
+        mode: modes.Multiplayer,
+        modes: [modes.Multiplayer],
+        platforms: papiPlatforms,
+        requiresUno: false,
+        operations: [...papiOperations, "seasonloot", "mapList"],
+    },
+    mw2: {
+        name: "Modern Warfare 2",
+        backend: "telescope",
+        title: telescopeGames.ModernWarfare2,
+        mode: telescopeModes.Multiplayer,
+        modes: [telescopeModes.Multiplayer, telescopeModes.Outbreak],
+        platforms: telescopePlatforms,
+        requiresUno: true,
+        operations: telescopeOperations,
+    },
+    wz2: {
+        name: "Warzone 2",
+        backend: "telescope",
+        title: telescopeGames.Warzone2,
+        mode: telescopeModes.Multiplayer,
+        modes: [telescopeModes.Multiplayer],
+        platforms: telescopePlatforms,
+        requiresUno: true,
+        operations: telescopeOperations,
+    },
+    mw3: {
+        name: "Modern Warfare 3",
+        backend: "telescope",
+        title: telescopeGames.ModernWarfare3,
+        mode: telescopeModes.Multiplayer,
+        modes: [telescopeModes.Multiplayer, telescopeModes.Outbreak],
+        platforms: telescopePlatforms,
+        requiresUno: true,
+        operations: telescopeOperations,
+    },
+    wzm: {
+        name: "Warzone Mobile",
+        backend: "telescope",
+        title: telescopeGames.Mobile,
+        mode: telescopeModes.Multiplayer,
+        modes: [telescopeModes.Multiplayer],
+        platforms: telescopePlatforms,
+        requiresUno: true,
+        operations: telescopeOperations,
+    },
+};
+exports.titleRegistry = titleRegistry;
+class Title {
+    constructor(client, definition) {
+        this.supports = (operation) => this.definition.operations.includes(operation);
+        this.checkSupports = (operation) => {
+            if (!this.supports(operation))
+                throw new UnsupportedOperationError(`'${operation}' is not available for ${this.definition.name}.`);
+        };
+        // The registry decides which platforms a title dispatches for, on both
+        // backends.
+        this.checkPlatform = (platform) => {
+            checkForValidPlatform(platform);
+            if (platform === platforms.Steam &&
+                !this.definition.platforms.includes(platform))
+                throw new InvalidPlatformError(generics.STEAM_UNSUPPORTED);
+            if (!this.definition.platforms.includes(platform))
+                throw new InvalidPlatformError(`Platform '${platform}' is not available for ${this.definition.name}.`);
+        };
+        // Tags the request with the title so request events can report it.
+        this.request = (url) => this.definition.backend === "telescope"
+            ? this.client.sendTelescopeRequest(url, this.definition.name)
+            : this.client.sendRequest(url, this.definition.name);
+        this.client = client;
+        this.definition = definition;
     }
 }
-class MW2 {
+class PapiTitle extends Title {
     constructor() {
-        this.fullData = (unoId) => tslib_1.__awaiter(this, void 0, void 0, function* () {
-            var { gamertag } = mapGamertagToPlatform(unoId, platforms.Uno, true);
-            const endpoint = new TelescopeEndpoints(telescopeGames.ModernWarfare2, gamertag, telescopeModes.Multiplayer);
-            return yield sendTelescopeRequest(endpoint.lifeTime());
+        super(...arguments);
+        this.endpoint = (gamertag, platform, locale) => {
+            this.checkPlatform(platform);
+            var { gamertag, _platform: platform, lookupType, } = mapGamertagToPlatform(gamertag, platform, this.definition.platforms.includes(platforms.Steam));
+            return new Endpoints(this.definition.title, gamertag, platform, this.definition.mode, lookupType, this.client.localeFor(locale).code);
+        };
+        this.fullData = (gamertag, platform) => tslib_1.__awaiter(this, void 0, void 0, function* () {
+            this.checkSupports("fullData");
+            const endpoint = this.endpoint(gamertag, platform);
+            return yield this.request(endpoint.fullData());
         });
-        this.matches = (unoId) => tslib_1.__awaiter(this, void 0, void 0, function* () {
-            var { gamertag } = mapGamertagToPlatform(unoId, platforms.Uno, true);
-            const endpoint = new TelescopeEndpoints(telescopeGames.ModernWarfare2, gamertag, telescopeModes.Multiplayer);
-            return yield sendTelescopeRequest(endpoint.matches());
+        this.combatHistory = (gamertag, platform) => tslib_1.__awaiter(this, void 0, void 0, function* () {
+            this.checkSupports("combatHistory");
+            const endpoint = this.endpoint(gamertag, platform);
+            return yield this.request(endpoint.combatHistory());
         });
-        this.matchInfo = (unoId, matchId) => tslib_1.__awaiter(this, void 0, void 0, function* () {
-            var { gamertag } = mapGamertagToPlatform(unoId, platforms.Uno, true);
-            const endpoint = new TelescopeEndpoints(telescopeGames.ModernWarfare2, gamertag, telescopeModes.Multiplayer);
-            return yield sendTelescopeRequest(endpoint.match(matchId));
+        this.combatHistoryWithDate = (gamertag, startTime, endTime, platform) => tslib_1.__awaiter(this, void 0, void 0, function* () {
+            this.checkSupports("combatHistoryWithDate");
+            const endpoint = this.endpoint(gamertag, platform);
+            return yield this.request(endpoint.combatHistoryWithDate(startTime, endTime));
         });
-    }
-}
-class WZ2 {
-    constructor() {
-        this.fullData = (unoId) => tslib_1.__awaiter(this, void 0, void 0, function* () {
-            var { gamertag } = mapGamertagToPlatform(unoId, platforms.Uno, true);
-            const endpoint = new TelescopeEndpoints(telescopeGames.Warzone2, gamertag, telescopeModes.Multiplayer);
-            return yield sendTelescopeRequest(endpoint.lifeTime());
+        this.allMatches = (gamertag, platform, options = {}) => {
+            this.checkSupports("allMatches");
+            return walkMatchHistory((startTime, endTime) => this.combatHistoryWithDate(gamertag, startTime, endTime, platform), options);
+        };
+        this.breakdown = (gamertag, platform) => tslib_1.__awaiter(this, void 0, void 0, function* () {
+            this.checkSupports("breakdown");
+            const endpoint = this.endpoint(gamertag, platform);
+            return yield this.request(endpoint.breakdown());
         });
-        this.matches = (unoId) => tslib_1.__awaiter(this, void 0, void 0, function* () {
-            var { gamertag } = mapGamertagToPlatform(unoId, platforms.Uno, true);
-            const endpoint = new TelescopeEndpoints(telescopeGames.Warzone2, gamertag, telescopeModes.Multiplayer);
-            return yield sendTelescopeRequest(endpoint.matches());
+        this.breakdownWithDate = (gamertag, startTime, endTime, platform) => tslib_1.__awaiter(this, void 0, void 0, function* () {
+            this.checkSupports("breakdownWithDate");
+            const endpoint = this.endpoint(gamertag, platform);
+            return yield this.request(endpoint.breakdownWithDate(startTime, endTime));
         });
-        this.matchInfo = (unoId, matchId) => tslib_1.__awaiter(this, void 0, void 0, function* () {
-            var { gamertag } = mapGamertagToPlatform(unoId, platforms.Uno, true);
-            const endpoint = new TelescopeEndpoints(telescopeGames.Warzone2, gamertag, telescopeModes.Multiplayer);
-            return yield sendTelescopeRequest(endpoint.match(matchId));
+        // Each backend keeps the argument order it has always had; titleRequest is
+        // the one call that takes the same parameters for every title.
+        this.matchInfo = (matchId, platform, options = {}) => tslib_1.__awaiter(this, void 0, void 0, function* () {
+            this.checkSupports("matchInfo");
+            const endpoint = this.endpoint("", platform, options.locale);
+            return yield this.request(endpoint.matchInfo(matchId));
         });
-    }
-}
-class MW3 {
-    constructor() {
-        this.fullData = (unoId) => tslib_1.__awaiter(this, void 0, void 0, function* () {
-            var { gamertag } = mapGamertagToPlatform(unoId, platforms.Uno, true);
-            const endpoint = new TelescopeEndpoints(telescopeGames.ModernWarfare3, gamertag, telescopeModes.Multiplayer);
-            return yield sendTelescopeRequest(endpoint.lifeTime());
+        this.seasonloot = (gamertag, platform, options = {}) => tslib_1.__awaiter(this, void 0, void 0, function* () {
+            this.checkSupports("seasonloot");
+            const endpoint = this.endpoint(gamertag, platform, options.locale);
+            return yield this.request(endpoint.seasonLoot());
         });
-        this.matches = (unoId) => tslib_1.__awaiter(this, void 0, void 0, function* () {
-            var { gamertag } = mapGamertagToPlatform(unoId, platforms.Uno, true);
-            const endpoint = new TelescopeEndpoints(telescopeGames.ModernWarfare3, gamertag, telescopeModes.Multiplayer);
-            return yield sendTelescopeRequest(endpoint.matches());
+        this.mapList = (platform) => tslib_1.__awaiter(this, void 0, void 0, function* () {
+            this.checkSupports("mapList");
+            const endpoint = this.endpoint("", platform);
+            return yield this.request(endpoint.mapList());
         });
-        this.matchInfo = (unoId, matchId) => tslib_1.__awaiter(this, void 0, void 0, function* () {
-            var { gamertag } = mapGamertagToPlatform(unoId, platforms.Uno, true);
-            const endpoint = new TelescopeEndpoints(telescopeGames.ModernWarfare3, gamertag, telescopeModes.Multiplayer);
-            return yield sendTelescopeRequest(endpoint.match(matchId));
+        this.cleanGameMode = (mode) => tslib_1.__awaiter(this, void 0, void 0, function* () {
+            this.checkSupports("cleanGameMode");
+            const foundMode = modeNames[mode];
+            if (!foundMode)
+                return mode;
+            return foundMode;
+        });
+        this.run = (operation, params) => tslib_1.__awaiter(this, void 0, void 0, function* () {
+            const { gamertag = "", platform = platforms.Uno, matchId = "" } = params;
+            const { startTime = 0, endTime = 0, locale } = params;
+            switch (operation) {
+                case "fullData":
+                    return yield this.fullData(gamertag, platform);
+                case "combatHistory":
+                case "matches":
+                    return yield this.combatHistory(gamertag, platform);
+                case "combatHistoryWithDate":
+                    return yield this.combatHistoryWithDate(gamertag, startTime, endTime, platform);
+                case "breakdown":
+                    return yield this.breakdown(gamertag, platform);
+                case "breakdownWithDate":
+                    return yield this.breakdownWithDate(gamertag, startTime, endTime, platform);
+                case "matchInfo":
+                    return yield this.matchInfo(matchId, platform, { locale });
+                case "seasonloot":
+                    return yield this.seasonloot(gamertag, platform, { locale });
+                case "mapList":
+                    return yield this.mapList(platform);
+                default:
+                    throw new UnsupportedOperationError(`'${operation}' is not available for ${this.definition.name}.`);
+            }
         });
     }
 }
-class WZM {
+// The telescope API only accepts Uno IDs, so any other gamertag is resolved to
+// one first. That lets callers treat every title alike.
+class TelescopeTitle extends Title {
     constructor() {
-        this.fullData = (unoId) => tslib_1.__awaiter(this, void 0, void 0, function* () {
+        super(...arguments);
+        this.endpoint = (unoId, mode, locale) => {
             var { gamertag } = mapGamertagToPlatform(unoId, platforms.Uno, true);
-            const endpoint = new TelescopeEndpoints(telescopeGames.Mobile, gamertag, telescopeModes.Multiplayer);
-            return yield sendTelescopeRequest(endpoint.lifeTime());
+            if (mode && !this.definition.modes.includes(mode))
+                throw new UnsupportedOperationError(`Mode '${mode}' is not available for ${this.definition.name}.`);
+            return new TelescopeEndpoints(this.definition.title, gamertag, mode, this.client.localeFor(locale).language);
+        };
+        // A numeric gamertag is already an Uno ID, whatever platform came with it.
+        this.unoId = (gamertag, platform) => tslib_1.__awaiter(this, void 0, void 0, function* () {
+            this.checkPlatform(platform);
+            if (platform === platforms.Uno || numericId(gamertag))
+                return gamertag;
+            return yield this.client.resolveUnoId(gamertag, platform);
         });
-        this.matches = (unoId) => tslib_1.__awaiter(this, void 0, void 0, function* () {
-            var { gamertag } = mapGamertagToPlatform(unoId, platforms.Uno, true);
-            const endpoint = new TelescopeEndpoints(telescopeGames.Mobile, gamertag, telescopeModes.Multiplayer);
-            return yield sendTelescopeRequest(endpoint.matches());
+        this.fullData = (gamertag, platform = platforms.Uno, options = {}) => tslib_1.__awaiter(this, void 0, void 0, function* () {
+            this.checkSupports("fullData");
+            const unoId = yield this.unoId(gamertag, platform);
+            const endpoint = this.endpoint(unoId, options.mode, options.locale);
+            return yield this.request(endpoint.lifeTime());
         });
-        this.matchInfo = (unoId, matchId) => tslib_1.__awaiter(this, void 0, void 0, function* () {
-            var { gamertag } = mapGamertagToPlatform(unoId, platforms.Uno, true);
-            const endpoint = new TelescopeEndpoints(telescopeGames.Mobile, gamertag, telescopeModes.Multiplayer);
-            return yield sendTelescopeRequest(endpoint.match(matchId));
+        this.combatHistory = (gamertag, platform = platforms.Uno, options = {}) => tslib_1.__awaiter(this, void 0, void 0, function* () {
+            this.checkSupports("combatHistory");
+            const unoId = yield this.unoId(gamertag, platform);
+            const { mode, locale } = options, window = tslib_1.__rest(options, ["mode", "locale"]);
+            const endpoint = this.endpoint(unoId, mode, locale);
+            return yield this.request(endpoint.matches(window));
+        });
+        this.combatHistoryWithDate = (gamertag, startTime, endTime, platform = platforms.Uno, options = {}) => tslib_1.__awaiter(this, void 0, void 0, function* () {
+            return yield this.combatHistory(gamertag, platform, Object.assign(Object.assign({}, options), { startTime: startTime || undefined, endTime: endTime || undefined }));
+        });
+        this.matches = (unoId, options = {}) => tslib_1.__awaiter(this, void 0, void 0, function* () {
+            return yield this.combatHistory(unoId, platforms.Uno, options);
+        });
+        // Takes the player first, unlike PapiTitle.matchInfo, since telescope
+        // matches are looked up per player. A gamertag is resolved like in the
+        // other calls when `options.platform` says where it's from.
+        this.matchInfo = (gamertag, matchId, options = {}) => tslib_1.__awaiter(this, void 0, void 0, function* () {
+            this.checkSupports("matchInfo");
+            const { platform = platforms.Uno } = options, telescopeOptions = tslib_1.__rest(options, ["platform"]);
+            const unoId = yield this.unoId(gamertag, platform);
+            const endpoint = this.endpoint(unoId, telescopeOptions.mode, telescopeOptions.locale);
+            return yield this.request(endpoint.match(matchId));
+        });
+        this.allMatches = (gamertag, platform = platforms.Uno, options = {}) => {
+            this.checkSupports("allMatches");
+            const { since, until, limit } = options, telescopeOptions = tslib_1.__rest(options, ["since", "until", "limit"]);
+            return walkMatchHistory((startTime, endTime) => this.combatHistoryWithDate(gamertag, startTime, endTime, platform, telescopeOptions), { since, until, limit });
+        };
+        this.run = (operation, params) => tslib_1.__awaiter(this, void 0, void 0, function* () {
+            const { gamertag = "", platform = platforms.Uno, matchId = "" } = params;
+            const { startTime = 0, endTime = 0, mode, locale } = params;
+            switch (operation) {
+                case "fullData":
+                    return yield this.fullData(gamertag, platform, { mode, locale });
+                case "combatHistory":
+                case "matches":
+                    return yield this.combatHistory(gamertag, platform, { mode, locale });
+                case "combatHistoryWithDate":
+                    return yield this.combatHistoryWithDate(gamertag, startTime, endTime, platform, { mode, locale });
+                case "matchInfo":
+                    return yield this.matchInfo(gamertag, matchId, {
+                        platform,
+                        mode,
+                        locale,
+                    });
+                default:
+                    throw new UnsupportedOperationError(`'${operation}' is not available for ${this.definition.name}.`);
+            }
         });
     }
 }
-class CW {
-    constructor() {
-        this.fullData = (gamertag, platform) => { var gamertag, platform, lookupType; return tslib_1.__awaiter(this, void 0, void 0, function* () {
-            ({
-                gamertag,
-                _platform: platform,
-                lookupType
-            } = mapGamertagToPlatform(gamertag, platform));
-            const endpoint = new Endpoints(games.ColdWar, gamertag, platform, modes.Multiplayer, lookupType);
-            return yield sendRequest(endpoint.fullData());
-        }); };
-        this.combatHistory = (gamertag, platform) => { var gamertag, platform, lookupType; return tslib_1.__awaiter(this, void 0, void 0, function* () {
-            ({
-                gamertag,
-                _platform: platform,
-                lookupType
-            } = mapGamertagToPlatform(gamertag, platform));
-            const endpoint = new Endpoints(games.ColdWar, gamertag, platform, modes.Multiplayer, lookupType);
-            return yield sendRequest(endpoint.combatHistory());
-        }); };
-        this.combatHistoryWithDate = (gamertag, startTime, endTime, platform) => { var gamertag, platform, lookupType; return tslib_1.__awaiter(this, void 0, void 0, function* () {
-            ({
-                gamertag,
-                _platform: platform,
-                lookupType
-            } = mapGamertagToPlatform(gamertag, platform));
-            const endpoint = new Endpoints(games.ColdWar, gamertag, platform, modes.Multiplayer, lookupType);
-            return yield sendRequest(endpoint.combatHistoryWithDate(startTime, endTime));
-        }); };
-        this.breakdown = (gamertag, platform) => { var gamertag, platform, lookupType; return tslib_1.__awaiter(this, void 0, void 0, function* () {
-            ({
-                gamertag,
-                _platform: platform,
-                lookupType
-            } = mapGamertagToPlatform(gamertag, platform));
-            const endpoint = new Endpoints(games.ColdWar, gamertag, platform, modes.Multiplayer, lookupType);
-            return yield sendRequest(endpoint.breakdown());
-        }); };
-        this.breakdownWithDate = (gamertag, startTime, endTime, platform) => { var gamertag, platform, lookupType; return tslib_1.__awaiter(this, void 0, void 0, function* () {
-            ({
-                gamertag,
-                _platform: platform,
-                lookupType
-            } = mapGamertagToPlatform(gamertag, platform));
-            const endpoint = new Endpoints(games.ColdWar, gamertag, platform, modes.Multiplayer, lookupType);
-            return yield sendRequest(endpoint.breakdownWithDate(startTime, endTime));
-        }); };
-        this.seasonloot = (gamertag, platform) => { var gamertag, platform, lookupType; return tslib_1.__awaiter(this, void 0, void 0, function* () {
-            ({
-                gamertag,
-                _platform: platform,
-                lookupType
-            } = mapGamertagToPlatform(gamertag, platform));
-            const endpoint = new Endpoints(games.ColdWar, gamertag, platform, modes.Multiplayer, lookupType);
-            return yield sendRequest(endpoint.seasonLoot());
-        }); };
-        this.mapList = (platform) => { var gamertag, platform, lookupType; return tslib_1.__awaiter(this, void 0, void 0, function* () {
-            ({
-                gamertag,
-                _platform: platform,
-                lookupType
-            } = mapGamertagToPlatform("", platform));
-            const endpoint = new Endpoints(games.ColdWar, gamertag, platform, modes.Multiplayer, lookupType);
-            return yield sendRequest(endpoint.mapList());
-        }); };
-        this.matchInfo = (matchId, platform) => { var gamertag, platform, lookupType; return tslib_1.__awaiter(this, void 0, void 0, function* () {
-            ({
-                gamertag,
-                _platform: platform,
-                lookupType
-            } = mapGamertagToPlatform("", platform));
-            const endpoint = new Endpoints(games.ColdWar, gamertag, platform, modes.Multiplayer, lookupType);
-            return yield sendRequest(endpoint.matchInfo(matchId));
-        }); };
-    }
-}
-class VG {
-    constructor() {
-        this.fullData = (gamertag, platform) => { var gamertag, platform, lookupType; return tslib_1.__awaiter(this, void 0, void 0, function* () {
-            ({
-                gamertag,
-                _platform: platform,
-                lookupType
-            } = mapGamertagToPlatform(gamertag, platform));
-            const endpoint = new Endpoints(games.Vanguard, gamertag, platform, modes.Multiplayer, lookupType);
-            return yield sendRequest(endpoint.fullData());
-        }); };
-        this.combatHistory = (gamertag, platform) => { var gamertag, platform, lookupType; return tslib_1.__awaiter(this, void 0, void 0, function* () {
-            ({
-                gamertag,
-                _platform: platform,
-                lookupType
-            } = mapGamertagToPlatform(gamertag, platform));
-            const endpoint = new Endpoints(games.Vanguard, gamertag, platform, modes.Multiplayer, lookupType);
-            return yield sendRequest(endpoint.combatHistory());
-        }); };
-        this.combatHistoryWithDate = (gamertag, startTime, endTime, platform) => { var gamertag, platform, lookupType; return tslib_1.__awaiter(this, void 0, void 0, function* () {
-            ({
-                gamertag,
-                _platform: platform,
-                lookupType
-            } = mapGamertagToPlatform(gamertag, platform));
-            const endpoint = new Endpoints(games.Vanguard, gamertag, platform, modes.Multiplayer, lookupType);
-            return yield sendRequest(endpoint.combatHistoryWithDate(startTime, endTime));
-        }); };
-        this.breakdown = (gamertag, platform) => { var gamertag, platform, lookupType; return tslib_1.__awaiter(this, void 0, void 0, function* () {
-            ({
-                gamertag,
-                _platform: platform,
-                lookupType
-            } = mapGamertagToPlatform(gamertag, platform));
-            const endpoint = new Endpoints(games.Vanguard, gamertag, platform, modes.Multiplayer, lookupType);
-            return yield sendRequest(endpoint.breakdown());
-        }); };
-        this.breakdownWithDate = (gamertag, startTime, endTime, platform) => { var gamertag, platform, lookupType; return tslib_1.__awaiter(this, void 0, void 0, function* () {
-            ({
-                gamertag,
-                _platform: platform,
-                lookupType
-            } = mapGamertagToPlatform(gamertag, platform));
-            const endpoint = new Endpoints(games.Vanguard, gamertag, platform, modes.Multiplayer, lookupType);
-            return yield sendRequest(endpoint.breakdownWithDate(startTime, endTime));
-        }); };
-        this.seasonloot = (gamertag, platform) => { var gamertag, platform, lookupType; return tslib_1.__awaiter(this, void 0, void 0, function* () {
-            ({
-                gamertag,
-                _platform: platform,
-                lookupType
-            } = mapGamertagToPlatform(gamertag, platform));
-            const endpoint = new Endpoints(games.Vanguard, gamertag, platform, modes.Multiplayer, lookupType);
-            return yield sendRequest(endpoint.seasonLoot());
-        }); };
-        this.mapList = (platform) => { var gamertag, platform, lookupType; return tslib_1.__awaiter(this, void 0, void 0, function* () {
-            ({
-                gamertag,
-                _platform: platform,
-                lookupType
-            } = mapGamertagToPlatform("", platform));
-            const endpoint = new Endpoints(games.Vanguard, gamertag, platform, modes.Multiplayer, lookupType);
-            return yield sendRequest(endpoint.mapList());
-        }); };
-        this.matchInfo = (matchId, platform) => { var gamertag, platform, lookupType; return tslib_1.__awaiter(this, void 0, void 0, function* () {
-            ({
-                gamertag,
-                _platform: platform,
-                lookupType
-            } = mapGamertagToPlatform("", platform));
-            const endpoint = new Endpoints(games.Vanguard, gamertag, platform, modes.Multiplayer, lookupType);
-            return yield sendRequest(endpoint.matchInfo(matchId));
-        }); };
-    }
-}
+const createTitle = (client, definition) => definition.backend === "telescope"
+    ? new TelescopeTitle(client, definition)
+    : new PapiTitle(client, definition);
 class SHOP {
-    constructor() {
-        this.purchasableItems = (gameId) => tslib_1.__awaiter(this, void 0, void 0, function* () {
-            const endpoint = new Endpoints(games.NULL, "", platforms.NULL, modes.NULL, "");
-            return yield sendRequest(endpoint.purchasableItems(gameId));
-        });
-        this.bundleInformation = (title, bundleId) => tslib_1.__awaiter(this, void 0, void 0, function* () {
-            const endpoint = new Endpoints(games.NULL, "", platforms.NULL, modes.NULL, "");
-            return yield sendRequest(endpoint.bundleInformation(title, bundleId));
+    constructor(client) {
+        this.purchasableItems = (gameId, platform = platforms.PSN, options = {}) => { var platform; return tslib_1.__awaiter(this, void 0, void 0, function* () {
+            ({ _platform: platform } = mapGamertagToPlatform("", platform));
+            const endpoint = new Endpoints(games.NULL, "", platform, modes.NULL, "", this.client.localeFor(options.locale).code);
+            return yield this.client.sendRequest(endpoint.purchasableItems(gameId));
+        }); };
+        this.bundleInformation = (title, bundleId, options = {}) => tslib_1.__awaiter(this, void 0, void 0, function* () {
+            const endpoint = new Endpoints(games.NULL, "", platforms.NULL, modes.NULL, "", this.client.localeFor(options.locale).code);
+            return yield this.client.sendRequest(endpoint.bundleInformation(title, bundleId));
         });
-        this.battlePassLoot = (title, season, platform) => { var gamertag, platform, lookupType; return tslib_1.__awaiter(this, void 0, void 0, function* () {
+        this.battlePassLoot = (title, season, platform, options = {}) => { var gamertag, platform, lookupType; return tslib_1.__awaiter(this, void 0, void 0, function* () {
             ({
                 gamertag,
                 _platform: platform,
                 lookupType
             } = mapGamertagToPlatform("", platform));
-            const endpoint = new Endpoints(title, gamertag, platform, modes.NULL, lookupType);
-            return yield sendRequest(endpoint.battlePassLoot(season));
+            const endpoint = new Endpoints(title, gamertag, platform, modes.NULL, lookupType, this.client.localeFor(options.locale).code);
+            return yield this.client.sendRequest(endpoint.battlePassLoot(season));
         }); };
+        this.client = client;
     }
 }
 class USER {
-    constructor() {
-        this.friendFeed = (gamertag, platform) => { var gamertag, platform, lookupType; return tslib_1.__awaiter(this, void 0, void 0, function* () {
+    constructor(client) {
+        this.friendFeed = (gamertag, platform, options = {}) => { var gamertag, platform, lookupType; return tslib_1.__awaiter(this, void 0, void 0, function* () {
             ({
                 gamertag,
                 _platform: platform,
                 lookupType
             } = mapGamertagToPlatform(gamertag, platform));
-            const endpoint = new Endpoints(games.NULL, gamertag, platform, modes.NULL, lookupType);
-            return yield sendRequest(endpoint.friendFeed());
+            const endpoint = new Endpoints(games.NULL, gamertag, platform, modes.NULL, lookupType, this.client.localeFor(options.locale).code);
+            return yield this.client.sendRequest(endpoint.friendFeed());
         }); };
-        this.eventFeed = () => tslib_1.__awaiter(this, void 0, void 0, function* () {
-            const endpoint = new Endpoints(games.NULL, "", platforms.NULL, modes.NULL, "");
-            return yield sendRequest(endpoint.eventFeed());
+        this.eventFeed = (options = {}) => tslib_1.__awaiter(this, void 0, void 0, function* () {
+            const endpoint = new Endpoints(games.NULL, "", platforms.NULL, modes.NULL, "", this.client.localeFor(options.locale).code);
+            return yield this.client.sendRequest(endpoint.eventFeed(this.client.ssoToken));
         });
         this.loggedInIdentities = () => tslib_1.__awaiter(this, void 0, void 0, function* () {
             const endpoint = new Endpoints(games.NULL, "", platforms.NULL, modes.NULL, "");
-            return yield sendRequest(endpoint.loggedInIdentities());
+            return yield this.client.sendRequest(endpoint.loggedInIdentities(this.client.ssoToken));
         });
         this.codPoints = (gamertag, platform) => { var gamertag, platform, lookupType; return tslib_1.__awaiter(this, void 0, void 0, function* () {
             ({
@@ -691,7 +1447,7 @@ class USER {
                 lookupType
             } = mapGamertagToPlatform(gamertag, platform));
             const endpoint = new Endpoints(games.NULL, gamertag, platform, modes.NULL, lookupType);
-            return yield sendRequest(endpoint.codPoints());
+            return yield this.client.sendRequest(endpoint.codPoints());
         }); };
         this.connectedAccounts = (gamertag, platform) => { var gamertag, platform, lookupType; return tslib_1.__awaiter(this, void 0, void 0, function* () {
             ({
@@ -700,7 +1456,7 @@ class USER {
                 lookupType
             } = mapGamertagToPlatform(gamertag, platform));
             const endpoint = new Endpoints(games.NULL, gamertag, platform, modes.NULL, lookupType);
-            return yield sendRequest(endpoint.connectedAccounts());
+            return yield this.client.sendRequest(endpoint.connectedAccounts());
         }); };
         this.settings = (gamertag, platform) => { var gamertag, platform, lookupType; return tslib_1.__awaiter(this, void 0, void 0, function* () {
             ({
@@ -709,11 +1465,11 @@ class USER {
                 lookupType
             } = mapGamertagToPlatform(gamertag, platform));
             const endpoint = new Endpoints(games.NULL, gamertag, platform, modes.NULL, lookupType);
-            return yield sendRequest(endpoint.settings());
+            return yield this.client.sendRequest(endpoint.settings());
         }); };
         this.friendsList = () => tslib_1.__awaiter(this, void 0, void 0, function* () {
             const endpoint = new Endpoints(games.NULL, "", platforms.NULL, modes.NULL, "");
-            return yield sendRequest(endpoint.friendsList());
+            return yield this.client.sendRequest(endpoint.friendsList());
         });
         this.friendAction = (gamertag, platform, action) => { var gamertag, platform, lookupType; return tslib_1.__awaiter(this, void 0, void 0, function* () {
             ({
@@ -722,12 +1478,182 @@ class USER {
                 lookupType
             } = mapGamertagToPlatform(gamertag, platform));
             const endpoint = new Endpoints(games.NULL, gamertag, platform, modes.NULL, lookupType);
-            return yield sendPostRequest(endpoint.friendAction(action), "{}");
+            return yield this.client.sendPostRequest(endpoint.friendAction(action), "{}");
         }); };
+        // Each target gets its own result so one bad gamertag doesn't stop the
+        // rest. A dry run only checks that every target resolves to a player.
+        this.batchFriendAction = (gamertags, platform, action, options = {}) => tslib_1.__awaiter(this, void 0, void 0, function* () {
+            if (!Object.values(friendActions).includes(action))
+                throw new UnsupportedOperationError(`Friend action '${action}' is not supported.`);
+            return yield Promise.all(gamertags.map((gamertag) => tslib_1.__awaiter(this, void 0, void 0, function* () {
+                const result = {
+                    gamertag,
+                    platform,
+                    action,
+                    status: options.dryRun ? "valid" : "applied",
+                    error: undefined,
+                    errorType: undefined,
+                };
+                try {
+                    if (options.dryRun)
+                        yield this.resolveFriendTarget(gamertag, platform);
+                    else
+                        yield this.friendAction(gamertag, platform, action);
+                }
+                catch (exception) {
+                    const error = exception instanceof Error
+                        ? exception
+                        : new Error(String(exception));
+                    result.status = "failed";
+                    result.error = error.message;
+                    result.errorType = error.name;
+                }
+                return result;
+            })));
+        });
+        // Held to the same exact-or-only-result rule as Uno ID lookups, since a
+        // fuzzy search nearly always returns someone.
+        this.resolveFriendTarget = (gamertag, platform) => tslib_1.__awaiter(this, void 0, void 0, function* () {
+            mapGamertagToPlatform(gamertag, platform);
+            const results = unwrap(yield this.client.Misc.search(gamertag, platform));
+            const match = searchMatch(results, gamertag);
+            if (!match)
+                throw new PlayerNotFoundError(`No player named '${gamertag}' was found on ${platform}.`);
+            return match;
+        });
+        this.client = client;
     }
 }
+// weapon-ids.json is one flat map split into titles by "_TITLE WEAPONS_"
+// header keys. Values glue the weapon class onto the name: "Pistol_X16".
+const catalogTitle = (header) => {
+    const name = header
+        .replace(/_/g, " ")
+        .replace(/weapons/i, "")
+        .trim()
+        .toLowerCase();
+    return Object.keys(titleRegistry).find((key) => titleRegistry[key].name.toLowerCase() === name);
+};
+const weaponCatalog = (() => {
+    const items = [];
+    let title;
+    for (const [id, value] of Object.entries(weapon_ids_json_1.default)) {
+        if (/^_.*_$/.test(id)) {
+            title = catalogTitle(id);
+            continue;
+        }
+        const separator = value.indexOf("_");
+        items.push({
+            id,
+            name: value.slice(separator + 1),
+            class: separator > 0 ? value.slice(0, separator) : "Unknown",
+            title,
+            kind: "weapon",
+        });
+    }
+    return items;
+})();
+exports.weaponCatalog = weaponCatalog;
+const weaponsById = new Map(weaponCatalog.map((item) => [item.id, item]));
+// Attachments and perks aren't listed in the data files, so they are
+// recognized by the shape of their IDs instead.
+const attachmentSlots = [
+    [/^(silencer|suppressor|muzzle|comp|brake|flash)/, "Muzzle"],
+    [/^(barrel|bar(long|short|mid|heavy)?\d*$)/, "Barrel"],
+    [/^(laser|light)/, "Laser"],
+    [/^(acog|reflex|holo|hybrid|thermal|scope|optic|sight)/, "Optic"],
+    [/^stock/, "Stock"],
+    [/^(grip|gripvert|gripang|bipod|underbarrel|gl|ub)/, "Underbarrel"],
+    [/^(mag|xmag|drum|ammo|clip)/, "Ammunition"],
+    [/^(pgrip|reargrip|tape)/, "Rear Grip"],
+];
+const titlePrefix = /^(iw8|iw9|s4|t9|jup)_/;
+const humanize = (id) => id
+    .split("_")
+    .filter((word) => word.length > 0)
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(" ");
+const lookupItem = (id) => {
+    const weapon = weaponsById.get(id);
+    if (weapon)
+        return weapon;
+    if (/^specialty_/.test(id))
+        return {
+            id,
+            name: humanize(id.replace(/^specialty_/, "")),
+            class: "Perk",
+            title: undefined,
+            kind: "perk",
+        };
+    const bare = id.replace(titlePrefix, "");
+    const slot = attachmentSlots.find(([pattern]) => pattern.test(bare));
+    if (slot)
+        return {
+            id,
+            name: humanize(bare),
+            class: slot[1],
+            title: undefined,
+            kind: "attachment",
+        };
+    return undefined;
+};
+exports.lookupItem = lookupItem;
+const normalizeName = (name) => name.toLowerCase().replace(/[^a-z0-9]/g, "");
+// Names are compared loosely ("mp-40" finds "Mp-40"). A name shared by two
+// titles, like the RAAL MG, returns every match unless a title is given.
+const findWeapons = (name, title) => weaponCatalog.filter((item) => normalizeName(item.name) === normalizeName(name) &&
+    (!title || item.title === title));
+exports.findWeapons = findWeapons;
+const weaponClasses = () => Array.from(new Set(weaponCatalog.map((item) => item.class)));
+exports.weaponClasses = weaponClasses;
+const weaponsByClass = (weaponClass, title) => weaponCatalog.filter((item) => item.class.toLowerCase() === weaponClass.toLowerCase() &&
+    (!title || item.title === title));
+exports.weaponsByClass = weaponsByClass;
+const modeNames = game_modes_json_1.default;
+const teamSizes = [
+    [/quad/i, 4],
+    [/trio/i, 3],
+    [/duo/i, 2],
+    [/solo|1v1/i, 1],
+];
+// Playlists built on the Resurgence ruleset but run as one-off events.
+const resurgenceEvents = /payload|trials|of the dead|totally normal|king slayer|exfiltration|mini royale|scopes/i;
+const modeFamily = (code, name) => {
+    if (/^brtdm_|^br_rumble/.test(code) || /rumble|clash/i.test(name))
+        return "Rumble";
+    if (/_dmz_|pldr/.test(code) || /plunder|blood money/i.test(name))
+        return "Plunder";
+    // The staple playlists; anything with an event or twist in the name is an LTM.
+    const playlist = name.replace(/\s*\b(solos?|duos?|trios?|quads?)$/i, "");
+    if (/^(BR( Buy ?Back)?|Battle Royale|Vanguard Royale)$/i.test(playlist))
+        return "Battle Royale";
+    if (/rebirth|resurgence|rbrth|_res_/i.test(`${code} ${name}`) &&
+        !resurgenceEvents.test(name))
+        return "Resurgence";
+    return "Limited-Time";
+};
+// Unknown codes are still classified from the code itself, so newer
+// playlists missing from game-modes.json get a best guess.
+const classifyMode = (code) => {
+    const name = modeNames[code] || code;
+    const size = teamSizes.find(([pattern]) => pattern.test(name)) ||
+        teamSizes.find(([pattern]) => pattern.test(code));
+    return {
+        code,
+        name,
+        family: modeFamily(code, name),
+        teamSize: size && size[1],
+        ranked: /ranked/i.test(`${code} ${name}`),
+        title: code in modeNames || /^br/.test(code) ? "wz" : undefined,
+    };
+};
+exports.classifyMode = classifyMode;
+const modeCatalog = Object.keys(modeNames).map(classifyMode);
+exports.modeCatalog = modeCatalog;
+const modesByFamily = (family) => modeCatalog.filter((mode) => mode.family === family);
+exports.modesByFamily = modesByFamily;
 class ALT {
-    constructor() {
+    constructor(client) {
         this.search = (gamertag, platform) => { var gamertag, platform, lookupType; return tslib_1.__awaiter(this, void 0, void 0, function* () {
             ({
                 gamertag,
@@ -735,37 +1661,826 @@ class ALT {
                 lookupType
             } = mapGamertagToPlatform(gamertag, platform, true));
             const endpoint = new Endpoints(games.NULL, gamertag, platform, modes.NULL, lookupType);
-            return yield sendRequest(endpoint.search());
+            return yield this.client.sendRequest(endpoint.search());
         }); };
         this.cleanWeapon = (weapon) => tslib_1.__awaiter(this, void 0, void 0, function* () {
-            //@ts-ignore
-            const foundWeapon = weapon_ids_json_1.default["All Weapons"][weapon];
+            const foundWeapon = lookupItem(weapon);
             if (!foundWeapon)
                 return weapon;
-            return foundWeapon;
+            return foundWeapon.name;
         });
+        this.client = client;
     }
 }
-const Warzone = new WZ();
+// Both backends wrap their payload in `{ status, data }`, and telescope nests
+// a second `data` inside it.
+const unwrap = (payload) => {
+    let data = payload && payload.data !== undefined ? payload.data : payload;
+    if (data && data.data !== undefined && !Array.isArray(data))
+        data = data.data;
+    return data || {};
+};
+const pick = (source, ...keys) => {
+    if (!source)
+        return undefined;
+    for (const key of keys)
+        if (source[key] !== undefined)
+            return source[key];
+    return undefined;
+};
+const numericStats = (source) => {
+    const stats = {};
+    if (!source || typeof source !== "object")
+        return stats;
+    for (const [key, value] of Object.entries(source))
+        if (typeof value === "number")
+            stats[key] = value;
+    return stats;
+};
+const toDate = (seconds) => {
+    const value = Number(seconds);
+    if (!seconds || isNaN(value))
+        return undefined;
+    return new Date(value < 1e12 ? value * 1000 : value);
+};
+// papi nests stats as `lifetime.mode.<mode>.properties`; telescope returns
+// flatter objects, so fall back to whatever numbers sit on the lifetime block.
+const normalizeProfile = (payload, title) => {
+    const data = unwrap(payload);
+    const lifetime = pick(data, "lifetime", "lifeTime") || data;
+    const modes = {};
+    const modeStats = pick(lifetime, "mode", "modes") || {};
+    for (const [mode, value] of Object.entries(modeStats))
+        modes[mode] = numericStats(pick(value, "properties", "stats") || value);
+    const all = pick(lifetime, "all");
+    return {
+        title: title || pick(data, "title"),
+        platform: pick(data, "platform"),
+        username: pick(data, "username", "unoUsername", "gamertag"),
+        level: pick(data, "level", "rank"),
+        prestige: pick(data, "prestige", "prestigeId"),
+        stats: numericStats(all ? pick(all, "properties", "stats") || all : lifetime),
+        modes,
+        raw: payload,
+    };
+};
+exports.normalizeProfile = normalizeProfile;
+const normalizePlayer = (entry) => {
+    const player = pick(entry, "player") || entry;
+    const team = pick(player, "team", "teamId");
+    return {
+        username: pick(player, "username", "gamertag", "unoUsername"),
+        uno: pick(player, "uno", "unoId"),
+        clantag: pick(player, "clantag", "clanTag"),
+        team: team === undefined ? undefined : String(team),
+        level: pick(player, "rank", "level"),
+        stats: numericStats(pick(entry, "playerStats", "stats") || player),
+    };
+};
+// Ratios and positions can't be summed across teammates.
+const nonAdditiveStat = /ratio|placement|percent|average|accuracy|perminute|rank/i;
+const groupTeams = (players) => {
+    const teams = new Map();
+    for (const player of players) {
+        const name = player.team || "unknown";
+        if (!teams.has(name))
+            teams.set(name, { name, placement: undefined, players: [], stats: {} });
+        const team = teams.get(name);
+        team.players.push(player);
+        for (const [key, value] of Object.entries(player.stats))
+            if (!nonAdditiveStat.test(key))
+                team.stats[key] = (team.stats[key] || 0) + value;
+        if (player.stats.teamPlacement !== undefined)
+            team.placement = player.stats.teamPlacement;
+    }
+    return Array.from(teams.values());
+};
+const matchFromEntries = (entries, title, raw = entries) => {
+    const first = entries[0] || {};
+    const players = entries.map(normalizePlayer);
+    return {
+        id: String(pick(first, "matchID", "matchId", "id")),
+        title: title || pick(first, "title"),
+        mode: pick(first, "mode", "gameType", "modeId"),
+        map: pick(first, "map", "mapId"),
+        start: toDate(pick(first, "utcStartSeconds", "startTime", "start")),
+        end: toDate(pick(first, "utcEndSeconds", "endTime", "end")),
+        result: pick(first, "result"),
+        players,
+        teams: groupTeams(players),
+        stats: entries.length === 1 ? players[0].stats : {},
+        raw,
+    };
+};
+// combatHistory/matches only describe the requesting player, so each match
+// carries that player's stats in `stats`.
+const normalizeMatches = (payload, title) => {
+    const data = unwrap(payload);
+    const matches = (Array.isArray(data) ? data : data.matches) || [];
+    return matches.map((match) => matchFromEntries([match], title, match));
+};
+exports.normalizeMatches = normalizeMatches;
+// matchInfo returns one entry per player, all sharing the match fields.
+const normalizeMatch = (payload, title) => {
+    const data = unwrap(payload);
+    const entries = pick(data, "allPlayers", "players") || (Array.isArray(data) ? data : []);
+    return matchFromEntries(entries.length ? entries : [data], title, payload);
+};
+exports.normalizeMatch = normalizeMatch;
+const mapNames = replacements_json_1.default;
+const statOf = (stats, ...keys) => pick(stats, ...keys);
+const round = (value) => value === undefined || !isFinite(value)
+    ? undefined
+    : Math.round(value * 100) / 100;
+// Warzone has no win/loss result, so first place counts as the win.
+const matchWon = (match) => {
+    if (match.result)
+        return /^win/i.test(match.result);
+    const placement = statOf(match.stats, "teamPlacement", "placement");
+    return placement === undefined ? undefined : placement === 1;
+};
+const matchSeconds = (match) => {
+    const played = statOf(match.stats, "timePlayed", "duration");
+    if (played !== undefined)
+        return played;
+    if (match.start && match.end)
+        return (match.end.getTime() - match.start.getTime()) / 1000;
+    return undefined;
+};
+const aggregateMatches = (matches) => {
+    const totals = {};
+    let wins = 0;
+    let decided = 0;
+    let placements = 0;
+    let placed = 0;
+    let seconds = 0;
+    for (const match of matches) {
+        for (const [key, value] of Object.entries(match.stats))
+            if (!nonAdditiveStat.test(key))
+                totals[key] = (totals[key] || 0) + value;
+        const won = matchWon(match);
+        if (won !== undefined) {
+            decided++;
+            if (won)
+                wins++;
+        }
+        const placement = statOf(match.stats, "teamPlacement", "placement");
+        if (placement) {
+            placements += placement;
+            placed++;
+        }
+        seconds += matchSeconds(match) || 0;
+    }
+    const kills = totals.kills || 0;
+    const deaths = totals.deaths || 0;
+    const damage = statOf(totals, "damageDone", "damageDealt");
+    return {
+        matches: matches.length,
+        kills,
+        deaths,
+        kdRatio: round(deaths > 0 ? kills / deaths : kills),
+        wins,
+        winRate: round(decided > 0 ? (wins / decided) * 100 : undefined),
+        averagePlacement: round(placed > 0 ? placements / placed : undefined),
+        damagePerMinute: round(damage !== undefined && seconds > 0 ? damage / (seconds / 60) : undefined),
+        headshotPercentage: round(kills > 0 ? ((totals.headshots || 0) / kills) * 100 : undefined),
+        totals,
+    };
+};
+const groupMatches = (matches, key) => {
+    const groups = new Map();
+    for (const match of matches) {
+        const name = key(match);
+        if (!groups.has(name))
+            groups.set(name, []);
+        groups.get(name).push(match);
+    }
+    return groups;
+};
+const summarizeMatch = (match, rankBy) => ({
+    id: match.id,
+    mode: match.mode,
+    map: match.map,
+    start: match.start,
+    value: match.stats[rankBy],
+    stats: match.stats,
+});
+// Works on the output of normalizeMatches. Mode families only apply to the
+// Warzone playlists the mode taxonomy knows about.
+const analyzeMatches = (matches, options = {}) => {
+    const { window = 10, rankBy = "kills", top = 3 } = options;
+    const chronological = matches
+        .slice()
+        .sort((a, b) => (a.start ? a.start.getTime() : 0) - (b.start ? b.start.getTime() : 0));
+    const byMode = {};
+    for (const [mode, group] of groupMatches(chronological, (match) => match.mode || "unknown")) {
+        const taxonomy = classifyMode(mode);
+        byMode[mode] = Object.assign(Object.assign({}, aggregateMatches(group)), { name: taxonomy.name, family: taxonomy.title ? taxonomy.family : undefined });
+    }
+    const byFamily = {};
+    for (const [family, group] of groupMatches(chronological.filter((match) => byMode[match.mode || "unknown"].family), (match) => byMode[match.mode || "unknown"].family))
+        byFamily[family] = aggregateMatches(group);
+    const byMap = {};
+    for (const [map, group] of groupMatches(chronological, (match) => match.map || "unknown"))
+        byMap[map] = Object.assign(Object.assign({}, aggregateMatches(group)), { name: mapNames[map] || map });
+    const rolling = chronological.map((match, index) => {
+        const recent = aggregateMatches(chronological.slice(Math.max(0, index - window + 1), index + 1));
+        return {
+            id: match.id,
+            start: match.start,
+            kdRatio: recent.kdRatio,
+            winRate: recent.winRate,
+            averagePlacement: recent.averagePlacement,
+            damagePerMinute: recent.damagePerMinute,
+        };
+    });
+    const ranked = chronological
+        .filter((match) => match.stats[rankBy] !== undefined)
+        .sort((a, b) => b.stats[rankBy] - a.stats[rankBy]);
+    return {
+        overall: aggregateMatches(chronological),
+        byMode,
+        byFamily,
+        byMap,
+        rolling,
+        best: ranked.slice(0, top).map((match) => summarizeMatch(match, rankBy)),
+        worst: ranked
+            .slice(-top)
+            .reverse()
+            .map((match) => summarizeMatch(match, rankBy)),
+    };
+};
+exports.analyzeMatches = analyzeMatches;
+const numeric = (value) => {
+    if (value && typeof value === "object")
+        return numeric(pick(value, "amount", "value", "cost"));
+    const number = Number(value);
+    return value === undefined || value === null || isNaN(number)
+        ? undefined
+        : number;
+};
+const storeBundles = (payload) => {
+    const data = unwrap(payload);
+    const entries = Array.isArray(data)
+        ? data
+        : pick(data, "items", "bundles", "purchasables") || Object.values(data);
+    return entries
+        .filter((entry) => entry && typeof entry === "object")
+        .map((entry) => {
+        const id = String(pick(entry, "id", "bundleId", "itemId", "name"));
+        return {
+            id,
+            name: String(pick(entry, "name", "title", "label") || id),
+            price: numeric(pick(entry, "price", "cost", "salePrice", "codPoints")),
+            details: undefined,
+            raw: entry,
+        };
+    });
+};
+// A missing price on either side is not reported as a change, since the
+// store listing doesn't always carry one.
+const diffStoreSnapshots = (previous, current) => {
+    const before = new Map((previous ? previous.bundles : []).map((bundle) => [bundle.id, bundle]));
+    const after = new Map(current.bundles.map((bundle) => [bundle.id, bundle]));
+    const priceChanged = [];
+    for (const [id, bundle] of after) {
+        const old = before.get(id);
+        if (old &&
+            old.price !== undefined &&
+            bundle.price !== undefined &&
+            old.price !== bundle.price)
+            priceChanged.push({
+                bundle,
+                previousPrice: old.price,
+                price: bundle.price,
+            });
+    }
+    return {
+        previous: previous && previous.takenAt,
+        current: current.takenAt,
+        // The first snapshot has nothing to compare against, so nothing is "new".
+        added: previous
+            ? current.bundles.filter((bundle) => !before.has(bundle.id))
+            : [],
+        removed: previous
+            ? previous.bundles.filter((bundle) => !after.has(bundle.id))
+            : [],
+        priceChanged,
+    };
+};
+exports.diffStoreSnapshots = diffStoreSnapshots;
+const summarizeStoreDiff = (diff) => {
+    const lines = [
+        ...diff.added.map((bundle) => `New: ${bundle.name}${bundle.price !== undefined ? ` (${bundle.price} CP)` : ""}`),
+        ...diff.removed.map((bundle) => `Removed: ${bundle.name}`),
+        ...diff.priceChanged.map((change) => `Price change: ${change.bundle.name} ${change.previousPrice} CP -> ${change.price} CP`),
+    ];
+    return lines.length > 0 ? lines.join("\n") : "No store changes.";
+};
+exports.summarizeStoreDiff = summarizeStoreDiff;
+// Snapshots are kept in a CacheStore, so a file cache lets the previous
+// rotation survive restarts between daily runs.
+class StoreTracker {
+    constructor(client, snapshots = createMemoryCache()) {
+        this.snapshotKey = (title, platform, locale) => `store:${title}:${platform}:${locale}`;
+        this.snapshot = (title, platform = platforms.PSN, options = {}) => tslib_1.__awaiter(this, void 0, void 0, function* () {
+            const locale = this.client.localeFor(options.locale).code;
+            const listing = yield this.client.Store.purchasableItems(title, platform, {
+                locale,
+            });
+            const bundles = storeBundles(listing);
+            if (options.details !== false)
+                yield Promise.all(bundles.map((bundle) => tslib_1.__awaiter(this, void 0, void 0, function* () {
+                    // One unavailable bundle shouldn't lose the whole rotation.
+                    bundle.details = yield this.client.Store.bundleInformation(title, bundle.id, { locale }).then(unwrap, () => undefined);
+                })));
+            return {
+                title,
+                platform,
+                locale,
+                takenAt: new Date().toISOString(),
+                bundles,
+            };
+        });
+        this.previous = (title, platform = platforms.PSN, options = {}) => tslib_1.__awaiter(this, void 0, void 0, function* () {
+            const locale = this.client.localeFor(options.locale).code;
+            const entry = yield this.snapshots.get(this.snapshotKey(title, platform, locale));
+            return entry ? entry.value : undefined;
+        });
+        // Takes a fresh snapshot, diffs it against the last one and keeps it as the
+        // baseline for the next run.
+        this.track = (title, platform = platforms.PSN, options = {}) => tslib_1.__awaiter(this, void 0, void 0, function* () {
+            const previous = yield this.previous(title, platform, options);
+            const current = yield this.snapshot(title, platform, options);
+            yield this.snapshots.set(this.snapshotKey(title, platform, current.locale), { value: current, expiresAt: null });
+            return diffStoreSnapshots(previous, current);
+        });
+        this.client = client;
+        this.snapshots = snapshots;
+    }
+}
+exports.StoreTracker = StoreTracker;
+const createStoreTracker = (client, snapshots) => new StoreTracker(client, snapshots);
+exports.createStoreTracker = createStoreTracker;
+const killDeathRatio = (kills, deaths) => round(deaths > 0 ? kills / deaths : kills);
+const average = (values) => values.length
+    ? values.reduce((sum, value) => sum + value, 0) / values.length
+    : undefined;
+const levelSpread = (levels) => {
+    const sorted = levels.slice().sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return {
+        min: sorted[0],
+        max: sorted[sorted.length - 1],
+        average: round(average(sorted)),
+        median: sorted.length
+            ? sorted.length % 2
+                ? sorted[middle]
+                : (sorted[middle - 1] + sorted[middle]) / 2
+            : undefined,
+        spread: sorted.length ? sorted[sorted.length - 1] - sorted[0] : undefined,
+    };
+};
+// Battle.net names carry a `#1234` suffix that matchInfo may leave off.
+const sameGamertag = (a, b) => !!a &&
+    !!b &&
+    (a.toLowerCase() === b.toLowerCase() ||
+        a.replace(/#\d+$/, "").toLowerCase() ===
+            b.replace(/#\d+$/, "").toLowerCase());
+const lobbyPlayer = (player, rankBy, profile) => {
+    const kills = player.stats.kills || 0;
+    const deaths = player.stats.deaths || 0;
+    return {
+        username: player.username,
+        uno: player.uno,
+        team: player.team,
+        level: player.level,
+        kills,
+        deaths,
+        kdRatio: killDeathRatio(kills, deaths),
+        value: player.stats[rankBy],
+        lifetime: profile && {
+            level: profile.level,
+            kdRatio: profile.stats.kdRatio !== undefined
+                ? round(profile.stats.kdRatio)
+                : killDeathRatio(profile.stats.kills || 0, profile.stats.deaths || 0),
+        },
+    };
+};
+const lifetimeKd = (players) => round(average(players
+    .map((player) => player.lifetime && player.lifetime.kdRatio)
+    .filter((kdRatio) => kdRatio !== undefined)));
+// Works on the output of normalizeMatch. `profiles` holds lifetime profiles
+// keyed by Uno ID, for lobbies that were looked up.
+const summarizeLobby = (match, options = {}, profiles = new Map()) => {
+    const { rankBy = "kills", top = 5 } = options;
+    const players = match.players.map((player) => lobbyPlayer(player, rankBy, player.uno ? profiles.get(player.uno) : undefined));
+    const kills = players.reduce((sum, player) => sum + player.kills, 0);
+    const deaths = players.reduce((sum, player) => sum + player.deaths, 0);
+    const teams = match.teams.map((team) => {
+        const members = players.filter((player) => (player.team || "unknown") === team.name);
+        return {
+            name: team.name,
+            placement: team.placement,
+            players: members.length,
+            kdRatio: killDeathRatio(team.stats.kills || 0, team.stats.deaths || 0),
+            lifetimeKdRatio: lifetimeKd(members),
+        };
+    });
+    const levels = players
+        .map((player) => player.level !== undefined
+        ? player.level
+        : player.lifetime && player.lifetime.level)
+        .filter((level) => typeof level === "number");
+    const ranked = players
+        .filter((player) => player.value !== undefined)
+        .sort((a, b) => b.value - a.value);
+    const index = options.gamertag
+        ? ranked.findIndex((player) => sameGamertag(player.username, options.gamertag) ||
+            player.uno === options.gamertag)
+        : -1;
+    const mode = match.mode ? classifyMode(match.mode) : undefined;
+    return {
+        match: {
+            id: match.id,
+            title: match.title,
+            mode: match.mode,
+            modeName: mode && mode.name,
+            map: match.map,
+            mapName: match.map && (mapNames[match.map] || match.map),
+            start: match.start,
+        },
+        players: players.length,
+        kdRatio: killDeathRatio(kills, deaths),
+        lifetimeKdRatio: lifetimeKd(players),
+        teams,
+        levels: levelSpread(levels),
+        topPerformers: ranked.slice(0, top),
+        requester: index >= 0
+            ? { player: ranked[index], rank: index + 1, of: ranked.length }
+            : undefined,
+    };
+};
+exports.summarizeLobby = summarizeLobby;
+// Fetches the match, then optionally every player's lifetime stats by Uno ID.
+// Lookups go through their own limiter so a full lobby doesn't fire 150
+// requests at once; private or missing profiles are left out.
+const analyzeLobby = (client, title, matchId, options = {}) => tslib_1.__awaiter(void 0, void 0, void 0, function* () {
+    const match = normalizeMatch(yield client.titleRequest(title, "matchInfo", {
+        matchId,
+        gamertag: options.gamertag,
+        platform: options.platform,
+        locale: options.locale,
+    }), title);
+    const profiles = new Map();
+    if (options.lookup) {
+        const limit = createLimiter(options.concurrency || 4);
+        const unoIds = Array.from(new Set(match.players
+            .map((player) => player.uno)
+            .filter((uno) => !!uno)));
+        yield Promise.all(unoIds.map((uno) => limit(() => client
+            .titleRequest(title, "fullData", {
+            gamertag: uno,
+            platform: platforms.Uno,
+        })
+            .then((payload) => {
+            profiles.set(uno, normalizeProfile(payload, title));
+        }, () => undefined))));
+    }
+    return summarizeLobby(match, options, profiles);
+});
+exports.analyzeLobby = analyzeLobby;
+const emptyTally = () => ({
+    matches: 0,
+    wins: 0,
+    decided: 0,
+    placements: 0,
+    placed: 0,
+    kills: 0,
+    deaths: 0,
+});
+const squadRecord = (tally) => ({
+    matches: tally.matches,
+    wins: tally.wins,
+    winRate: round(tally.decided > 0 ? (tally.wins / tally.decided) * 100 : undefined),
+    averagePlacement: round(tally.placed > 0 ? tally.placements / tally.placed : undefined),
+    kills: tally.kills,
+    deaths: tally.deaths,
+    kdRatio: killDeathRatio(tally.kills, tally.deaths),
+});
+const playerKey = (player) => player.uno || (player.username || "").toLowerCase();
+// Squad results come from the player's own history entry, which has the
+// result and placement; the teammates come from the match details.
+const tallyMatch = (tally, match, squad) => {
+    tally.matches++;
+    const won = matchWon(match);
+    if (won !== undefined) {
+        tally.decided++;
+        if (won)
+            tally.wins++;
+    }
+    const placement = statOf(match.stats, "teamPlacement", "placement");
+    if (placement) {
+        tally.placements += placement;
+        tally.placed++;
+    }
+    for (const player of squad) {
+        tally.kills += player.stats.kills || 0;
+        tally.deaths += player.stats.deaths || 0;
+    }
+};
+const findPlayer = (match, gamertag, uno) => match.players.find((player) => (uno && player.uno === uno) ||
+    player.uno === gamertag ||
+    sameGamertag(player.username, gamertag));
+// `history` is the output of normalizeMatches and `details` maps match IDs to
+// the output of normalizeMatch. Combined stats cover the player and the
+// teammate (or the whole squad, for compositions).
+const summarizeSquad = (gamertag, history, details, options = {}) => {
+    const { minMatches = 2, top = 10 } = options;
+    const teammates = new Map();
+    const compositions = new Map();
+    let matches = 0;
+    for (const entry of history) {
+        const match = details.get(entry.id);
+        const self = match &&
+            findPlayer(match, gamertag, entry.players[0] && entry.players[0].uno);
+        if (!match || !self)
+            continue;
+        matches++;
+        const squad = match.players.filter((player) => player !== self && player.team === self.team);
+        for (const teammate of squad) {
+            const key = playerKey(teammate);
+            if (!teammates.has(key))
+                teammates.set(key, {
+                    player: teammate,
+                    tally: emptyTally(),
+                    own: emptyTally(),
+                });
+            const record = teammates.get(key);
+            tallyMatch(record.tally, entry, [self, teammate]);
+            tallyMatch(record.own, entry, [teammate]);
+        }
+        if (squad.length === 0)
+            continue;
+        const sorted = squad
+            .slice()
+            .sort((a, b) => playerKey(a).localeCompare(playerKey(b)));
+        const key = sorted.map(playerKey).join("|");
+        if (!compositions.has(key))
+            compositions.set(key, {
+                members: sorted.map((player) => player.username),
+                tally: emptyTally(),
+            });
+        tallyMatch(compositions.get(key).tally, entry, [self, ...squad]);
+    }
+    // Best compositions win the most, then place highest.
+    const byResult = (a, b) => (b.winRate || 0) - (a.winRate || 0) ||
+        (a.averagePlacement || Infinity) - (b.averagePlacement || Infinity) ||
+        (b.kdRatio || 0) - (a.kdRatio || 0);
+    return {
+        gamertag,
+        matches,
+        skipped: history.length - matches,
+        teammates: Array.from(teammates.values())
+            .map(({ player, tally, own }) => {
+            const teammate = squadRecord(own);
+            return Object.assign(Object.assign({ username: player.username, uno: player.uno }, squadRecord(tally)), { teammate: {
+                    kills: teammate.kills,
+                    deaths: teammate.deaths,
+                    kdRatio: teammate.kdRatio,
+                } });
+        })
+            .sort((a, b) => b.matches - a.matches || byResult(a, b))
+            .slice(0, top),
+        compositions: Array.from(compositions.values())
+            .filter(({ tally }) => tally.matches >= minMatches)
+            .map(({ members, tally }) => (Object.assign({ members }, squadRecord(tally))))
+            .sort(byResult)
+            .slice(0, top),
+    };
+};
+exports.summarizeSquad = summarizeSquad;
+// Fetches the recent history, then the details of each match through a
+// limiter. Matches whose details fail are counted as skipped.
+const analyzeSquad = (client, title, gamertag, platform, options = {}) => tslib_1.__awaiter(void 0, void 0, void 0, function* () {
+    const { locale } = options;
+    const history = normalizeMatches(yield client.titleRequest(title, "combatHistory", {
+        gamertag,
+        platform,
+        locale,
+    }), title).slice(0, options.matches || 20);
+    const limit = createLimiter(options.concurrency || 4);
+    const details = new Map();
+    yield Promise.all(history.map((entry) => limit(() => client
+        .titleRequest(title, "matchInfo", {
+        matchId: entry.id,
+        gamertag,
+        platform,
+        locale,
+    })
+        .then((payload) => {
+        details.set(entry.id, normalizeMatch(payload, title));
+    }, () => undefined))));
+    return summarizeSquad(gamertag, history, details, options);
+});
+exports.analyzeSquad = analyzeSquad;
+const difference = (to, from) => to !== undefined && from !== undefined ? to - from : undefined;
+// Stats where the smaller number is the better one.
+const lowerIsBetter = /deaths|placement|damageTaken|suicides|timeDead/i;
+const compareStat = (stat, values) => {
+    const present = values.filter((value) => value !== undefined);
+    const best = lowerIsBetter.test(stat)
+        ? Math.min(...present)
+        : Math.max(...present);
+    const leaders = values.filter((value) => value === best).length;
+    return {
+        stat,
+        values,
+        diffs: values.map((value) => round(difference(value, values[0]))),
+        leader: present.length > 1 && leaders === 1 ? values.indexOf(best) : undefined,
+    };
+};
+// Aligns already normalized profiles on the union of their stat keys.
+const compareProfiles = (title, players, profiles) => {
+    const keys = new Set();
+    for (const profile of profiles)
+        if (profile)
+            Object.keys(profile.stats).forEach((key) => keys.add(key));
+    const stats = Array.from(keys)
+        .sort()
+        .map((stat) => compareStat(stat, profiles.map((profile) => profile && profile.stats[stat])));
+    const leads = players.map((_, index) => stats.filter((stat) => stat.leader === index).length);
+    return { title, players, stats, leads };
+};
+exports.compareProfiles = compareProfiles;
+// Each player keeps their own platform, so a Battle.net player can be
+// compared with a PSN one. A player that fails to load is reported with the
+// error and left out of the stats.
+const comparePlayers = (client, title, targets, options = {}) => tslib_1.__awaiter(void 0, void 0, void 0, function* () {
+    const results = yield Promise.all(targets.map(({ gamertag, platform }) => client
+        .titleRequest(title, "fullData", {
+        gamertag,
+        platform,
+        locale: options.locale,
+    })
+        .then((payload) => ({ profile: normalizeProfile(payload, title) }), (exception) => ({
+        error: exception instanceof Error
+            ? exception
+            : new Error(String(exception)),
+    }))));
+    const players = targets.map(({ gamertag, platform }, index) => {
+        const result = results[index];
+        return {
+            gamertag,
+            platform,
+            username: result.profile && result.profile.username,
+            level: result.profile && result.profile.level,
+            prestige: result.profile && result.profile.prestige,
+            error: result.error && result.error.message,
+            errorType: result.error && result.error.name,
+        };
+    });
+    return compareProfiles(title, players, results.map((result) => result.profile));
+});
+exports.comparePlayers = comparePlayers;
+const diffStatSnapshots = (from, to) => {
+    const stats = {};
+    for (const [key, value] of Object.entries(to.stats))
+        if (from.stats[key] !== undefined)
+            stats[key] = value - from.stats[key];
+    return {
+        from: from.takenAt,
+        to: to.takenAt,
+        level: difference(to.level, from.level),
+        prestige: difference(to.prestige, from.prestige),
+        stats,
+    };
+};
+exports.diffStatSnapshots = diffStatSnapshots;
+// Snapshots are appended to one JSON-lines file per player, so the history
+// survives restarts and can be inspected or trimmed by hand.
+class StatHistory {
+    constructor(client, historyDir) {
+        // Every part is escaped so no argument can point outside historyDir.
+        this.historyFile = (title, gamertag, platform) => (0, path_1.join)(this.historyDir, [title, platform, gamertag.toLowerCase()]
+            .map((part) => encodeURIComponent(part))
+            .join("_") + ".jsonl");
+        this.snapshot = (title, gamertag, platform) => tslib_1.__awaiter(this, void 0, void 0, function* () {
+            const profile = normalizeProfile(yield this.client.titleRequest(title, "fullData", { gamertag, platform }), title);
+            const snapshot = {
+                title,
+                platform,
+                gamertag,
+                takenAt: new Date().toISOString(),
+                level: profile.level,
+                prestige: profile.prestige,
+                stats: profile.stats,
+            };
+            yield fs_1.promises.mkdir(this.historyDir, { recursive: true });
+            yield fs_1.promises.appendFile(this.historyFile(title, gamertag, platform), JSON.stringify(snapshot) + "\n");
+            return snapshot;
+        });
+        // Players are snapshotted one at a time so a long list doesn't trip the
+        // rate limiter, and one failure doesn't stop the rest.
+        this.snapshotAll = (players) => tslib_1.__awaiter(this, void 0, void 0, function* () {
+            const results = [];
+            for (const player of players) {
+                try {
+                    results.push(Object.assign(Object.assign({}, player), { snapshot: yield this.snapshot(player.title, player.gamertag, player.platform) }));
+                }
+                catch (exception) {
+                    const error = exception instanceof Error ? exception : new Error(String(exception));
+                    results.push(Object.assign(Object.assign({}, player), { error: error.message, errorType: error.name }));
+                }
+            }
+            return results;
+        });
+        // Returns a function that stops the schedule. The timer doesn't keep the
+        // process alive on its own.
+        this.schedule = (players, interval, onResults) => {
+            const run = () => this.snapshotAll(players).then((results) => {
+                if (onResults)
+                    onResults(results);
+            });
+            const timer = setInterval(run, interval);
+            timer.unref();
+            run();
+            return () => clearInterval(timer);
+        };
+        this.series = (title, gamertag, platform, range = {}) => tslib_1.__awaiter(this, void 0, void 0, function* () {
+            let contents;
+            try {
+                contents = yield fs_1.promises.readFile(this.historyFile(title, gamertag, platform), "utf8");
+            }
+            catch (exception) {
+                return [];
+            }
+            const since = range.since ? new Date(range.since).getTime() : -Infinity;
+            const until = range.until ? new Date(range.until).getTime() : Infinity;
+            const snapshots = [];
+            for (const line of contents.split("\n")) {
+                if (!line.trim())
+                    continue;
+                try {
+                    snapshots.push(JSON.parse(line));
+                }
+                catch (exception) {
+                    // A write cut short by a crash leaves a partial last line.
+                }
+            }
+            return snapshots.filter((snapshot) => {
+                const takenAt = new Date(snapshot.takenAt).getTime();
+                return takenAt >= since && takenAt <= until;
+            });
+        });
+        // Compares the last snapshot taken before `since` (or the first one in the
+        // range when there is none) with the last one in the range.
+        this.delta = (title, gamertag, platform, range = {}) => tslib_1.__awaiter(this, void 0, void 0, function* () {
+            const all = yield this.series(title, gamertag, platform, {
+                until: range.until,
+            });
+            const since = range.since ? new Date(range.since).getTime() : -Infinity;
+            const before = all.filter((snapshot) => new Date(snapshot.takenAt).getTime() <= since);
+            const from = before.length ? before[before.length - 1] : all[0];
+            const to = all[all.length - 1];
+            return from && to && from !== to ? diffStatSnapshots(from, to) : undefined;
+        });
+        this.client = client;
+        this.historyDir = historyDir;
+    }
+}
+exports.StatHistory = StatHistory;
+const createStatHistory = (client, historyDir) => new StatHistory(client, historyDir);
+exports.createStatHistory = createStatHistory;
+const defaultClient = createClient();
+const login = defaultClient.login;
+exports.login = login;
+const telescopeLogin = defaultClient.telescopeLogin;
+exports.telescopeLogin = telescopeLogin;
+const enableDebugMode = defaultClient.enableDebugMode;
+exports.enableDebugMode = enableDebugMode;
+const disableDebugMode = defaultClient.disableDebugMode;
+exports.disableDebugMode = disableDebugMode;
+const Warzone = defaultClient.Warzone;
 exports.Warzone = Warzone;
-const ModernWarfare = new MW();
+const ModernWarfare = defaultClient.ModernWarfare;
 exports.ModernWarfare = ModernWarfare;
-const ModernWarfare2 = new MW2();
+const ModernWarfare2 = defaultClient.ModernWarfare2;
 exports.ModernWarfare2 = ModernWarfare2;
-const Warzone2 = new WZ2();
+const Warzone2 = defaultClient.Warzone2;
 exports.Warzone2 = Warzone2;
-const ModernWarfare3 = new MW3();
+const ModernWarfare3 = defaultClient.ModernWarfare3;
 exports.ModernWarfare3 = ModernWarfare3;
-const WarzoneMobile = new WZM();
+const WarzoneMobile = defaultClient.WarzoneMobile;
 exports.WarzoneMobile = WarzoneMobile;
-const ColdWar = new CW();
+const ColdWar = defaultClient.ColdWar;
 exports.ColdWar = ColdWar;
-const Vanguard = new VG();
+const Vanguard = defaultClient.Vanguard;
 exports.Vanguard = Vanguard;
-const Store = new SHOP();
+const Store = defaultClient.Store;
 exports.Store = Store;
-const Me = new USER();
+const Me = defaultClient.Me;
 exports.Me = Me;
-const Misc = new ALT();
+const Misc = defaultClient.Misc;
 exports.Misc = Misc;
 //# sourceMappingURL=index.js.map
\ No newline at end of file
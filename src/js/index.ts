@@ -1,13 +1,51 @@
+import {
+  createCipheriv,
+  createDecipheriv,
+  createHash,
+  randomBytes,
+  scryptSync,
+} from "crypto";
+import { EventEmitter } from "events";
+import { promises as fs } from "fs";
 import { IncomingHttpHeaders } from "http";
+import { join } from "path";
 import { request } from "undici";
 import weaponMappings from "../data/weapon-ids.json";
 import wzMappings from "../data/game-modes.json";
+import replacements from "../data/replacements.json";
 
 const userAgent: string =
   "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/74.0.3729.169 Safari/537.36";
-let baseCookie: string = "new_SiteId=cod;ACT_SSO_LOCALE=en_US;country=US;";
-let baseSsoToken: string = "";
-let debugMode = false;
+
+// Activision's paths take the two-letter code, the telescope API takes the
+// language name and the SSO cookie takes the regional locale.
+interface LocaleSettings {
+  code: string;
+  language: string;
+  region: string;
+}
+
+const locales: Record<string, LocaleSettings> = {
+  en: { code: "en", language: "english", region: "en_US" },
+  fr: { code: "fr", language: "french", region: "fr_FR" },
+  de: { code: "de", language: "german", region: "de_DE" },
+  es: { code: "es", language: "spanish", region: "es_ES" },
+  it: { code: "it", language: "italian", region: "it_IT" },
+  pt: { code: "pt", language: "portuguese", region: "pt_BR" },
+  pl: { code: "pl", language: "polish", region: "pl_PL" },
+  ru: { code: "ru", language: "russian", region: "ru_RU" },
+  ja: { code: "ja", language: "japanese", region: "ja_JP" },
+  ko: { code: "ko", language: "korean", region: "ko_KR" },
+};
+
+const defaultLocale = "en";
+
+const localeCookie = (locale: LocaleSettings) =>
+  `new_SiteId=cod;ACT_SSO_LOCALE=${locale.region};country=${
+    locale.region.split("_")[1]
+  };`;
+
+let baseCookie: string = localeCookie(locales[defaultLocale]);
 
 interface CustomHeaders extends IncomingHttpHeaders {
   "X-XSRF-TOKEN"?: string | undefined;
@@ -19,13 +57,13 @@ interface CustomHeaders extends IncomingHttpHeaders {
   "content-type"?: string | undefined;
 }
 
-let baseHeaders: CustomHeaders = {
+const baseHeaders: CustomHeaders = {
   "content-type": "application/json",
   cookie: baseCookie,
   "user-agent": userAgent,
 };
 
-let baseTelescopeHeaders: CustomHeaders = {
+const baseTelescopeHeaders: CustomHeaders = {
   accept: "application/json, text/plain, */*",
   "accept-language": "en-GB,en;q=0.9,en-US;q=0.8,fr;q=0.7,nl;q=0.6,et;q=0.5",
   "cache-control": "no-cache",
@@ -39,7 +77,7 @@ let baseTelescopeHeaders: CustomHeaders = {
   "sec-fetch-site": "same-site",
 };
 
-let basePostHeaders: CustomHeaders = {
+const basePostHeaders: CustomHeaders = {
   "content-type": "text/plain",
   cookie: baseCookie,
   "user-agent": userAgent,
@@ -49,7 +87,6 @@ let baseUrl: string = "https://profile.callofduty.com";
 let apiPath: string = "/api/papi-client";
 let baseTelescopeUrl: string = "https://telescope.callofduty.com";
 let apiTelescopePath: string = "/api/ts-api";
-let loggedIn: boolean = false;
 
 enum platforms {
   All = "all",
@@ -103,6 +140,103 @@ enum generics {
   UNO_NO_NUMERICAL_ID = `You must use a numerical ID when using the platform 'uno'.\nIf using an Activision ID, please use the platform 'acti'.`,
 }
 
+interface ApiErrorDetails {
+  statusCode?: number;
+  endpoint?: string;
+  payload?: unknown;
+}
+
+class ApiError extends Error {
+  statusCode: number | undefined;
+  endpoint: string | undefined;
+  payload: unknown;
+
+  constructor(message: string, details: ApiErrorDetails = {}) {
+    super(message);
+    this.name = new.target.name;
+    this.statusCode = details.statusCode;
+    this.endpoint = details.endpoint;
+    this.payload = details.payload;
+  }
+}
+
+class NotLoggedInError extends ApiError {}
+
+class InvalidTokenError extends ApiError {}
+
+class RateLimitedError extends ApiError {
+  retryAfter: number | undefined;
+
+  constructor(
+    message: string,
+    details: ApiErrorDetails = {},
+    retryAfter?: number
+  ) {
+    super(message, details);
+    this.retryAfter = retryAfter;
+  }
+}
+
+class UpstreamUnavailableError extends ApiError {}
+
+class PlayerNotFoundError extends ApiError {}
+
+class PrivateProfileError extends ApiError {}
+
+class InvalidPlatformError extends ApiError {}
+
+class UnsupportedOperationError extends ApiError {}
+
+// Accepts "fr", "fr-FR" or "fr_FR".
+const resolveLocale = (locale: string): LocaleSettings => {
+  const settings = locales[locale.toLowerCase().split(/[-_]/)[0]];
+  if (!settings)
+    throw new UnsupportedOperationError(`Locale '${locale}' is not supported.`);
+  return settings;
+};
+
+const upstreamErrorMessage = (payload: any): string | undefined => {
+  if (!payload || typeof payload !== "object") return undefined;
+  if (payload.data && typeof payload.data.message === "string")
+    return payload.data.message;
+  if (payload.error && typeof payload.error.msg === "string")
+    return payload.error.msg;
+  if (typeof payload.message === "string") return payload.message;
+  return undefined;
+};
+
+// Activision answers most failures with a 200 and a body like
+// `{ status: "error", data: { message: "Not permitted: not allowed" } }`,
+// so the message text is the only reliable signal of what went wrong.
+const toApiError = (
+  statusCode: number,
+  endpoint: string,
+  payload: unknown
+): ApiError => {
+  const message =
+    upstreamErrorMessage(payload) || `Received status code: '${statusCode}'.`;
+  const details = { statusCode, endpoint, payload };
+  const text = message.toLowerCase();
+
+  if (
+    statusCode === 401 ||
+    text.includes("not authenticated") ||
+    text.includes("unauthorized") ||
+    text.includes("invalid token")
+  )
+    return new InvalidTokenError(message, details);
+  if (statusCode === 429 || text.includes("rate limit"))
+    return new RateLimitedError(message, details);
+  if (text.includes("user not found") || text.includes("player not found"))
+    return new PlayerNotFoundError(message, details);
+  if (text.includes("not allowed"))
+    return new PrivateProfileError(message, details);
+  if (statusCode === 403) return new InvalidTokenError(message, details);
+  if (statusCode === 404) return new PlayerNotFoundError(message, details);
+  if (statusCode >= 500) return new UpstreamUnavailableError(message, details);
+  return new ApiError(message, details);
+};
+
 interface telescopeLoginUmbrellaResponse {
   accessToken: string;
   unoUsername: string;
@@ -121,153 +255,1107 @@ interface telescopeLoginErrorResponse {
   error: telescopeLoginErrorNestedResponse;
 }
 
-let telescopeUnoToken = "";
+interface TransportRequest {
+  method: "GET" | "POST";
+  url: string;
+  headers: CustomHeaders;
+  body?: string;
+}
+
+interface TransportResponse {
+  statusCode: number;
+  headers: IncomingHttpHeaders;
+  body: string;
+}
+
+type Transport = (req: TransportRequest) => Promise<TransportResponse>;
+
+interface Fixture {
+  request: { method: string; url: string; body?: string };
+  response: TransportResponse;
+}
+
+const undiciTransport: Transport = async (req) => {
+  const { body, statusCode, headers } = await request(req.url, {
+    method: req.method,
+    headers: req.headers,
+    body: req.body,
+  });
+  return { statusCode, headers, body: await body.text() };
+};
 
-const enableDebugMode = () => (debugMode = true);
+// The SSO token ends up in some papi paths (eventFeed, identities), and the
+// telescope token in the bearer header.
+const requestSecrets = (req: TransportRequest): string[] =>
+  [
+    req.headers.atkn,
+    (req.headers.authorization || "").replace(/^Bearer /, ""),
+  ].filter((secret): secret is string => !!secret);
 
-const disableDebugMode = () => (debugMode = false);
+const credentialKey = /^(email|password|accessToken|refreshToken|ssoToken)$/i;
 
-const sendTelescopeRequest = async (url: string) => {
+const redactCredentials = (body: string | undefined) => {
+  if (!body) return body;
   try {
-    if (!loggedIn) throw new Error("Not Logged In!");
-    let requestUrl = `${baseTelescopeUrl}${apiTelescopePath}${url}`;
-    if (debugMode) console.log(`[DEBUG]`, `Request Uri: ${requestUrl}`);
-    baseTelescopeHeaders.authorization = `Bearer ${telescopeUnoToken}`;
-    const { body, statusCode } = await request(requestUrl, {
-      headers: baseTelescopeHeaders,
-    });
+    return JSON.stringify(JSON.parse(body), (key, value) =>
+      credentialKey.test(key) && typeof value === "string"
+        ? redactedToken
+        : value
+    );
+  } catch (exception: unknown) {
+    return body;
+  }
+};
 
-    if (statusCode >= 500)
+// Fixtures are stored and looked up by the redacted request, so they are
+// safe to commit and replay with any token.
+const redactRequest = (req: TransportRequest): Fixture["request"] => ({
+  method: req.method,
+  url: redactUrl(req.url, requestSecrets(req)),
+  body: redactCredentials(req.body),
+});
+
+const fixtureName = (request: Fixture["request"]): string =>
+  createHash("sha1")
+    .update(`${request.method} ${request.url}\n${request.body || ""}`)
+    .digest("hex") + ".json";
+
+// Forwards every request to `transport` and saves the request/response pair
+// under `fixtureDir` so it can be served back later by a replay transport.
+const createRecordingTransport = (
+  fixtureDir: string,
+  transport: Transport = undiciTransport
+): Transport => {
+  return async (req) => {
+    const response = await transport(req);
+    const request = redactRequest(req);
+    const { "set-cookie": _cookies, ...headers } = response.headers;
+    const fixture: Fixture = {
+      request,
+      response: {
+        ...response,
+        headers,
+        body: redactCredentials(response.body)!,
+      },
+    };
+    await fs.mkdir(fixtureDir, { recursive: true });
+    await fs.writeFile(
+      join(fixtureDir, fixtureName(request)),
+      JSON.stringify(fixture, null, 2)
+    );
+    return response;
+  };
+};
+
+// Serves responses saved by a recording transport without touching the network.
+const createReplayTransport = (fixtureDir: string): Transport => {
+  return async (req) => {
+    let contents: string;
+    try {
+      contents = await fs.readFile(
+        join(fixtureDir, fixtureName(redactRequest(req))),
+        "utf8"
+      );
+    } catch (exception: unknown) {
       throw new Error(
-        `Received status code: '${statusCode}'. Route may be down or not exist.`
+        `No recorded fixture for ${req.method} ${redactRequest(req).url}`
       );
+    }
+    const fixture: Fixture = JSON.parse(contents);
+    return fixture.response;
+  };
+};
 
-    let response = await body.json();
+interface RetryOptions {
+  retries: number;
+  minDelay: number;
+  maxDelay: number;
+  factor: number;
+  jitter: boolean;
+}
 
-    return response;
-  } catch (exception: unknown) {
-    throw exception;
-  }
+const defaultRetryOptions: RetryOptions = {
+  retries: 3,
+  minDelay: 500,
+  maxDelay: 10000,
+  factor: 2,
+  jitter: true,
 };
 
-const sendRequest = async (url: string) => {
-  try {
-    if (!loggedIn) throw new Error("Not Logged In.");
-    let requestUrl = `${baseUrl}${apiPath}${url}`;
+const defaultConcurrency = 4;
+
+const sleep = (ms: number) =>
+  new Promise<void>((resolve) => setTimeout(resolve, ms));
+
+// Retry-After is either a number of seconds or an HTTP date.
+const parseRetryAfter = (
+  value: string | string[] | undefined
+): number | undefined => {
+  if (Array.isArray(value)) value = value[0];
+  if (!value) return undefined;
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  if (isNaN(date)) return undefined;
+  return Math.max(0, date - Date.now());
+};
+
+const createLimiter = (concurrency: number) => {
+  let active = 0;
+  const queue: (() => void)[] = [];
 
-    if (debugMode) console.log(`[DEBUG]`, `Request Uri: ${requestUrl}`);
-    if (debugMode) console.time("Round Trip");
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) return;
+    active++;
+    queue.shift()!();
+  };
 
-    const { body, statusCode } = await request(requestUrl, {
-      headers: baseHeaders,
+  return <T>(task: () => Promise<T>): Promise<T> =>
+    new Promise<T>((resolve, reject) => {
+      queue.push(() =>
+        task()
+          .then(resolve, reject)
+          .finally(() => {
+            active--;
+            next();
+          })
+      );
+      next();
     });
+};
 
-    if (debugMode) console.timeEnd("Round Trip");
+interface StoredTelescopeToken {
+  accessToken: string;
+  unoUsername: string;
+  expiresAt: number;
+}
 
-    if (statusCode >= 500)
-      throw new Error(
-        `Received status code: '${statusCode}'. Route may be down or not exist.`
+interface TokenStore {
+  load: () => Promise<StoredTelescopeToken | undefined>;
+  save: (token: StoredTelescopeToken) => Promise<void>;
+  clear: () => Promise<void>;
+}
+
+const createMemoryTokenStore = (): TokenStore => {
+  let stored: StoredTelescopeToken | undefined;
+  return {
+    load: async () => stored,
+    save: async (token) => {
+      stored = token;
+    },
+    clear: async () => {
+      stored = undefined;
+    },
+  };
+};
+
+// Keeps the token encrypted at rest (AES-256-GCM, key derived from `secret`)
+// so a restart doesn't force a fresh email/password login.
+const createFileTokenStore = (file: string, secret: string): TokenStore => {
+  const deriveKey = (salt: Buffer) => scryptSync(secret, salt, 32);
+
+  return {
+    load: async () => {
+      let contents: string;
+      try {
+        contents = await fs.readFile(file, "utf8");
+      } catch (exception: any) {
+        if (exception.code === "ENOENT") return undefined;
+        throw exception;
+      }
+      const { salt, iv, tag, data } = JSON.parse(contents);
+      const decipher = createDecipheriv(
+        "aes-256-gcm",
+        deriveKey(Buffer.from(salt, "base64")),
+        Buffer.from(iv, "base64")
       );
+      decipher.setAuthTag(Buffer.from(tag, "base64"));
+      const plain = Buffer.concat([
+        decipher.update(Buffer.from(data, "base64")),
+        decipher.final(),
+      ]);
+      return JSON.parse(plain.toString("utf8"));
+    },
+    save: async (token) => {
+      const salt = randomBytes(16);
+      const iv = randomBytes(12);
+      const cipher = createCipheriv("aes-256-gcm", deriveKey(salt), iv);
+      const data = Buffer.concat([
+        cipher.update(JSON.stringify(token), "utf8"),
+        cipher.final(),
+      ]);
+      const contents = {
+        salt: salt.toString("base64"),
+        iv: iv.toString("base64"),
+        tag: cipher.getAuthTag().toString("base64"),
+        data: data.toString("base64"),
+      };
+      await fs.writeFile(file, JSON.stringify(contents), { mode: 0o600 });
+    },
+    clear: async () => {
+      try {
+        await fs.unlink(file);
+      } catch (exception: any) {
+        if (exception.code !== "ENOENT") throw exception;
+      }
+    },
+  };
+};
+
+const defaultTokenRefreshMargin = 5 * 60 * 1000;
+
+interface AccountIdentity {
+  title: string;
+  platform: string;
+  username: string;
+  activeDate: Date | undefined;
+}
+
+interface AccountInfo {
+  identities: AccountIdentity[];
+  platform: string | undefined;
+  username: string | undefined;
+  expiresAt: Date | undefined;
+}
+
+interface LoginOptions {
+  verify?: boolean;
+}
+
+interface LoginFunction {
+  (ssoToken: string, options?: { verify?: false }): boolean;
+  (ssoToken: string, options: { verify: true }): Promise<AccountInfo>;
+}
+
+// ACT_SSO_COOKIE is base64 of `<account id>:<expiry in ms>:<signature>`.
+const ssoTokenExpiry = (ssoToken: string): Date | undefined => {
+  const parts = Buffer.from(ssoToken, "base64").toString("utf8").split(":");
+  const expiry = Number(parts[1]);
+  if (parts.length < 3 || !expiry || isNaN(expiry)) return undefined;
+  return new Date(expiry);
+};
+
+interface CacheEntry {
+  value: unknown;
+  // `null` keeps the entry until it is evicted.
+  expiresAt: number | null;
+}
+
+interface CacheStore {
+  get: (key: string) => Promise<CacheEntry | undefined>;
+  set: (key: string, entry: CacheEntry) => Promise<void>;
+  delete: (key: string) => Promise<void>;
+}
+
+type CacheCategory =
+  | "combatHistory"
+  | "fullData"
+  | "matchInfo"
+  | "mapList"
+  | "loot"
+  | "purchasableItems"
+  | "bundleInformation";
+
+const hour = 60 * 60 * 1000;
+
+const defaultCacheTtls: Record<CacheCategory, number> = {
+  combatHistory: 60 * 1000,
+  fullData: 10 * 60 * 1000,
+  matchInfo: Infinity,
+  mapList: 24 * hour,
+  loot: 24 * hour,
+  purchasableItems: 6 * hour,
+  bundleInformation: 6 * hour,
+};
+
+// Anything not matched here (identities, feeds, settings, search...) is
+// never cached.
+const cacheCategories: [RegExp, CacheCategory][] = [
+  [/\/fullMatch\/|\/cr\/v1\/title\/[^/]+\/match\//, "matchInfo"],
+  [/\/matches\/|\/cr\/v1\/title\/[^/]+\/matches\?/, "combatHistory"],
+  [/\/profile\/type\/|\/cr\/v1\/title\/[^/]+\/lifetime\?/, "fullData"],
+  [/\/communityMapData\//, "mapList"],
+  [/\/loot\//, "loot"],
+  [/\/purchasable\//, "purchasableItems"],
+  [/\/inventory\/v1\/title\/[^/]+\/bundle\//, "bundleInformation"],
+];
+
+const cacheCategory = (url: string): CacheCategory | undefined => {
+  const match = cacheCategories.find(([pattern]) => pattern.test(url));
+  return match && match[1];
+};
+
+// Keys are scoped to a hash of the token the request was sent with, so one
+// account can never be served another account's cached or in-flight data.
+const cacheKey = (req: TransportRequest): string => {
+  const token = req.headers.authorization || req.headers.atkn || "";
+  const identity = createHash("sha256").update(token).digest("hex");
+  return `${identity.slice(0, 16)}:${req.url}`;
+};
+
+// Payloads are parsed JSON, so a JSON round trip copies them exactly.
+const clonePayload = (payload: unknown): unknown =>
+  payload === undefined ? undefined : JSON.parse(JSON.stringify(payload));
+
+const isFresh = (entry: CacheEntry) =>
+  entry.expiresAt === null || entry.expiresAt > Date.now();
+
+// Entries are kept serialized so callers can't mutate each other's results.
+// The least recently used are evicted past `maxEntries` or `maxBytes` of
+// serialized entries, whichever comes first.
+const createMemoryCache = (
+  maxEntries: number = 500,
+  maxBytes: number = 32 * 1024 * 1024
+): CacheStore => {
+  const entries = new Map<string, string>();
+  let bytes = 0;
+  const remove = (key: string) => {
+    const stored = entries.get(key);
+    if (stored === undefined) return;
+    bytes -= Buffer.byteLength(stored);
+    entries.delete(key);
+  };
+
+  return {
+    get: async (key) => {
+      const stored = entries.get(key);
+      if (stored === undefined) return undefined;
+      const entry: CacheEntry = JSON.parse(stored);
+      if (!isFresh(entry)) {
+        remove(key);
+        return undefined;
+      }
+      // Re-insert to mark as most recently used.
+      entries.delete(key);
+      entries.set(key, stored);
+      return entry;
+    },
+    set: async (key, entry) => {
+      remove(key);
+      const stored = JSON.stringify(entry);
+      entries.set(key, stored);
+      bytes += Buffer.byteLength(stored);
+      while (
+        entries.size > maxEntries ||
+        (bytes > maxBytes && entries.size > 1)
+      )
+        remove(entries.keys().next().value as string);
+    },
+    delete: async (key) => {
+      remove(key);
+    },
+  };
+};
+
+interface FileCacheOptions {
+  maxEntries?: number;
+  // Writes between sweeps.
+  sweepEvery?: number;
+}
+
+interface FileCache extends CacheStore {
+  sweep: () => Promise<void>;
+}
+
+// Expired entries are removed when they're read. Every `sweepEvery` writes, a
+// sweep removes the rest of the expired ones and then the least recently
+// written beyond `maxEntries`.
+const createFileCache = (
+  cacheDir: string,
+  options: FileCacheOptions = {}
+): FileCache => {
+  const { maxEntries = 5000, sweepEvery = 100 } = options;
+  let writes = 0;
+  const entryPath = (key: string) =>
+    join(cacheDir, createHash("sha1").update(key).digest("hex") + ".json");
+  const remove = (file: string) => fs.unlink(file).catch(() => undefined);
+
+  const sweep = async () => {
+    const names = await fs.readdir(cacheDir).catch(() => [] as string[]);
+    const kept: { file: string; written: number }[] = [];
+    for (const name of names.filter((name) => name.endsWith(".json"))) {
+      const file = join(cacheDir, name);
+      try {
+        const entry: CacheEntry = JSON.parse(await fs.readFile(file, "utf8"));
+        if (!isFresh(entry)) await remove(file);
+        else kept.push({ file, written: (await fs.stat(file)).mtimeMs });
+      } catch (exception: unknown) {
+        // Removed meanwhile, or still being written.
+      }
+    }
+    kept.sort((a, b) => a.written - b.written);
+    for (const { file } of kept.slice(0, Math.max(0, kept.length - maxEntries)))
+      await remove(file);
+  };
+
+  return {
+    get: async (key) => {
+      let entry: CacheEntry;
+      try {
+        entry = JSON.parse(await fs.readFile(entryPath(key), "utf8"));
+      } catch (exception: unknown) {
+        return undefined;
+      }
+      if (isFresh(entry)) return entry;
+      await remove(entryPath(key));
+      return undefined;
+    },
+    set: async (key, entry) => {
+      await fs.mkdir(cacheDir, { recursive: true });
+      await fs.writeFile(entryPath(key), JSON.stringify(entry));
+      if (++writes % sweepEvery === 0) await sweep();
+    },
+    delete: async (key) => {
+      await remove(entryPath(key));
+    },
+    sweep,
+  };
+};
+
+// Payloads of the `request`, `response`, `retry` and `error` events. URLs have
+// any token embedded in them replaced before they are emitted.
+interface RequestEvent {
+  method: TransportRequest["method"];
+  url: string;
+  title: string | undefined;
+  attempt: number;
+}
+
+interface ResponseEvent extends RequestEvent {
+  status: number;
+  duration: number;
+  bytes: number;
+}
+
+interface RetryEvent extends RequestEvent {
+  status: number | undefined;
+  delay: number;
+}
+
+interface RequestErrorEvent extends RequestEvent {
+  status: number | undefined;
+  duration: number;
+  error: ApiError;
+}
+
+const redactedToken = "[REDACTED]";
+
+const redactUrl = (url: string, secrets: string[]) =>
+  secrets
+    .filter((secret) => secret.length > 0)
+    .reduce(
+      (redacted, secret) =>
+        redacted
+          .split(secret)
+          .join(redactedToken)
+          .split(encodeURIComponent(secret))
+          .join(redactedToken),
+      url
+    );
+
+interface ClientOptions {
+  ssoToken?: string;
+  debug?: boolean;
+  transport?: Transport;
+  retry?: Partial<RetryOptions>;
+  concurrency?: number;
+  tokenStore?: TokenStore;
+  refreshTelescopeToken?: boolean;
+  tokenRefreshMargin?: number;
+  cache?: CacheStore;
+  cacheTtls?: Partial<Record<CacheCategory, number>>;
+  locale?: string;
+}
+
+interface LocaleOptions {
+  locale?: string;
+}
 
-    let response = await body.json();
+class Client extends EventEmitter {
+  ssoToken: string = "";
+  telescopeUnoToken: string = "";
+  telescopeTokenExpiresAt: number | undefined;
+  unoUsername: string | undefined;
+  tokenStore: TokenStore | undefined;
+  tokenRefreshMargin: number = defaultTokenRefreshMargin;
+  telescopeCredentials: { username: string; password: string } | undefined;
+  refreshTelescopeToken: boolean = false;
+  tokenExpiringEmitted: boolean = false;
+  refreshing: Promise<boolean> | undefined;
+  loggedIn: boolean = false;
+  locale: string = defaultLocale;
+  debugMode: boolean = false;
+  headers: CustomHeaders = { ...baseHeaders };
+  postHeaders: CustomHeaders = { ...basePostHeaders };
+  telescopeHeaders: CustomHeaders = { ...baseTelescopeHeaders };
+  transport: Transport = undiciTransport;
+  retry: RetryOptions = { ...defaultRetryOptions };
+  limit = createLimiter(defaultConcurrency);
+  cache: CacheStore | undefined;
+  cacheTtls: Record<CacheCategory, number> = { ...defaultCacheTtls };
+  inflight = new Map<string, { request: Promise<unknown>; waiters: number }>();
+  unoIds = new Map<string, string>();
+
+  titles: Record<string, PapiTitle | TelescopeTitle> = Object.fromEntries(
+    Object.entries(titleRegistry).map(([key, definition]) => [
+      key,
+      createTitle(this, definition),
+    ])
+  );
+
+  Warzone = this.titles.wz as PapiTitle;
+  ModernWarfare = this.titles.mw as PapiTitle;
+  ModernWarfare2 = this.titles.mw2 as TelescopeTitle;
+  Warzone2 = this.titles.wz2 as TelescopeTitle;
+  ModernWarfare3 = this.titles.mw3 as TelescopeTitle;
+  WarzoneMobile = this.titles.wzm as TelescopeTitle;
+  ColdWar = this.titles.cw as PapiTitle;
+  Vanguard = this.titles.vg as PapiTitle;
+  Store = new SHOP(this);
+  Me = new USER(this);
+  Misc = new ALT(this);
+
+  constructor(options: ClientOptions = {}) {
+    super();
+    if (options.transport) this.transport = options.transport;
+    if (options.retry) this.retry = { ...this.retry, ...options.retry };
+    if (options.concurrency) this.limit = createLimiter(options.concurrency);
+    if (options.debug) this.enableDebugMode();
+    if (options.locale) this.setLocale(options.locale);
+    if (options.cache) this.cache = options.cache;
+    if (options.cacheTtls)
+      this.cacheTtls = { ...this.cacheTtls, ...options.cacheTtls };
+    if (options.tokenStore) this.tokenStore = options.tokenStore;
+    if (options.refreshTelescopeToken) this.refreshTelescopeToken = true;
+    if (options.tokenRefreshMargin !== undefined)
+      this.tokenRefreshMargin = options.tokenRefreshMargin;
+    if (options.ssoToken) this.login(options.ssoToken);
+  }
 
-    if (debugMode)
+  // Debug output is just a console subscriber to the request events.
+  debugListeners = {
+    request: (event: RequestEvent) =>
+      console.log(`[DEBUG]`, `Request Uri: ${event.url}`),
+    response: (event: ResponseEvent) =>
       console.log(
         `[DEBUG]`,
-        `Body Size: ${JSON.stringify(response).length} bytes.`
+        `${event.status} ${event.url} in ${event.duration}ms, body size: ${event.bytes} bytes.`
+      ),
+    retry: (event: RetryEvent) =>
+      console.log(
+        `[DEBUG]`,
+        `Retrying ${event.url} in ${Math.round(event.delay)}ms (attempt ${
+          event.attempt + 1
+        }/${this.retry.retries}).`
+      ),
+    error: (event: RequestErrorEvent) =>
+      console.log(`[DEBUG]`, `${event.error.name}: ${event.error.message}`),
+  };
+
+  enableDebugMode = () => {
+    if (!this.debugMode)
+      for (const [event, listener] of Object.entries(this.debugListeners))
+        this.on(event, listener);
+    return (this.debugMode = true);
+  };
+
+  disableDebugMode = () => {
+    for (const [event, listener] of Object.entries(this.debugListeners))
+      this.off(event, listener);
+    return (this.debugMode = false);
+  };
+
+  setLocale = (locale: string) => {
+    const previous = localeCookie(this.localeFor());
+    this.locale = resolveLocale(locale).code;
+    for (const headers of [this.headers, this.postHeaders])
+      if (headers.cookie)
+        headers.cookie = headers.cookie.replace(
+          previous,
+          localeCookie(this.localeFor())
+        );
+  };
+
+  // A per-call locale wins over the client's.
+  localeFor = (locale?: string) => resolveLocale(locale || this.locale);
+
+  redact = (url: string) =>
+    redactUrl(url, [this.ssoToken, this.telescopeUnoToken]);
+
+  sendTelescopeRequest = async (url: string, title?: string) => {
+    try {
+      if (!this.loggedIn) throw new NotLoggedInError("Not Logged In!");
+      await this.checkTelescopeToken();
+      let requestUrl = `${baseTelescopeUrl}${apiTelescopePath}${url}`;
+      this.telescopeHeaders.authorization = `Bearer ${this.telescopeUnoToken}`;
+
+      let response = await this.dispatch(
+        {
+          method: "GET",
+          url: requestUrl,
+          headers: this.telescopeHeaders,
+        },
+        title
       );
 
-    return response;
-  } catch (exception: unknown) {
-    throw exception;
-  }
-};
+      return response;
+    } catch (exception: unknown) {
+      throw exception;
+    }
+  };
 
-const sendPostRequest = async (url: string, data: string) => {
-  try {
-    if (!loggedIn) throw new Error("Not Logged In.");
-    let requestUrl = `${baseUrl}${apiPath}${url}`;
-    const { body, statusCode } = await request(requestUrl, {
-      method: "POST",
-      headers: basePostHeaders,
-      body: data,
+  sendRequest = async (url: string, title?: string) => {
+    try {
+      if (!this.loggedIn) throw new NotLoggedInError("Not Logged In.");
+      let requestUrl = `${baseUrl}${apiPath}${url}`;
+
+      let response = await this.dispatch(
+        {
+          method: "GET",
+          url: requestUrl,
+          headers: this.headers,
+        },
+        title
+      );
+
+      return response;
+    } catch (exception: unknown) {
+      throw exception;
+    }
+  };
+
+  sendPostRequest = async (url: string, data: string) => {
+    try {
+      if (!this.loggedIn) throw new NotLoggedInError("Not Logged In.");
+      let requestUrl = `${baseUrl}${apiPath}${url}`;
+
+      let response = await this.dispatch({
+        method: "POST",
+        url: requestUrl,
+        headers: this.postHeaders,
+        body: data,
+      });
+
+      return response;
+    } catch (exception: unknown) {
+      throw exception;
+    }
+  };
+
+  // Shared by the papi-client and telescope backends so both follow the same
+  // retry policy and count against the same concurrency limit. Only the
+  // transport call takes a slot, so a request backing off doesn't hold one.
+  dispatch = async (
+    req: TransportRequest,
+    title?: string
+  ): Promise<unknown> => {
+    if (req.method !== "GET") return await this.send(req, title);
+
+    // Identical GETs made while one is already on the wire share its result.
+    // Once it is shared, every caller gets a copy so none can mutate another's.
+    const key = cacheKey(req);
+    const pending = this.inflight.get(key);
+    if (pending) {
+      pending.waiters++;
+      return clonePayload(await pending.request);
+    }
+
+    const inflight = {
+      request: this.fetchCached(req, key, title).finally(() =>
+        this.inflight.delete(key)
+      ),
+      waiters: 0,
+    };
+    this.inflight.set(key, inflight);
+    const payload = await inflight.request;
+    return inflight.waiters > 0 ? clonePayload(payload) : payload;
+  };
+
+  fetchCached = async (req: TransportRequest, key: string, title?: string) => {
+    const category = cacheCategory(req.url);
+    const ttl = category ? this.cacheTtls[category] : 0;
+    if (!this.cache || !ttl) return await this.send(req, title);
+
+    const cached = await this.cache.get(key);
+    if (cached && isFresh(cached)) return cached.value;
+
+    const value = await this.send(req, title);
+    await this.cache.set(key, {
+      value,
+      expiresAt: ttl === Infinity ? null : Date.now() + ttl,
     });
+    return value;
+  };
 
-    if (statusCode >= 500)
-      throw new Error(
-        `Received status code: '${statusCode}'. Route may be down or not exist.`
+  // The final failure, after any retries, is reported to `error` listeners.
+  // Node throws on an `error` event nobody listens to, hence the check.
+  send = async (req: TransportRequest, title?: string): Promise<unknown> => {
+    const url = this.redact(req.url);
+    const started = Date.now();
+    let attempt = 0;
+    try {
+      for (; ; attempt++) {
+        const event: RequestEvent = { method: req.method, url, title, attempt };
+        // A failed POST may already have been applied upstream, so only a 429
+        // (which guarantees it was not) is safe to send again.
+        const canRetry = attempt < this.retry.retries;
+        let res: TransportResponse;
+
+        this.emit("request", event);
+        const sent = Date.now();
+        try {
+          res = await this.limit(() => this.transport(req));
+        } catch (exception: unknown) {
+          if (canRetry && req.method !== "POST") {
+            await this.backoff(event);
+            continue;
+          }
+          throw new UpstreamUnavailableError(
+            exception instanceof Error ? exception.message : String(exception),
+            { endpoint: url }
+          );
+        }
+
+        const { body, statusCode, headers } = res;
+        const response: ResponseEvent = {
+          ...event,
+          status: statusCode,
+          duration: Date.now() - sent,
+          bytes: Buffer.byteLength(body),
+        };
+        this.emit("response", response);
+
+        if (statusCode === 429) {
+          const retryAfter = parseRetryAfter(headers["retry-after"]);
+          // A server asking for a longer wait than we'd ever back off for is
+          // better reported to the caller than slept through.
+          if (
+            canRetry &&
+            (retryAfter === undefined || retryAfter <= this.retry.maxDelay)
+          ) {
+            await this.backoff(event, statusCode, retryAfter);
+            continue;
+          }
+          throw new RateLimitedError(
+            `Received status code: '${statusCode}'. Rate limited, try again later.`,
+            { statusCode, endpoint: url, payload: body },
+            retryAfter
+          );
+        }
+
+        if (statusCode >= 500) {
+          if (canRetry && req.method !== "POST") {
+            await this.backoff(event, statusCode);
+            continue;
+          }
+          throw new UpstreamUnavailableError(
+            `Received status code: '${statusCode}'. Route may be down or not exist.`,
+            { statusCode, endpoint: url, payload: body }
+          );
+        }
+
+        let payload: any;
+        try {
+          payload = JSON.parse(body);
+        } catch (exception: unknown) {
+          // An expired SSO token gets redirected to the HTML login page.
+          if (statusCode < 400)
+            throw new InvalidTokenError(
+              "Failed to parse API response. The SSO token is likely invalid or expired.",
+              { statusCode, endpoint: url, payload: body }
+            );
+          throw toApiError(statusCode, url, body);
+        }
+
+        if (statusCode >= 400 || (payload && payload.status === "error"))
+          throw toApiError(statusCode, url, payload);
+
+        return payload;
+      }
+    } catch (exception: unknown) {
+      if (exception instanceof ApiError && this.listenerCount("error") > 0) {
+        const event: RequestErrorEvent = {
+          method: req.method,
+          url,
+          title,
+          attempt,
+          status: exception.statusCode,
+          duration: Date.now() - started,
+          error: exception,
+        };
+        this.emit("error", event);
+      }
+      throw exception;
+    }
+  };
+
+  backoff = async (event: RequestEvent, status?: number, wait?: number) => {
+    let delay = wait;
+    if (delay === undefined) {
+      const { minDelay, maxDelay, factor, jitter } = this.retry;
+      delay = Math.min(maxDelay, minDelay * Math.pow(factor, event.attempt));
+      if (jitter) delay = delay / 2 + Math.random() * (delay / 2);
+    }
+    const retry: RetryEvent = { ...event, status, delay };
+    this.emit("retry", retry);
+    await sleep(delay);
+  };
+
+  // Uno IDs never change, so each lookup is remembered for the life of the
+  // client, and in the response cache when one is configured.
+  resolveUnoId = async (
+    gamertag: string,
+    platform: platforms
+  ): Promise<string> => {
+    const key = `uno:${platform}:${gamertag.toLowerCase()}`;
+    const known = this.unoIds.get(key);
+    if (known) return known;
+
+    const cached = this.cache ? await this.cache.get(key) : undefined;
+    const unoId =
+      (cached && (cached.value as string)) ||
+      (await this.unoIdFromSearch(gamertag, platform)) ||
+      (await this.unoIdFromAccounts(gamertag, platform));
+    if (!unoId)
+      throw new PlayerNotFoundError(
+        `Could not find the Uno ID of '${gamertag}' on ${platform}.`
       );
 
-    let response = await body.json();
+    this.unoIds.set(key, unoId);
+    if (this.cache && !cached)
+      await this.cache.set(key, { value: unoId, expiresAt: null });
+    return unoId;
+  };
 
-    return response;
-  } catch (exception: unknown) {
-    throw exception;
-  }
+  unoIdFromSearch = async (gamertag: string, platform: platforms) => {
+    const results = unwrap(
+      await this.Misc.search(gamertag, platform).catch(() => undefined)
+    );
+    return numericId(
+      pick(searchMatch(results, gamertag), "accountId", "unoId", "uno")
+    );
+  };
+
+  unoIdFromAccounts = async (gamertag: string, platform: platforms) => {
+    const accounts = unwrap(
+      await this.Me.connectedAccounts(gamertag, platform)
+    );
+    const uno = pick(accounts, "uno", "unoId", "accountId");
+    return numericId(
+      uno && typeof uno === "object" ? pick(uno, "id", "username") : uno
+    );
+  };
+
+  titleRequest = async (
+    game: string,
+    operation: TitleOperation,
+    params: TitleRequestParams = {}
+  ) => {
+    const title = this.titles[game];
+    if (!title)
+      throw new UnsupportedOperationError(`Game '${game}' is not supported.`);
+    title.checkSupports(operation);
+    return await title.run(operation, params);
+  };
+
+  login = ((ssoToken: string, options: LoginOptions = {}) => {
+    if (!ssoToken || ssoToken.trim().length <= 0)
+      return options.verify
+        ? Promise.reject(new InvalidTokenError("No SSO token was provided."))
+        : false;
+    let fakeXSRF = "68e8b62e-1d9d-4ce1-b93f-cbe5ff31a041";
+    this.headers["X-XSRF-TOKEN"] = fakeXSRF;
+    this.headers["X-CSRF-TOKEN"] = fakeXSRF;
+    this.headers["Atvi-Auth"] = ssoToken;
+    this.headers["ACT_SSO_COOKIE"] = ssoToken;
+    this.headers["atkn"] = ssoToken;
+    this.headers["cookie"] = `${localeCookie(
+      this.localeFor()
+    )}ACT_SSO_COOKIE=${ssoToken};XSRF-TOKEN=${fakeXSRF};API_CSRF_TOKEN=${fakeXSRF};ACT_SSO_EVENT="LOGIN_SUCCESS:1644346543228";ACT_SSO_COOKIE_EXPIRY=1645556143194;comid=cod;ssoDevId=63025d09c69f47dfa2b8d5520b5b73e4;tfa_enrollment_seen=true;gtm.custom.bot.flag=human;`;
+    this.ssoToken = ssoToken;
+    this.postHeaders["X-XSRF-TOKEN"] = fakeXSRF;
+    this.postHeaders["X-CSRF-TOKEN"] = fakeXSRF;
+    this.postHeaders["Atvi-Auth"] = ssoToken;
+    this.postHeaders["ACT_SSO_COOKIE"] = ssoToken;
+    this.postHeaders["atkn"] = ssoToken;
+    this.postHeaders["cookie"] = `${localeCookie(
+      this.localeFor()
+    )}ACT_SSO_COOKIE=${ssoToken};XSRF-TOKEN=${fakeXSRF};API_CSRF_TOKEN=${fakeXSRF};ACT_SSO_EVENT="LOGIN_SUCCESS:1644346543228";ACT_SSO_COOKIE_EXPIRY=1645556143194;comid=cod;ssoDevId=63025d09c69f47dfa2b8d5520b5b73e4;tfa_enrollment_seen=true;gtm.custom.bot.flag=human;`;
+    this.loggedIn = true;
+    if (options.verify) return this.verifyLogin();
+    return this.loggedIn;
+  }) as LoginFunction;
+
+  // Confirms the SSO token against the loggedInIdentities endpoint and
+  // describes the account it belongs to. A rejected token logs the client out.
+  verifyLogin = async (): Promise<AccountInfo> => {
+    const expiresAt = ssoTokenExpiry(this.ssoToken);
+    if (expiresAt && expiresAt.getTime() <= Date.now()) {
+      this.loggedIn = false;
+      throw new InvalidTokenError(
+        `The SSO token expired on ${expiresAt.toISOString()}.`
+      );
+    }
+
+    let response: any;
+    try {
+      response = await this.Me.loggedInIdentities();
+    } catch (exception: unknown) {
+      if (!(exception instanceof InvalidTokenError)) throw exception;
+      this.loggedIn = false;
+      throw new InvalidTokenError(
+        "The SSO token was rejected. It is likely invalid or expired.",
+        exception
+      );
+    }
+
+    const identities: AccountIdentity[] = (
+      (response.data && response.data.titleIdentities) ||
+      []
+    ).map((identity: any) => ({
+      title: identity.title,
+      platform: identity.platform,
+      username: identity.username,
+      activeDate: identity.activeDate
+        ? new Date(Number(identity.activeDate) * 1000)
+        : undefined,
+    }));
+
+    // The most recently active identity is the best guess at the main account.
+    const primary = identities
+      .slice()
+      .sort(
+        (a, b) =>
+          (b.activeDate ? b.activeDate.getTime() : 0) -
+          (a.activeDate ? a.activeDate.getTime() : 0)
+      )[0];
+
+    return {
+      identities,
+      platform: primary && primary.platform,
+      username: primary && primary.username,
+      expiresAt,
+    };
+  };
+
+  telescopeLogin = async (
+    username: string,
+    password: string
+  ): Promise<boolean> => {
+    if (!username || !password) return false;
+    const { body, statusCode } = await this.transport({
+      method: "POST",
+      url: telescope_login_endpoint,
+      headers: this.headers,
+      body: JSON.stringify({
+        platform: "ios",
+        hardwareType: "ios",
+        auth: {
+          email: username,
+          password: password,
+        },
+        version: 1492,
+      }),
+    });
+
+    if (statusCode === 200) {
+      let response: telescopeLoginResponse = JSON.parse(body);
+      const { accessToken, unoUsername, accessExpiresIn } = response.umbrella;
+      this.setTelescopeToken({
+        accessToken,
+        unoUsername,
+        expiresAt: Date.now() + accessExpiresIn * 1000,
+      });
+      if (this.refreshTelescopeToken)
+        this.telescopeCredentials = { username, password };
+      if (this.tokenStore)
+        await this.tokenStore.save({
+          accessToken,
+          unoUsername,
+          expiresAt: this.telescopeTokenExpiresAt!,
+        });
+    } else if (statusCode === 403) {
+      let errorResponse: telescopeLoginErrorResponse = JSON.parse(body);
+      console.error("Error Logging In:", errorResponse.error.msg);
+    }
+    this.loggedIn = statusCode == 200;
+    return this.loggedIn;
+  };
+
+  // Picks up a telescope token saved by an earlier process, if it hasn't lapsed.
+  restoreTelescopeLogin = async (): Promise<boolean> => {
+    if (!this.tokenStore) return false;
+    const stored = await this.tokenStore.load();
+    if (!stored || stored.expiresAt <= Date.now()) return false;
+    this.setTelescopeToken(stored);
+    this.loggedIn = true;
+    return this.loggedIn;
+  };
+
+  setTelescopeToken = (token: StoredTelescopeToken) => {
+    this.telescopeUnoToken = token.accessToken;
+    this.unoUsername = token.unoUsername;
+    this.telescopeTokenExpiresAt = token.expiresAt;
+    this.tokenExpiringEmitted = false;
+  };
+
+  // Re-authenticates shortly before the token lapses when credentials were
+  // kept, otherwise warns once through a `tokenExpiring` event.
+  checkTelescopeToken = async () => {
+    if (this.telescopeTokenExpiresAt === undefined) return;
+    const remaining = this.telescopeTokenExpiresAt - Date.now();
+    if (remaining > this.tokenRefreshMargin) return;
+
+    if (this.telescopeCredentials) {
+      const { username, password } = this.telescopeCredentials;
+      if (!this.refreshing)
+        this.refreshing = this.telescopeLogin(username, password).finally(
+          () => (this.refreshing = undefined)
+        );
+      if (await this.refreshing) return;
+      throw new InvalidTokenError("Failed to refresh the telescope token.");
+    }
+
+    if (!this.tokenExpiringEmitted) {
+      this.tokenExpiringEmitted = true;
+      this.emit("tokenExpiring", {
+        unoUsername: this.unoUsername,
+        expiresAt: new Date(this.telescopeTokenExpiresAt),
+      });
+    }
+
+    if (remaining <= 0)
+      throw new InvalidTokenError(
+        "The telescope token has expired. Log in again."
+      );
+  };
+}
+
+const createClient = (options: ClientOptions = {}): Client =>
+  new Client(options);
+
+const numericId = (value: unknown) =>
+  value !== undefined && /^\d+$/.test(String(value))
+    ? String(value)
+    : undefined;
+
+// Search is fuzzy, so only trust an exact name or a single result.
+const searchMatch = (results: unknown, gamertag: string): any => {
+  if (!Array.isArray(results)) return undefined;
+  return (
+    results.find(
+      (result: any) =>
+        String(result.username).toLowerCase() === gamertag.toLowerCase()
+    ) || (results.length === 1 ? results[0] : undefined)
+  );
 };
 
 const cleanClientName = (gamertag: string): string => {
   return encodeURIComponent(gamertag);
 };
 
-const login = (ssoToken: string): boolean => {
-  if (!ssoToken || ssoToken.trim().length <= 0) return false;
-  let fakeXSRF = "68e8b62e-1d9d-4ce1-b93f-cbe5ff31a041";
-  baseHeaders["X-XSRF-TOKEN"] = fakeXSRF;
-  baseHeaders["X-CSRF-TOKEN"] = fakeXSRF;
-  baseHeaders["Atvi-Auth"] = ssoToken;
-  baseHeaders["ACT_SSO_COOKIE"] = ssoToken;
-  baseHeaders["atkn"] = ssoToken;
-  baseHeaders[
-    "cookie"
-  ] = `${baseCookie}ACT_SSO_COOKIE=${ssoToken};XSRF-TOKEN=${fakeXSRF};API_CSRF_TOKEN=${fakeXSRF};ACT_SSO_EVENT="LOGIN_SUCCESS:1644346543228";ACT_SSO_COOKIE_EXPIRY=1645556143194;comid=cod;ssoDevId=63025d09c69f47dfa2b8d5520b5b73e4;tfa_enrollment_seen=true;gtm.custom.bot.flag=human;`;
-  baseSsoToken = ssoToken;
-  basePostHeaders["X-XSRF-TOKEN"] = fakeXSRF;
-  basePostHeaders["X-CSRF-TOKEN"] = fakeXSRF;
-  basePostHeaders["Atvi-Auth"] = ssoToken;
-  basePostHeaders["ACT_SSO_COOKIE"] = ssoToken;
-  basePostHeaders["atkn"] = ssoToken;
-  basePostHeaders[
-    "cookie"
-  ] = `${baseCookie}ACT_SSO_COOKIE=${ssoToken};XSRF-TOKEN=${fakeXSRF};API_CSRF_TOKEN=${fakeXSRF};ACT_SSO_EVENT="LOGIN_SUCCESS:1644346543228";ACT_SSO_COOKIE_EXPIRY=1645556143194;comid=cod;ssoDevId=63025d09c69f47dfa2b8d5520b5b73e4;tfa_enrollment_seen=true;gtm.custom.bot.flag=human;`;
-  loggedIn = true;
-  return loggedIn;
-};
-
 const telescope_login_endpoint =
   "https://wzm-ios-loginservice.prod.demonware.net/v1/login/uno/?titleID=7100&client=shg-cod-jup-bnet";
-const telescopeLogin = async (
-  username: string,
-  password: string
-): Promise<boolean> => {
-  if (!username || !password) return false;
-  const { body, statusCode } = await request(telescope_login_endpoint, {
-    method: "POST",
-    headers: baseHeaders,
-    body: JSON.stringify({
-      platform: "ios",
-      hardwareType: "ios",
-      auth: {
-        email: username,
-        password: password,
-      },
-      version: 1492,
-    }),
-  });
-
-  if (statusCode === 200) {
-    let response: telescopeLoginResponse =
-      (await body.json()) as telescopeLoginResponse;
-    let unoToken = response.umbrella.accessToken;
-    telescopeUnoToken = unoToken;
-  } else if (statusCode === 403) {
-    let errorResponse: telescopeLoginErrorResponse =
-      (await body.json()) as telescopeLoginErrorResponse;
-    console.error("Error Logging In:", errorResponse.error.msg);
-  }
-  loggedIn = statusCode == 200;
-  return loggedIn;
-};
 
 const handleLookupType = (platform: platforms) => {
   return platform === platforms.Uno ? "id" : "gamer";
@@ -275,7 +1363,7 @@ const handleLookupType = (platform: platforms) => {
 
 const checkForValidPlatform = (platform: platforms, gamertag?: string) => {
   if (!Object.values(platforms).includes(platform as unknown as platforms))
-    throw new Error(
+    throw new InvalidPlatformError(
       `Platform '${platform}' is not valid.\nTry one of the following:\n${JSON.stringify(
         Object.values(platforms),
         null,
@@ -284,7 +1372,7 @@ const checkForValidPlatform = (platform: platforms, gamertag?: string) => {
     );
 
   if (gamertag && isNaN(Number(gamertag)) && platform === platforms.Uno)
-    throw new Error(generics.UNO_NO_NUMERICAL_ID);
+    throw new InvalidPlatformError(generics.UNO_NO_NUMERICAL_ID);
 };
 
 const mapGamertagToPlatform = (
@@ -297,7 +1385,7 @@ const mapGamertagToPlatform = (
   const lookupType = handleLookupType(platform);
 
   if (!steamSupport && platform === platforms.Steam)
-    throw new Error(generics.STEAM_UNSUPPORTED);
+    throw new InvalidPlatformError(generics.STEAM_UNSUPPORTED);
 
   if (
     platform == platforms.Battlenet ||
@@ -312,25 +1400,80 @@ const mapGamertagToPlatform = (
   return { gamertag, _platform: platform as platforms, lookupType };
 };
 
+interface MatchHistoryOptions {
+  since?: Date | number;
+  until?: Date | number;
+  limit?: number;
+}
+
+const toMillis = (time: Date | number) =>
+  time instanceof Date ? time.getTime() : time;
+
+// combatHistoryWithDate only returns the most recent page before `end`, so
+// walk backwards by moving `end` to the start of the oldest match seen.
+async function* walkMatchHistory(
+  fetchWindow: (startTime: number, endTime: number) => Promise<unknown>,
+  options: MatchHistoryOptions
+): AsyncGenerator<any> {
+  const since = options.since !== undefined ? toMillis(options.since) : 0;
+  const seen = new Set<string>();
+  let end = options.until !== undefined ? toMillis(options.until) : 0;
+  let count = 0;
+
+  while (true) {
+    // Same payload shapes and match fields as normalizeMatches accepts.
+    const page = unwrap(await fetchWindow(0, end));
+    const matches: any[] = (Array.isArray(page) ? page : page.matches) || [];
+    let oldest: number | undefined;
+    let found = false;
+
+    for (const match of matches) {
+      const id = pick(match, "matchID", "matchId", "id");
+      // Without an ID a match can't be told apart from the next page's.
+      if (id === undefined || seen.has(String(id))) continue;
+      seen.add(String(id));
+      found = true;
+
+      const start = toDate(
+        pick(match, "utcStartSeconds", "startTime", "start")
+      );
+      if (start) {
+        const started = start.getTime();
+        if (oldest === undefined || started < oldest) oldest = started;
+        if (started < since) continue;
+      }
+
+      yield match;
+      if (options.limit && ++count >= options.limit) return;
+    }
+
+    if (!found || oldest === undefined || oldest < since) return;
+    end = oldest;
+  }
+}
+
 class Endpoints {
   game: games | undefined;
   gamertag: string | undefined;
   platform: platforms | undefined;
   lookupType: string | undefined;
   mode: string | undefined;
+  locale: string;
 
   constructor(
     game?: games,
     gamertag?: string,
     platform?: platforms,
     mode?: string,
-    lookupType?: string
+    lookupType?: string,
+    locale: string = defaultLocale
   ) {
     this.game = game;
     this.gamertag = gamertag;
     this.platform = platform;
     this.lookupType = lookupType;
     this.mode = mode;
+    this.locale = locale;
   }
 
   fullData = () =>
@@ -344,121 +1487,345 @@ class Endpoints {
   breakdownWithDate = (startTime: number, endTime: number) =>
     `/crm/cod/v2/title/${this.game}/platform/${this.platform}/${this.lookupType}/${this.gamertag}/matches/${this.mode}/start/${startTime}/end/${endTime}`;
   matchInfo = (matchId: string) =>
-    `/crm/cod/v2/title/${this.game}/platform/${this.platform}/fullMatch/wz/${matchId}/en`;
+    `/crm/cod/v2/title/${this.game}/platform/${this.platform}/fullMatch/wz/${matchId}/${this.locale}`;
   seasonLoot = () =>
-    `/loot/title/${this.game}/platform/${this.platform}/${this.lookupType}/${this.gamertag}/status/en`;
+    `/loot/title/${this.game}/platform/${this.platform}/${this.lookupType}/${this.gamertag}/status/${this.locale}`;
   mapList = () =>
     `/ce/v1/title/${this.game}/platform/${this.platform}/gameType/${this.mode}/communityMapData/availability`;
   purchasableItems = (gameId: string) =>
-    `/inventory/v1/title/${gameId}/platform/psn/purchasable/public/en`;
+    `/inventory/v1/title/${gameId}/platform/${this.platform}/purchasable/public/${this.locale}`;
   bundleInformation = (gameId: string, bundleId: string) =>
-    `/inventory/v1/title/${gameId}/bundle/${bundleId}/en`;
+    `/inventory/v1/title/${gameId}/bundle/${bundleId}/${this.locale}`;
   battlePassLoot = (season: number) =>
-    `/loot/title/${this.game}/platform/${this.platform}/list/loot_season_${season}/en`;
+    `/loot/title/${this.game}/platform/${this.platform}/list/loot_season_${season}/${this.locale}`;
   friendFeed = () =>
-    `/userfeed/v1/friendFeed/platform/${this.platform}/${this.lookupType}/${this.gamertag}/friendFeedEvents/en`;
-  eventFeed = () => `/userfeed/v1/friendFeed/rendered/en/${baseSsoToken}`;
-  loggedInIdentities = () => `/crm/cod/v2/identities/${baseSsoToken}`;
+    `/userfeed/v1/friendFeed/platform/${this.platform}/${this.lookupType}/${this.gamertag}/friendFeedEvents/${this.locale}`;
+  eventFeed = (ssoToken: string) =>
+    `/userfeed/v1/friendFeed/rendered/${this.locale}/${ssoToken}`;
+  loggedInIdentities = (ssoToken: string) =>
+    `/crm/cod/v2/identities/${ssoToken}`;
   codPoints = () =>
     `/inventory/v1/title/mw/platform/${this.platform}/${this.lookupType}/${this.gamertag}/currency`;
   connectedAccounts = () =>
     `/crm/cod/v2/accounts/platform/${this.platform}/${this.lookupType}/${this.gamertag}`;
   settings = () =>
     `/preferences/v1/platform/${this.platform}/${this.lookupType}/${this.gamertag}/list`;
+  friendsList = () => `/codfriends/v1/compendium`;
   friendAction = (action: friendActions) =>
     `/codfriends/v1/${action}/${this.platform}/${this.lookupType}/${this.gamertag}`;
   search = () =>
     `/crm/cod/v2/platform/${this.platform}/username/${this.gamertag}/search`;
 }
 
+interface TelescopeMatchWindow {
+  startTime?: number;
+  endTime?: number;
+  offset?: number;
+  limit?: number;
+}
+
+interface TelescopeOptions extends TelescopeMatchWindow, LocaleOptions {
+  mode?: telescopeModes;
+}
+
+interface TelescopeMatchOptions extends TelescopeOptions {
+  platform?: platforms;
+}
+
 class TelescopeEndpoints {
   game: telescopeGames | undefined;
   unoId: string | undefined;
   mode: telescopeModes | undefined;
+  language: string;
 
-  constructor(game?: telescopeGames, unoId?: string, mode?: telescopeModes) {
+  constructor(
+    game?: telescopeGames,
+    unoId?: string,
+    mode?: telescopeModes,
+    language: string = locales[defaultLocale].language
+  ) {
     this.game = game;
     this.unoId = unoId;
     this.mode = mode;
+    this.language = language;
   }
-  lifeTime = () =>
-    `/cr/v1/title/${this.game}/lifetime?language=english&unoId=${this.unoId}`;
-  matches = () =>
-    `/cr/v1/title/${this.game}/matches?language=english&unoId=${this.unoId}`;
+
+  query = (window: TelescopeMatchWindow = {}) => {
+    let query = `language=${this.language}&unoId=${this.unoId}`;
+    if (this.mode) query += `&mode=${this.mode}`;
+    for (const [key, value] of Object.entries(window))
+      if (value !== undefined) query += `&${key}=${value}`;
+    return query;
+  };
+
+  lifeTime = () => `/cr/v1/title/${this.game}/lifetime?${this.query()}`;
+  matches = (window: TelescopeMatchWindow = {}) =>
+    `/cr/v1/title/${this.game}/matches?${this.query(window)}`;
   match = (matchId: string) =>
-    `/cr/v1/title/${this.game}/match/${matchId}?language=english&unoId=${this.unoId}`;
+    `/cr/v1/title/${this.game}/match/${matchId}?${this.query()}`;
 }
 
-class WZ {
-  fullData = async (gamertag: string, platform: platforms) => {
+type TitleOperation =
+  | "fullData"
+  | "combatHistory"
+  | "combatHistoryWithDate"
+  | "breakdown"
+  | "breakdownWithDate"
+  | "matches"
+  | "matchInfo"
+  | "allMatches"
+  | "seasonloot"
+  | "mapList"
+  | "cleanGameMode";
+
+interface TitleDefinition {
+  name: string;
+  backend: "papi" | "telescope";
+  title: games | telescopeGames;
+  mode: modes | telescopeModes;
+  modes: (modes | telescopeModes)[];
+  platforms: platforms[];
+  requiresUno: boolean;
+  operations: TitleOperation[];
+}
+
+// The platforms each backend accepted before titles moved to the registry.
+// papi has never served Steam accounts.
+const papiPlatforms = [
+  platforms.All,
+  platforms.Activision,
+  platforms.Battlenet,
+  platforms.PSN,
+  platforms.XBOX,
+  platforms.Uno,
+  platforms.ios,
+];
+
+// Telescope looks players up by Uno ID whatever their platform; the platform
+// only matters when a gamertag has to be resolved to one.
+const telescopePlatforms = [...papiPlatforms, platforms.Steam];
+
+const papiOperations: TitleOperation[] = [
+  "fullData",
+  "combatHistory",
+  "combatHistoryWithDate",
+  "breakdown",
+  "breakdownWithDate",
+  "matchInfo",
+  "allMatches",
+];
+
+const telescopeOperations: TitleOperation[] = [
+  "fullData",
+  "combatHistory",
+  "combatHistoryWithDate",
+  "matches",
+  "matchInfo",
+  "allMatches",
+];
+
+// Keyed by the game codes the web UI sends. Adding a title only needs an
+// entry here; the client and the server routes both dispatch from it.
+const titleRegistry: Record<string, TitleDefinition> = {
+  wz: {
+    name: "Warzone",
+    backend: "papi",
+    title: games.ModernWarfare,
+    mode: modes.Warzone,
+    modes: [modes.Warzone],
+    platforms: papiPlatforms,
+    requiresUno: false,
+    operations: [...papiOperations, "cleanGameMode"],
+  },
+  mw: {
+    name: "Modern Warfare",
+    backend: "papi",
+    title: games.ModernWarfare,
+    mode: modes.Multiplayer,
+    modes: [modes.Multiplayer],
+    platforms: papiPlatforms,
+    requiresUno: false,
+    operations: [...papiOperations, "seasonloot", "mapList"],
+  },
+  cw: {
+    name: "Cold War",
+    backend: "papi",
+    title: games.ColdWar,
+    mode: modes.Multiplayer,
+    modes: [modes.Multiplayer],
+    platforms: papiPlatforms,
+    requiresUno: false,
+    operations: [...papiOperations, "seasonloot", "mapList"],
+  },
+  vg: {
+    name: "Vanguard",
+    backend: "papi",
+    title: games.Vanguard,
+    mode: modes.Multiplayer,
+    modes: [modes.Multiplayer],
+    platforms: papiPlatforms,
+    requiresUno: false,
+    operations: [...papiOperations, "seasonloot", "mapList"],
+  },
+  mw2: {
+    name: "Modern Warfare 2",
+    backend: "telescope",
+    title: telescopeGames.ModernWarfare2,
+    mode: telescopeModes.Multiplayer,
+    modes: [telescopeModes.Multiplayer, telescopeModes.Outbreak],
+    platforms: telescopePlatforms,
+    requiresUno: true,
+    operations: telescopeOperations,
+  },
+  wz2: {
+    name: "Warzone 2",
+    backend: "telescope",
+    title: telescopeGames.Warzone2,
+    mode: telescopeModes.Multiplayer,
+    modes: [telescopeModes.Multiplayer],
+    platforms: telescopePlatforms,
+    requiresUno: true,
+    operations: telescopeOperations,
+  },
+  mw3: {
+    name: "Modern Warfare 3",
+    backend: "telescope",
+    title: telescopeGames.ModernWarfare3,
+    mode: telescopeModes.Multiplayer,
+    modes: [telescopeModes.Multiplayer, telescopeModes.Outbreak],
+    platforms: telescopePlatforms,
+    requiresUno: true,
+    operations: telescopeOperations,
+  },
+  wzm: {
+    name: "Warzone Mobile",
+    backend: "telescope",
+    title: telescopeGames.Mobile,
+    mode: telescopeModes.Multiplayer,
+    modes: [telescopeModes.Multiplayer],
+    platforms: telescopePlatforms,
+    requiresUno: true,
+    operations: telescopeOperations,
+  },
+};
+
+// Named arguments accepted by `Client.titleRequest`, so callers can run any
+// operation against any title without knowing which backend serves it.
+interface TitleRequestParams {
+  gamertag?: string;
+  platform?: platforms;
+  matchId?: string;
+  startTime?: number;
+  endTime?: number;
+  mode?: telescopeModes;
+  locale?: string;
+}
+
+class Title {
+  client: Client;
+  definition: TitleDefinition;
+
+  constructor(client: Client, definition: TitleDefinition) {
+    this.client = client;
+    this.definition = definition;
+  }
+
+  supports = (operation: TitleOperation) =>
+    this.definition.operations.includes(operation);
+
+  checkSupports = (operation: TitleOperation) => {
+    if (!this.supports(operation))
+      throw new UnsupportedOperationError(
+        `'${operation}' is not available for ${this.definition.name}.`
+      );
+  };
+
+  // The registry decides which platforms a title dispatches for, on both
+  // backends.
+  checkPlatform = (platform: platforms) => {
+    checkForValidPlatform(platform);
+    if (
+      platform === platforms.Steam &&
+      !this.definition.platforms.includes(platform)
+    )
+      throw new InvalidPlatformError(generics.STEAM_UNSUPPORTED);
+    if (!this.definition.platforms.includes(platform))
+      throw new InvalidPlatformError(
+        `Platform '${platform}' is not available for ${this.definition.name}.`
+      );
+  };
+
+  // Tags the request with the title so request events can report it.
+  request = (url: string) =>
+    this.definition.backend === "telescope"
+      ? this.client.sendTelescopeRequest(url, this.definition.name)
+      : this.client.sendRequest(url, this.definition.name);
+}
+
+class PapiTitle extends Title {
+  endpoint = (gamertag: string, platform: platforms, locale?: string) => {
+    this.checkPlatform(platform);
     var {
       gamertag,
       _platform: platform,
       lookupType,
-    } = mapGamertagToPlatform(gamertag, platform);
-    const endpoint = new Endpoints(
-      games.ModernWarfare,
+    } = mapGamertagToPlatform(
       gamertag,
       platform,
-      modes.Warzone,
-      lookupType
+      this.definition.platforms.includes(platforms.Steam)
     );
-    return await sendRequest(endpoint.fullData());
-  };
-
-  combatHistory = async (gamertag: string, platform: platforms) => {
-    var {
-      gamertag,
-      _platform: platform,
-      lookupType,
-    } = mapGamertagToPlatform(gamertag, platform);
-    const endpoint = new Endpoints(
-      games.ModernWarfare,
+    return new Endpoints(
+      this.definition.title as games,
       gamertag,
       platform,
-      modes.Warzone,
-      lookupType
+      this.definition.mode,
+      lookupType,
+      this.client.localeFor(locale).code
     );
-    return await sendRequest(endpoint.combatHistory());
   };
 
-  combatHistoryWithDate = async (
-    gamertag: string,
+  fullData = async (gamertag: string, platform: platforms) => {
+    this.checkSupports("fullData");
+    const endpoint = this.endpoint(gamertag, platform);
+    return await this.request(endpoint.fullData());
+  };
+
+  combatHistory = async (gamertag: string, platform: platforms) => {
+    this.checkSupports("combatHistory");
+    const endpoint = this.endpoint(gamertag, platform);
+    return await this.request(endpoint.combatHistory());
+  };
+
+  combatHistoryWithDate = async (
+    gamertag: string,
     startTime: number,
     endTime: number,
     platform: platforms
   ) => {
-    var {
-      gamertag,
-      _platform: platform,
-      lookupType,
-    } = mapGamertagToPlatform(gamertag, platform);
-    const endpoint = new Endpoints(
-      games.ModernWarfare,
-      gamertag,
-      platform,
-      modes.Warzone,
-      lookupType
-    );
-    return await sendRequest(
+    this.checkSupports("combatHistoryWithDate");
+    const endpoint = this.endpoint(gamertag, platform);
+    return await this.request(
       endpoint.combatHistoryWithDate(startTime, endTime)
     );
   };
 
-  breakdown = async (gamertag: string, platform: platforms) => {
-    var {
-      gamertag,
-      _platform: platform,
-      lookupType,
-    } = mapGamertagToPlatform(gamertag, platform);
-    const endpoint = new Endpoints(
-      games.ModernWarfare,
-      gamertag,
-      platform,
-      modes.Warzone,
-      lookupType
+  allMatches = (
+    gamertag: string,
+    platform: platforms,
+    options: MatchHistoryOptions = {}
+  ) => {
+    this.checkSupports("allMatches");
+    return walkMatchHistory(
+      (startTime, endTime) =>
+        this.combatHistoryWithDate(gamertag, startTime, endTime, platform),
+      options
     );
-    return await sendRequest(endpoint.breakdown());
+  };
+
+  breakdown = async (gamertag: string, platform: platforms) => {
+    this.checkSupports("breakdown");
+    const endpoint = this.endpoint(gamertag, platform);
+    return await this.request(endpoint.breakdown());
   };
 
   breakdownWithDate = async (
@@ -467,83 +1834,316 @@ class WZ {
     endTime: number,
     platform: platforms
   ) => {
-    var {
-      gamertag,
-      _platform: platform,
-      lookupType,
-    } = mapGamertagToPlatform(gamertag, platform);
-    const endpoint = new Endpoints(
-      games.ModernWarfare,
-      gamertag,
-      platform,
-      modes.Warzone,
-      lookupType
-    );
-    return await sendRequest(endpoint.breakdownWithDate(startTime, endTime));
+    this.checkSupports("breakdownWithDate");
+    const endpoint = this.endpoint(gamertag, platform);
+    return await this.request(endpoint.breakdownWithDate(startTime, endTime));
   };
 
-  matchInfo = async (matchId: string, platform: platforms) => {
-    var {
-      gamertag,
-      _platform: platform,
-      lookupType,
-    } = mapGamertagToPlatform("", platform);
-    const endpoint = new Endpoints(
-      games.ModernWarfare,
-      gamertag,
-      platform,
-      modes.Warzone,
-      lookupType
-    );
-    return await sendRequest(endpoint.matchInfo(matchId));
+  // Each backend keeps the argument order it has always had; titleRequest is
+  // the one call that takes the same parameters for every title.
+  matchInfo = async (
+    matchId: string,
+    platform: platforms,
+    options: LocaleOptions = {}
+  ) => {
+    this.checkSupports("matchInfo");
+    const endpoint = this.endpoint("", platform, options.locale);
+    return await this.request(endpoint.matchInfo(matchId));
+  };
+
+  seasonloot = async (
+    gamertag: string,
+    platform: platforms,
+    options: LocaleOptions = {}
+  ) => {
+    this.checkSupports("seasonloot");
+    const endpoint = this.endpoint(gamertag, platform, options.locale);
+    return await this.request(endpoint.seasonLoot());
+  };
+
+  mapList = async (platform: platforms) => {
+    this.checkSupports("mapList");
+    const endpoint = this.endpoint("", platform);
+    return await this.request(endpoint.mapList());
   };
 
   cleanGameMode = async (mode: string): Promise<string> => {
-    //@ts-ignore
-    const foundMode: string = wzMappings["modes"][mode];
+    this.checkSupports("cleanGameMode");
+    const foundMode = modeNames[mode];
     if (!foundMode) return mode;
     return foundMode;
   };
+
+  run = async (operation: TitleOperation, params: TitleRequestParams) => {
+    const { gamertag = "", platform = platforms.Uno, matchId = "" } = params;
+    const { startTime = 0, endTime = 0, locale } = params;
+
+    switch (operation) {
+      case "fullData":
+        return await this.fullData(gamertag, platform);
+      case "combatHistory":
+      case "matches":
+        return await this.combatHistory(gamertag, platform);
+      case "combatHistoryWithDate":
+        return await this.combatHistoryWithDate(
+          gamertag,
+          startTime,
+          endTime,
+          platform
+        );
+      case "breakdown":
+        return await this.breakdown(gamertag, platform);
+      case "breakdownWithDate":
+        return await this.breakdownWithDate(
+          gamertag,
+          startTime,
+          endTime,
+          platform
+        );
+      case "matchInfo":
+        return await this.matchInfo(matchId, platform, { locale });
+      case "seasonloot":
+        return await this.seasonloot(gamertag, platform, { locale });
+      case "mapList":
+        return await this.mapList(platform);
+      default:
+        throw new UnsupportedOperationError(
+          `'${operation}' is not available for ${this.definition.name}.`
+        );
+    }
+  };
 }
 
-class MW {
-  fullData = async (gamertag: string, platform: platforms) => {
-    var {
+// The telescope API only accepts Uno IDs, so any other gamertag is resolved to
+// one first. That lets callers treat every title alike.
+class TelescopeTitle extends Title {
+  endpoint = (unoId: string, mode?: telescopeModes, locale?: string) => {
+    var { gamertag } = mapGamertagToPlatform(unoId, platforms.Uno, true);
+    if (mode && !this.definition.modes.includes(mode))
+      throw new UnsupportedOperationError(
+        `Mode '${mode}' is not available for ${this.definition.name}.`
+      );
+    return new TelescopeEndpoints(
+      this.definition.title as telescopeGames,
       gamertag,
-      _platform: platform,
-      lookupType,
-    } = mapGamertagToPlatform(gamertag, platform);
+      mode,
+      this.client.localeFor(locale).language
+    );
+  };
+
+  // A numeric gamertag is already an Uno ID, whatever platform came with it.
+  unoId = async (gamertag: string, platform: platforms) => {
+    this.checkPlatform(platform);
+    if (platform === platforms.Uno || numericId(gamertag)) return gamertag;
+    return await this.client.resolveUnoId(gamertag, platform);
+  };
+
+  fullData = async (
+    gamertag: string,
+    platform: platforms = platforms.Uno,
+    options: TelescopeOptions = {}
+  ) => {
+    this.checkSupports("fullData");
+    const unoId = await this.unoId(gamertag, platform);
+    const endpoint = this.endpoint(unoId, options.mode, options.locale);
+    return await this.request(endpoint.lifeTime());
+  };
+
+  combatHistory = async (
+    gamertag: string,
+    platform: platforms = platforms.Uno,
+    options: TelescopeOptions = {}
+  ) => {
+    this.checkSupports("combatHistory");
+    const unoId = await this.unoId(gamertag, platform);
+    const { mode, locale, ...window } = options;
+    const endpoint = this.endpoint(unoId, mode, locale);
+    return await this.request(endpoint.matches(window));
+  };
+
+  combatHistoryWithDate = async (
+    gamertag: string,
+    startTime: number,
+    endTime: number,
+    platform: platforms = platforms.Uno,
+    options: TelescopeOptions = {}
+  ) => {
+    return await this.combatHistory(gamertag, platform, {
+      ...options,
+      startTime: startTime || undefined,
+      endTime: endTime || undefined,
+    });
+  };
+
+  matches = async (unoId: string, options: TelescopeOptions = {}) => {
+    return await this.combatHistory(unoId, platforms.Uno, options);
+  };
+
+  // Takes the player first, unlike PapiTitle.matchInfo, since telescope
+  // matches are looked up per player. A gamertag is resolved like in the
+  // other calls when `options.platform` says where it's from.
+  matchInfo = async (
+    gamertag: string,
+    matchId: string,
+    options: TelescopeMatchOptions = {}
+  ) => {
+    this.checkSupports("matchInfo");
+    const { platform = platforms.Uno, ...telescopeOptions } = options;
+    const unoId = await this.unoId(gamertag, platform);
+    const endpoint = this.endpoint(
+      unoId,
+      telescopeOptions.mode,
+      telescopeOptions.locale
+    );
+    return await this.request(endpoint.match(matchId));
+  };
+
+  allMatches = (
+    gamertag: string,
+    platform: platforms = platforms.Uno,
+    options: MatchHistoryOptions & TelescopeOptions = {}
+  ) => {
+    this.checkSupports("allMatches");
+    const { since, until, limit, ...telescopeOptions } = options;
+    return walkMatchHistory(
+      (startTime, endTime) =>
+        this.combatHistoryWithDate(
+          gamertag,
+          startTime,
+          endTime,
+          platform,
+          telescopeOptions
+        ),
+      { since, until, limit }
+    );
+  };
+
+  run = async (operation: TitleOperation, params: TitleRequestParams) => {
+    const { gamertag = "", platform = platforms.Uno, matchId = "" } = params;
+    const { startTime = 0, endTime = 0, mode, locale } = params;
+
+    switch (operation) {
+      case "fullData":
+        return await this.fullData(gamertag, platform, { mode, locale });
+      case "combatHistory":
+      case "matches":
+        return await this.combatHistory(gamertag, platform, { mode, locale });
+      case "combatHistoryWithDate":
+        return await this.combatHistoryWithDate(
+          gamertag,
+          startTime,
+          endTime,
+          platform,
+          { mode, locale }
+        );
+      case "matchInfo":
+        return await this.matchInfo(gamertag, matchId, {
+          platform,
+          mode,
+          locale,
+        });
+      default:
+        throw new UnsupportedOperationError(
+          `'${operation}' is not available for ${this.definition.name}.`
+        );
+    }
+  };
+}
+
+const createTitle = (client: Client, definition: TitleDefinition) =>
+  definition.backend === "telescope"
+    ? new TelescopeTitle(client, definition)
+    : new PapiTitle(client, definition);
+
+class SHOP {
+  client: Client;
+
+  constructor(client: Client) {
+    this.client = client;
+  }
+
+  purchasableItems = async (
+    gameId: string,
+    platform: platforms = platforms.PSN,
+    options: LocaleOptions = {}
+  ) => {
+    var { _platform: platform } = mapGamertagToPlatform("", platform);
     const endpoint = new Endpoints(
-      games.ModernWarfare,
-      gamertag,
+      games.NULL,
+      "",
       platform,
-      modes.Multiplayer,
-      lookupType
+      modes.NULL,
+      "",
+      this.client.localeFor(options.locale).code
     );
-    return await sendRequest(endpoint.fullData());
+    return await this.client.sendRequest(endpoint.purchasableItems(gameId));
   };
 
-  combatHistory = async (gamertag: string, platform: platforms) => {
+  bundleInformation = async (
+    title: string,
+    bundleId: string,
+    options: LocaleOptions = {}
+  ) => {
+    const endpoint = new Endpoints(
+      games.NULL,
+      "",
+      platforms.NULL,
+      modes.NULL,
+      "",
+      this.client.localeFor(options.locale).code
+    );
+    return await this.client.sendRequest(
+      endpoint.bundleInformation(title, bundleId)
+    );
+  };
+
+  battlePassLoot = async (
+    title: games,
+    season: number,
+    platform: platforms,
+    options: LocaleOptions = {}
+  ) => {
     var {
       gamertag,
       _platform: platform,
       lookupType,
-    } = mapGamertagToPlatform(gamertag, platform);
+    } = mapGamertagToPlatform("", platform);
     const endpoint = new Endpoints(
-      games.ModernWarfare,
+      title,
       gamertag,
       platform,
-      modes.Multiplayer,
-      lookupType
+      modes.NULL,
+      lookupType,
+      this.client.localeFor(options.locale).code
     );
-    return await sendRequest(endpoint.combatHistory());
+    return await this.client.sendRequest(endpoint.battlePassLoot(season));
   };
+}
 
-  combatHistoryWithDate = async (
+interface FriendActionOptions {
+  dryRun?: boolean;
+}
+
+interface FriendActionResult {
+  gamertag: string;
+  platform: platforms;
+  action: friendActions;
+  status: "applied" | "valid" | "failed";
+  error: string | undefined;
+  errorType: string | undefined;
+}
+
+class USER {
+  client: Client;
+
+  constructor(client: Client) {
+    this.client = client;
+  }
+
+  friendFeed = async (
     gamertag: string,
-    startTime: number,
-    endTime: number,
-    platform: platforms
+    platform: platforms,
+    options: LocaleOptions = {}
   ) => {
     var {
       gamertag,
@@ -551,733 +2151,1927 @@ class MW {
       lookupType,
     } = mapGamertagToPlatform(gamertag, platform);
     const endpoint = new Endpoints(
-      games.ModernWarfare,
+      games.NULL,
       gamertag,
       platform,
-      modes.Multiplayer,
-      lookupType
+      modes.NULL,
+      lookupType,
+      this.client.localeFor(options.locale).code
     );
-    return await sendRequest(
-      endpoint.combatHistoryWithDate(startTime, endTime)
+    return await this.client.sendRequest(endpoint.friendFeed());
+  };
+
+  eventFeed = async (options: LocaleOptions = {}) => {
+    const endpoint = new Endpoints(
+      games.NULL,
+      "",
+      platforms.NULL,
+      modes.NULL,
+      "",
+      this.client.localeFor(options.locale).code
+    );
+    return await this.client.sendRequest(
+      endpoint.eventFeed(this.client.ssoToken)
     );
   };
 
-  breakdown = async (gamertag: string, platform: platforms) => {
-    var {
-      gamertag,
-      _platform: platform,
-      lookupType,
-    } = mapGamertagToPlatform(gamertag, platform);
+  loggedInIdentities = async () => {
     const endpoint = new Endpoints(
-      games.ModernWarfare,
-      gamertag,
-      platform,
-      modes.Multiplayer,
-      lookupType
+      games.NULL,
+      "",
+      platforms.NULL,
+      modes.NULL,
+      ""
+    );
+    return await this.client.sendRequest(
+      endpoint.loggedInIdentities(this.client.ssoToken)
     );
-    return await sendRequest(endpoint.breakdown());
   };
 
-  breakdownWithDate = async (
-    gamertag: string,
-    startTime: number,
-    endTime: number,
-    platform: platforms
-  ) => {
+  codPoints = async (gamertag: string, platform: platforms) => {
     var {
       gamertag,
       _platform: platform,
       lookupType,
     } = mapGamertagToPlatform(gamertag, platform);
     const endpoint = new Endpoints(
-      games.ModernWarfare,
+      games.NULL,
       gamertag,
       platform,
-      modes.Multiplayer,
+      modes.NULL,
       lookupType
     );
-    return await sendRequest(endpoint.breakdownWithDate(startTime, endTime));
+    return await this.client.sendRequest(endpoint.codPoints());
   };
 
-  matchInfo = async (matchId: string, platform: platforms) => {
+  connectedAccounts = async (gamertag: string, platform: platforms) => {
     var {
       gamertag,
       _platform: platform,
       lookupType,
-    } = mapGamertagToPlatform("", platform);
+    } = mapGamertagToPlatform(gamertag, platform);
     const endpoint = new Endpoints(
-      games.ModernWarfare,
+      games.NULL,
       gamertag,
       platform,
-      modes.Multiplayer,
+      modes.NULL,
       lookupType
     );
-    return await sendRequest(endpoint.matchInfo(matchId));
+    return await this.client.sendRequest(endpoint.connectedAccounts());
   };
 
-  seasonloot = async (gamertag: string, platform: platforms) => {
+  settings = async (gamertag: string, platform: platforms) => {
     var {
       gamertag,
       _platform: platform,
       lookupType,
     } = mapGamertagToPlatform(gamertag, platform);
     const endpoint = new Endpoints(
-      games.ModernWarfare,
+      games.NULL,
       gamertag,
       platform,
-      modes.Multiplayer,
+      modes.NULL,
       lookupType
     );
-    return await sendRequest(endpoint.seasonLoot());
+    return await this.client.sendRequest(endpoint.settings());
   };
 
-  mapList = async (platform: platforms) => {
+  friendsList = async () => {
+    const endpoint = new Endpoints(
+      games.NULL,
+      "",
+      platforms.NULL,
+      modes.NULL,
+      ""
+    );
+    return await this.client.sendRequest(endpoint.friendsList());
+  };
+
+  friendAction = async (
+    gamertag: string,
+    platform: platforms,
+    action: friendActions
+  ) => {
     var {
       gamertag,
       _platform: platform,
       lookupType,
-    } = mapGamertagToPlatform("", platform);
+    } = mapGamertagToPlatform(gamertag, platform);
     const endpoint = new Endpoints(
-      games.ModernWarfare,
+      games.NULL,
       gamertag,
       platform,
-      modes.Multiplayer,
+      modes.NULL,
       lookupType
     );
-    return await sendRequest(endpoint.mapList());
+    return await this.client.sendPostRequest(
+      endpoint.friendAction(action),
+      "{}"
+    );
   };
-}
 
-class MW2 {
-  fullData = async (unoId: string) => {
-    var { gamertag } = mapGamertagToPlatform(unoId, platforms.Uno, true);
+  // Each target gets its own result so one bad gamertag doesn't stop the
+  // rest. A dry run only checks that every target resolves to a player.
+  batchFriendAction = async (
+    gamertags: string[],
+    platform: platforms,
+    action: friendActions,
+    options: FriendActionOptions = {}
+  ): Promise<FriendActionResult[]> => {
+    if (!Object.values(friendActions).includes(action))
+      throw new UnsupportedOperationError(
+        `Friend action '${action}' is not supported.`
+      );
 
-    const endpoint = new TelescopeEndpoints(
-      telescopeGames.ModernWarfare2,
-      gamertag,
-      telescopeModes.Multiplayer
+    return await Promise.all(
+      gamertags.map(async (gamertag): Promise<FriendActionResult> => {
+        const result: FriendActionResult = {
+          gamertag,
+          platform,
+          action,
+          status: options.dryRun ? "valid" : "applied",
+          error: undefined,
+          errorType: undefined,
+        };
+        try {
+          if (options.dryRun)
+            await this.resolveFriendTarget(gamertag, platform);
+          else await this.friendAction(gamertag, platform, action);
+        } catch (exception: unknown) {
+          const error =
+            exception instanceof Error
+              ? exception
+              : new Error(String(exception));
+          result.status = "failed";
+          result.error = error.message;
+          result.errorType = error.name;
+        }
+        return result;
+      })
     );
+  };
 
-    return await sendTelescopeRequest(endpoint.lifeTime());
+  // Held to the same exact-or-only-result rule as Uno ID lookups, since a
+  // fuzzy search nearly always returns someone.
+  resolveFriendTarget = async (gamertag: string, platform: platforms) => {
+    mapGamertagToPlatform(gamertag, platform);
+    const results = unwrap(await this.client.Misc.search(gamertag, platform));
+    const match = searchMatch(results, gamertag);
+    if (!match)
+      throw new PlayerNotFoundError(
+        `No player named '${gamertag}' was found on ${platform}.`
+      );
+    return match;
   };
+}
 
-  matches = async (unoId: string) => {
-    var { gamertag } = mapGamertagToPlatform(unoId, platforms.Uno, true);
+interface CatalogItem {
+  id: string;
+  name: string;
+  class: string;
+  title: string | undefined;
+  kind: "weapon" | "attachment" | "perk";
+}
 
-    const endpoint = new TelescopeEndpoints(
-      telescopeGames.ModernWarfare2,
-      gamertag,
-      telescopeModes.Multiplayer
-    );
+// weapon-ids.json is one flat map split into titles by "_TITLE WEAPONS_"
+// header keys. Values glue the weapon class onto the name: "Pistol_X16".
+const catalogTitle = (header: string) => {
+  const name = header
+    .replace(/_/g, " ")
+    .replace(/weapons/i, "")
+    .trim()
+    .toLowerCase();
+  return Object.keys(titleRegistry).find(
+    (key) => titleRegistry[key].name.toLowerCase() === name
+  );
+};
 
-    return await sendTelescopeRequest(endpoint.matches());
-  };
+const weaponCatalog: CatalogItem[] = (() => {
+  const items: CatalogItem[] = [];
+  let title: string | undefined;
+  for (const [id, value] of Object.entries(
+    weaponMappings as Record<string, string>
+  )) {
+    if (/^_.*_$/.test(id)) {
+      title = catalogTitle(id);
+      continue;
+    }
+    const separator = value.indexOf("_");
+    items.push({
+      id,
+      name: value.slice(separator + 1),
+      class: separator > 0 ? value.slice(0, separator) : "Unknown",
+      title,
+      kind: "weapon",
+    });
+  }
+  return items;
+})();
+
+const weaponsById = new Map(weaponCatalog.map((item) => [item.id, item]));
+
+// Attachments and perks aren't listed in the data files, so they are
+// recognized by the shape of their IDs instead.
+const attachmentSlots: [RegExp, string][] = [
+  [/^(silencer|suppressor|muzzle|comp|brake|flash)/, "Muzzle"],
+  [/^(barrel|bar(long|short|mid|heavy)?\d*$)/, "Barrel"],
+  [/^(laser|light)/, "Laser"],
+  [/^(acog|reflex|holo|hybrid|thermal|scope|optic|sight)/, "Optic"],
+  [/^stock/, "Stock"],
+  [/^(grip|gripvert|gripang|bipod|underbarrel|gl|ub)/, "Underbarrel"],
+  [/^(mag|xmag|drum|ammo|clip)/, "Ammunition"],
+  [/^(pgrip|reargrip|tape)/, "Rear Grip"],
+];
+
+const titlePrefix = /^(iw8|iw9|s4|t9|jup)_/;
+
+const humanize = (id: string) =>
+  id
+    .split("_")
+    .filter((word) => word.length > 0)
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(" ");
+
+const lookupItem = (id: string): CatalogItem | undefined => {
+  const weapon = weaponsById.get(id);
+  if (weapon) return weapon;
+
+  if (/^specialty_/.test(id))
+    return {
+      id,
+      name: humanize(id.replace(/^specialty_/, "")),
+      class: "Perk",
+      title: undefined,
+      kind: "perk",
+    };
+
+  const bare = id.replace(titlePrefix, "");
+  const slot = attachmentSlots.find(([pattern]) => pattern.test(bare));
+  if (slot)
+    return {
+      id,
+      name: humanize(bare),
+      class: slot[1],
+      title: undefined,
+      kind: "attachment",
+    };
+
+  return undefined;
+};
 
-  matchInfo = async (unoId: string, matchId: string) => {
-    var { gamertag } = mapGamertagToPlatform(unoId, platforms.Uno, true);
+const normalizeName = (name: string) =>
+  name.toLowerCase().replace(/[^a-z0-9]/g, "");
+
+// Names are compared loosely ("mp-40" finds "Mp-40"). A name shared by two
+// titles, like the RAAL MG, returns every match unless a title is given.
+const findWeapons = (name: string, title?: string) =>
+  weaponCatalog.filter(
+    (item) =>
+      normalizeName(item.name) === normalizeName(name) &&
+      (!title || item.title === title)
+  );
+
+const weaponClasses = () =>
+  Array.from(new Set(weaponCatalog.map((item) => item.class)));
+
+const weaponsByClass = (weaponClass: string, title?: string) =>
+  weaponCatalog.filter(
+    (item) =>
+      item.class.toLowerCase() === weaponClass.toLowerCase() &&
+      (!title || item.title === title)
+  );
+
+type ModeFamily =
+  | "Battle Royale"
+  | "Plunder"
+  | "Resurgence"
+  | "Rumble"
+  | "Limited-Time";
+
+interface GameMode {
+  code: string;
+  name: string;
+  family: ModeFamily;
+  teamSize: number | undefined;
+  ranked: boolean;
+  title: string | undefined;
+}
 
-    const endpoint = new TelescopeEndpoints(
-      telescopeGames.ModernWarfare2,
-      gamertag,
-      telescopeModes.Multiplayer
-    );
+const modeNames = wzMappings as Record<string, string>;
+
+const teamSizes: [RegExp, number][] = [
+  [/quad/i, 4],
+  [/trio/i, 3],
+  [/duo/i, 2],
+  [/solo|1v1/i, 1],
+];
+
+// Playlists built on the Resurgence ruleset but run as one-off events.
+const resurgenceEvents =
+  /payload|trials|of the dead|totally normal|king slayer|exfiltration|mini royale|scopes/i;
+
+const modeFamily = (code: string, name: string): ModeFamily => {
+  if (/^brtdm_|^br_rumble/.test(code) || /rumble|clash/i.test(name))
+    return "Rumble";
+  if (/_dmz_|pldr/.test(code) || /plunder|blood money/i.test(name))
+    return "Plunder";
+  // The staple playlists; anything with an event or twist in the name is an LTM.
+  const playlist = name.replace(/\s*\b(solos?|duos?|trios?|quads?)$/i, "");
+  if (/^(BR( Buy ?Back)?|Battle Royale|Vanguard Royale)$/i.test(playlist))
+    return "Battle Royale";
+  if (
+    /rebirth|resurgence|rbrth|_res_/i.test(`${code} ${name}`) &&
+    !resurgenceEvents.test(name)
+  )
+    return "Resurgence";
+  return "Limited-Time";
+};
 
-    return await sendTelescopeRequest(endpoint.match(matchId));
+// Unknown codes are still classified from the code itself, so newer
+// playlists missing from game-modes.json get a best guess.
+const classifyMode = (code: string): GameMode => {
+  const name = modeNames[code] || code;
+  const size =
+    teamSizes.find(([pattern]) => pattern.test(name)) ||
+    teamSizes.find(([pattern]) => pattern.test(code));
+  return {
+    code,
+    name,
+    family: modeFamily(code, name),
+    teamSize: size && size[1],
+    ranked: /ranked/i.test(`${code} ${name}`),
+    title: code in modeNames || /^br/.test(code) ? "wz" : undefined,
   };
-}
+};
 
-class WZ2 {
-  fullData = async (unoId: string) => {
-    var { gamertag } = mapGamertagToPlatform(unoId, platforms.Uno, true);
+const modeCatalog: GameMode[] = Object.keys(modeNames).map(classifyMode);
 
-    const endpoint = new TelescopeEndpoints(
-      telescopeGames.Warzone2,
-      gamertag,
-      telescopeModes.Multiplayer
-    );
+const modesByFamily = (family: ModeFamily) =>
+  modeCatalog.filter((mode) => mode.family === family);
 
-    return await sendTelescopeRequest(endpoint.lifeTime());
-  };
+class ALT {
+  client: Client;
 
-  matches = async (unoId: string) => {
-    var { gamertag } = mapGamertagToPlatform(unoId, platforms.Uno, true);
+  constructor(client: Client) {
+    this.client = client;
+  }
 
-    const endpoint = new TelescopeEndpoints(
-      telescopeGames.Warzone2,
+  search = async (gamertag: string, platform: platforms) => {
+    var {
+      gamertag,
+      _platform: platform,
+      lookupType,
+    } = mapGamertagToPlatform(gamertag, platform, true);
+    const endpoint = new Endpoints(
+      games.NULL,
       gamertag,
-      telescopeModes.Multiplayer
+      platform,
+      modes.NULL,
+      lookupType
     );
+    return await this.client.sendRequest(endpoint.search());
+  };
 
-    return await sendTelescopeRequest(endpoint.matches());
+  cleanWeapon = async (weapon: string): Promise<string> => {
+    const foundWeapon = lookupItem(weapon);
+    if (!foundWeapon) return weapon;
+    return foundWeapon.name;
   };
+}
 
-  matchInfo = async (unoId: string, matchId: string) => {
-    var { gamertag } = mapGamertagToPlatform(unoId, platforms.Uno, true);
+interface PlayerProfile {
+  title: string | undefined;
+  platform: string | undefined;
+  username: string | undefined;
+  level: number | undefined;
+  prestige: number | undefined;
+  stats: Record<string, number>;
+  modes: Record<string, Record<string, number>>;
+  raw: unknown;
+}
 
-    const endpoint = new TelescopeEndpoints(
-      telescopeGames.Warzone2,
-      gamertag,
-      telescopeModes.Multiplayer
-    );
+interface MatchPlayer {
+  username: string | undefined;
+  uno: string | undefined;
+  clantag: string | undefined;
+  team: string | undefined;
+  level: number | undefined;
+  stats: Record<string, number>;
+}
 
-    return await sendTelescopeRequest(endpoint.match(matchId));
-  };
+interface MatchTeam {
+  name: string;
+  placement: number | undefined;
+  players: MatchPlayer[];
+  stats: Record<string, number>;
 }
 
-class MW3 {
-  fullData = async (unoId: string) => {
-    var { gamertag } = mapGamertagToPlatform(unoId, platforms.Uno, true);
+interface Match {
+  id: string;
+  title: string | undefined;
+  mode: string | undefined;
+  map: string | undefined;
+  start: Date | undefined;
+  end: Date | undefined;
+  result: string | undefined;
+  players: MatchPlayer[];
+  teams: MatchTeam[];
+  stats: Record<string, number>;
+  raw: unknown;
+}
 
-    const endpoint = new TelescopeEndpoints(
-      telescopeGames.ModernWarfare3,
-      gamertag,
-      telescopeModes.Multiplayer
-    );
+// Both backends wrap their payload in `{ status, data }`, and telescope nests
+// a second `data` inside it.
+const unwrap = (payload: any): any => {
+  let data = payload && payload.data !== undefined ? payload.data : payload;
+  if (data && data.data !== undefined && !Array.isArray(data)) data = data.data;
+  return data || {};
+};
 
-    return await sendTelescopeRequest(endpoint.lifeTime());
-  };
+const pick = (source: any, ...keys: string[]): any => {
+  if (!source) return undefined;
+  for (const key of keys) if (source[key] !== undefined) return source[key];
+  return undefined;
+};
 
-  matches = async (unoId: string) => {
-    var { gamertag } = mapGamertagToPlatform(unoId, platforms.Uno, true);
+const numericStats = (source: any): Record<string, number> => {
+  const stats: Record<string, number> = {};
+  if (!source || typeof source !== "object") return stats;
+  for (const [key, value] of Object.entries(source))
+    if (typeof value === "number") stats[key] = value;
+  return stats;
+};
 
-    const endpoint = new TelescopeEndpoints(
-      telescopeGames.ModernWarfare3,
-      gamertag,
-      telescopeModes.Multiplayer
-    );
+const toDate = (seconds: any): Date | undefined => {
+  const value = Number(seconds);
+  if (!seconds || isNaN(value)) return undefined;
+  return new Date(value < 1e12 ? value * 1000 : value);
+};
 
-    return await sendTelescopeRequest(endpoint.matches());
+// papi nests stats as `lifetime.mode.<mode>.properties`; telescope returns
+// flatter objects, so fall back to whatever numbers sit on the lifetime block.
+const normalizeProfile = (payload: unknown, title?: string): PlayerProfile => {
+  const data = unwrap(payload);
+  const lifetime = pick(data, "lifetime", "lifeTime") || data;
+  const modes: Record<string, Record<string, number>> = {};
+
+  const modeStats = pick(lifetime, "mode", "modes") || {};
+  for (const [mode, value] of Object.entries<any>(modeStats))
+    modes[mode] = numericStats(pick(value, "properties", "stats") || value);
+
+  const all = pick(lifetime, "all");
+  return {
+    title: title || pick(data, "title"),
+    platform: pick(data, "platform"),
+    username: pick(data, "username", "unoUsername", "gamertag"),
+    level: pick(data, "level", "rank"),
+    prestige: pick(data, "prestige", "prestigeId"),
+    stats: numericStats(
+      all ? pick(all, "properties", "stats") || all : lifetime
+    ),
+    modes,
+    raw: payload,
   };
+};
 
-  matchInfo = async (unoId: string, matchId: string) => {
-    var { gamertag } = mapGamertagToPlatform(unoId, platforms.Uno, true);
+const normalizePlayer = (entry: any): MatchPlayer => {
+  const player = pick(entry, "player") || entry;
+  const team = pick(player, "team", "teamId");
+  return {
+    username: pick(player, "username", "gamertag", "unoUsername"),
+    uno: pick(player, "uno", "unoId"),
+    clantag: pick(player, "clantag", "clanTag"),
+    team: team === undefined ? undefined : String(team),
+    level: pick(player, "rank", "level"),
+    stats: numericStats(pick(entry, "playerStats", "stats") || player),
+  };
+};
 
-    const endpoint = new TelescopeEndpoints(
-      telescopeGames.ModernWarfare3,
-      gamertag,
-      telescopeModes.Multiplayer
-    );
+// Ratios and positions can't be summed across teammates.
+const nonAdditiveStat =
+  /ratio|placement|percent|average|accuracy|perminute|rank/i;
+
+const groupTeams = (players: MatchPlayer[]): MatchTeam[] => {
+  const teams = new Map<string, MatchTeam>();
+  for (const player of players) {
+    const name = player.team || "unknown";
+    if (!teams.has(name))
+      teams.set(name, { name, placement: undefined, players: [], stats: {} });
+    const team = teams.get(name)!;
+    team.players.push(player);
+    for (const [key, value] of Object.entries(player.stats))
+      if (!nonAdditiveStat.test(key))
+        team.stats[key] = (team.stats[key] || 0) + value;
+    if (player.stats.teamPlacement !== undefined)
+      team.placement = player.stats.teamPlacement;
+  }
+  return Array.from(teams.values());
+};
 
-    return await sendTelescopeRequest(endpoint.match(matchId));
+const matchFromEntries = (
+  entries: any[],
+  title?: string,
+  raw: unknown = entries
+): Match => {
+  const first = entries[0] || {};
+  const players = entries.map(normalizePlayer);
+  return {
+    id: String(pick(first, "matchID", "matchId", "id")),
+    title: title || pick(first, "title"),
+    mode: pick(first, "mode", "gameType", "modeId"),
+    map: pick(first, "map", "mapId"),
+    start: toDate(pick(first, "utcStartSeconds", "startTime", "start")),
+    end: toDate(pick(first, "utcEndSeconds", "endTime", "end")),
+    result: pick(first, "result"),
+    players,
+    teams: groupTeams(players),
+    stats: entries.length === 1 ? players[0].stats : {},
+    raw,
   };
+};
+
+// combatHistory/matches only describe the requesting player, so each match
+// carries that player's stats in `stats`.
+const normalizeMatches = (payload: unknown, title?: string): Match[] => {
+  const data = unwrap(payload);
+  const matches: any[] = (Array.isArray(data) ? data : data.matches) || [];
+  return matches.map((match) => matchFromEntries([match], title, match));
+};
+
+// matchInfo returns one entry per player, all sharing the match fields.
+const normalizeMatch = (payload: unknown, title?: string): Match => {
+  const data = unwrap(payload);
+  const entries: any[] =
+    pick(data, "allPlayers", "players") || (Array.isArray(data) ? data : []);
+  return matchFromEntries(entries.length ? entries : [data], title, payload);
+};
+
+interface MatchAggregate {
+  matches: number;
+  kills: number;
+  deaths: number;
+  kdRatio: number | undefined;
+  wins: number;
+  winRate: number | undefined;
+  averagePlacement: number | undefined;
+  damagePerMinute: number | undefined;
+  headshotPercentage: number | undefined;
+  totals: Record<string, number>;
 }
 
-class WZM {
-  fullData = async (unoId: string) => {
-    var { gamertag } = mapGamertagToPlatform(unoId, platforms.Uno, true);
+interface ModeAggregate extends MatchAggregate {
+  name: string;
+  family: ModeFamily | undefined;
+}
 
-    const endpoint = new TelescopeEndpoints(
-      telescopeGames.Mobile,
-      gamertag,
-      telescopeModes.Multiplayer
-    );
+interface MapAggregate extends MatchAggregate {
+  name: string;
+}
 
-    return await sendTelescopeRequest(endpoint.lifeTime());
-  };
+interface MatchSummary {
+  id: string;
+  mode: string | undefined;
+  map: string | undefined;
+  start: Date | undefined;
+  value: number;
+  stats: Record<string, number>;
+}
 
-  matches = async (unoId: string) => {
-    var { gamertag } = mapGamertagToPlatform(unoId, platforms.Uno, true);
+interface RollingPoint {
+  id: string;
+  start: Date | undefined;
+  kdRatio: number | undefined;
+  winRate: number | undefined;
+  averagePlacement: number | undefined;
+  damagePerMinute: number | undefined;
+}
 
-    const endpoint = new TelescopeEndpoints(
-      telescopeGames.Mobile,
-      gamertag,
-      telescopeModes.Multiplayer
-    );
+interface MatchAnalytics {
+  overall: MatchAggregate;
+  byMode: Record<string, ModeAggregate>;
+  byFamily: Partial<Record<ModeFamily, MatchAggregate>>;
+  byMap: Record<string, MapAggregate>;
+  rolling: RollingPoint[];
+  best: MatchSummary[];
+  worst: MatchSummary[];
+}
+
+interface AnalyticsOptions {
+  window?: number;
+  rankBy?: string;
+  top?: number;
+}
+
+const mapNames = replacements as Record<string, string>;
+
+const statOf = (stats: Record<string, number>, ...keys: string[]) =>
+  pick(stats, ...keys) as number | undefined;
+
+const round = (value: number | undefined) =>
+  value === undefined || !isFinite(value)
+    ? undefined
+    : Math.round(value * 100) / 100;
+
+// Warzone has no win/loss result, so first place counts as the win.
+const matchWon = (match: Match): boolean | undefined => {
+  if (match.result) return /^win/i.test(match.result);
+  const placement = statOf(match.stats, "teamPlacement", "placement");
+  return placement === undefined ? undefined : placement === 1;
+};
+
+const matchSeconds = (match: Match) => {
+  const played = statOf(match.stats, "timePlayed", "duration");
+  if (played !== undefined) return played;
+  if (match.start && match.end)
+    return (match.end.getTime() - match.start.getTime()) / 1000;
+  return undefined;
+};
+
+const aggregateMatches = (matches: Match[]): MatchAggregate => {
+  const totals: Record<string, number> = {};
+  let wins = 0;
+  let decided = 0;
+  let placements = 0;
+  let placed = 0;
+  let seconds = 0;
+
+  for (const match of matches) {
+    for (const [key, value] of Object.entries(match.stats))
+      if (!nonAdditiveStat.test(key)) totals[key] = (totals[key] || 0) + value;
+    const won = matchWon(match);
+    if (won !== undefined) {
+      decided++;
+      if (won) wins++;
+    }
+    const placement = statOf(match.stats, "teamPlacement", "placement");
+    if (placement) {
+      placements += placement;
+      placed++;
+    }
+    seconds += matchSeconds(match) || 0;
+  }
 
-    return await sendTelescopeRequest(endpoint.matches());
+  const kills = totals.kills || 0;
+  const deaths = totals.deaths || 0;
+  const damage = statOf(totals, "damageDone", "damageDealt");
+  return {
+    matches: matches.length,
+    kills,
+    deaths,
+    kdRatio: round(deaths > 0 ? kills / deaths : kills),
+    wins,
+    winRate: round(decided > 0 ? (wins / decided) * 100 : undefined),
+    averagePlacement: round(placed > 0 ? placements / placed : undefined),
+    damagePerMinute: round(
+      damage !== undefined && seconds > 0 ? damage / (seconds / 60) : undefined
+    ),
+    headshotPercentage: round(
+      kills > 0 ? ((totals.headshots || 0) / kills) * 100 : undefined
+    ),
+    totals,
   };
+};
 
-  matchInfo = async (unoId: string, matchId: string) => {
-    var { gamertag } = mapGamertagToPlatform(unoId, platforms.Uno, true);
+const groupMatches = (matches: Match[], key: (match: Match) => string) => {
+  const groups = new Map<string, Match[]>();
+  for (const match of matches) {
+    const name = key(match);
+    if (!groups.has(name)) groups.set(name, []);
+    groups.get(name)!.push(match);
+  }
+  return groups;
+};
 
-    const endpoint = new TelescopeEndpoints(
-      telescopeGames.Mobile,
-      gamertag,
-      telescopeModes.Multiplayer
+const summarizeMatch = (match: Match, rankBy: string): MatchSummary => ({
+  id: match.id,
+  mode: match.mode,
+  map: match.map,
+  start: match.start,
+  value: match.stats[rankBy],
+  stats: match.stats,
+});
+
+// Works on the output of normalizeMatches. Mode families only apply to the
+// Warzone playlists the mode taxonomy knows about.
+const analyzeMatches = (
+  matches: Match[],
+  options: AnalyticsOptions = {}
+): MatchAnalytics => {
+  const { window = 10, rankBy = "kills", top = 3 } = options;
+  const chronological = matches
+    .slice()
+    .sort(
+      (a, b) =>
+        (a.start ? a.start.getTime() : 0) - (b.start ? b.start.getTime() : 0)
+    );
+
+  const byMode: Record<string, ModeAggregate> = {};
+  for (const [mode, group] of groupMatches(
+    chronological,
+    (match) => match.mode || "unknown"
+  )) {
+    const taxonomy = classifyMode(mode);
+    byMode[mode] = {
+      ...aggregateMatches(group),
+      name: taxonomy.name,
+      family: taxonomy.title ? taxonomy.family : undefined,
+    };
+  }
+
+  const byFamily: Partial<Record<ModeFamily, MatchAggregate>> = {};
+  for (const [family, group] of groupMatches(
+    chronological.filter((match) => byMode[match.mode || "unknown"].family),
+    (match) => byMode[match.mode || "unknown"].family!
+  ))
+    byFamily[family as ModeFamily] = aggregateMatches(group);
+
+  const byMap: Record<string, MapAggregate> = {};
+  for (const [map, group] of groupMatches(
+    chronological,
+    (match) => match.map || "unknown"
+  ))
+    byMap[map] = { ...aggregateMatches(group), name: mapNames[map] || map };
+
+  const rolling = chronological.map((match, index) => {
+    const recent = aggregateMatches(
+      chronological.slice(Math.max(0, index - window + 1), index + 1)
     );
+    return {
+      id: match.id,
+      start: match.start,
+      kdRatio: recent.kdRatio,
+      winRate: recent.winRate,
+      averagePlacement: recent.averagePlacement,
+      damagePerMinute: recent.damagePerMinute,
+    };
+  });
 
-    return await sendTelescopeRequest(endpoint.match(matchId));
+  const ranked = chronological
+    .filter((match) => match.stats[rankBy] !== undefined)
+    .sort((a, b) => b.stats[rankBy] - a.stats[rankBy]);
+
+  return {
+    overall: aggregateMatches(chronological),
+    byMode,
+    byFamily,
+    byMap,
+    rolling,
+    best: ranked.slice(0, top).map((match) => summarizeMatch(match, rankBy)),
+    worst: ranked
+      .slice(-top)
+      .reverse()
+      .map((match) => summarizeMatch(match, rankBy)),
   };
+};
+
+interface StoreBundle {
+  id: string;
+  name: string;
+  price: number | undefined;
+  details: unknown;
+  raw: unknown;
 }
 
-class CW {
-  fullData = async (gamertag: string, platform: platforms) => {
-    var {
-      gamertag,
-      _platform: platform,
-      lookupType,
-    } = mapGamertagToPlatform(gamertag, platform);
-    const endpoint = new Endpoints(
-      games.ColdWar,
-      gamertag,
-      platform,
-      modes.Multiplayer,
-      lookupType
-    );
-    return await sendRequest(endpoint.fullData());
+interface StoreSnapshot {
+  title: string;
+  platform: string;
+  locale: string;
+  takenAt: string;
+  bundles: StoreBundle[];
+}
+
+interface StorePriceChange {
+  bundle: StoreBundle;
+  previousPrice: number | undefined;
+  price: number | undefined;
+}
+
+interface StoreDiff {
+  previous: string | undefined;
+  current: string;
+  added: StoreBundle[];
+  removed: StoreBundle[];
+  priceChanged: StorePriceChange[];
+}
+
+interface StoreSnapshotOptions extends LocaleOptions {
+  details?: boolean;
+}
+
+const numeric = (value: any): number | undefined => {
+  if (value && typeof value === "object")
+    return numeric(pick(value, "amount", "value", "cost"));
+  const number = Number(value);
+  return value === undefined || value === null || isNaN(number)
+    ? undefined
+    : number;
+};
+
+const storeBundles = (payload: unknown): StoreBundle[] => {
+  const data = unwrap(payload);
+  const entries = Array.isArray(data)
+    ? data
+    : pick(data, "items", "bundles", "purchasables") || Object.values(data);
+  return (entries as any[])
+    .filter((entry) => entry && typeof entry === "object")
+    .map((entry) => {
+      const id = String(pick(entry, "id", "bundleId", "itemId", "name"));
+      return {
+        id,
+        name: String(pick(entry, "name", "title", "label") || id),
+        price: numeric(pick(entry, "price", "cost", "salePrice", "codPoints")),
+        details: undefined,
+        raw: entry,
+      };
+    });
+};
+
+// A missing price on either side is not reported as a change, since the
+// store listing doesn't always carry one.
+const diffStoreSnapshots = (
+  previous: StoreSnapshot | undefined,
+  current: StoreSnapshot
+): StoreDiff => {
+  const before = new Map(
+    (previous ? previous.bundles : []).map((bundle) => [bundle.id, bundle])
+  );
+  const after = new Map(current.bundles.map((bundle) => [bundle.id, bundle]));
+  const priceChanged: StorePriceChange[] = [];
+
+  for (const [id, bundle] of after) {
+    const old = before.get(id);
+    if (
+      old &&
+      old.price !== undefined &&
+      bundle.price !== undefined &&
+      old.price !== bundle.price
+    )
+      priceChanged.push({
+        bundle,
+        previousPrice: old.price,
+        price: bundle.price,
+      });
+  }
+
+  return {
+    previous: previous && previous.takenAt,
+    current: current.takenAt,
+    // The first snapshot has nothing to compare against, so nothing is "new".
+    added: previous
+      ? current.bundles.filter((bundle) => !before.has(bundle.id))
+      : [],
+    removed: previous
+      ? previous.bundles.filter((bundle) => !after.has(bundle.id))
+      : [],
+    priceChanged,
   };
+};
 
-  combatHistory = async (gamertag: string, platform: platforms) => {
-    var {
-      gamertag,
-      _platform: platform,
-      lookupType,
-    } = mapGamertagToPlatform(gamertag, platform);
-    const endpoint = new Endpoints(
-      games.ColdWar,
-      gamertag,
+const summarizeStoreDiff = (diff: StoreDiff) => {
+  const lines = [
+    ...diff.added.map(
+      (bundle) =>
+        `New: ${bundle.name}${
+          bundle.price !== undefined ? ` (${bundle.price} CP)` : ""
+        }`
+    ),
+    ...diff.removed.map((bundle) => `Removed: ${bundle.name}`),
+    ...diff.priceChanged.map(
+      (change) =>
+        `Price change: ${change.bundle.name} ${change.previousPrice} CP -> ${change.price} CP`
+    ),
+  ];
+  return lines.length > 0 ? lines.join("\n") : "No store changes.";
+};
+
+// Snapshots are kept in a CacheStore, so a file cache lets the previous
+// rotation survive restarts between daily runs.
+class StoreTracker {
+  client: Client;
+  snapshots: CacheStore;
+
+  constructor(client: Client, snapshots: CacheStore = createMemoryCache()) {
+    this.client = client;
+    this.snapshots = snapshots;
+  }
+
+  snapshotKey = (title: string, platform: string, locale: string) =>
+    `store:${title}:${platform}:${locale}`;
+
+  snapshot = async (
+    title: string,
+    platform: platforms = platforms.PSN,
+    options: StoreSnapshotOptions = {}
+  ): Promise<StoreSnapshot> => {
+    const locale = this.client.localeFor(options.locale).code;
+    const listing = await this.client.Store.purchasableItems(title, platform, {
+      locale,
+    });
+    const bundles = storeBundles(listing);
+
+    if (options.details !== false)
+      await Promise.all(
+        bundles.map(async (bundle) => {
+          // One unavailable bundle shouldn't lose the whole rotation.
+          bundle.details = await this.client.Store.bundleInformation(
+            title,
+            bundle.id,
+            { locale }
+          ).then(unwrap, () => undefined);
+        })
+      );
+
+    return {
+      title,
       platform,
-      modes.Multiplayer,
-      lookupType
-    );
-    return await sendRequest(endpoint.combatHistory());
+      locale,
+      takenAt: new Date().toISOString(),
+      bundles,
+    };
   };
 
-  combatHistoryWithDate = async (
-    gamertag: string,
-    startTime: number,
-    endTime: number,
-    platform: platforms
-  ) => {
-    var {
-      gamertag,
-      _platform: platform,
-      lookupType,
-    } = mapGamertagToPlatform(gamertag, platform);
-    const endpoint = new Endpoints(
-      games.ColdWar,
-      gamertag,
-      platform,
-      modes.Multiplayer,
-      lookupType
-    );
-    return await sendRequest(
-      endpoint.combatHistoryWithDate(startTime, endTime)
+  previous = async (
+    title: string,
+    platform: platforms = platforms.PSN,
+    options: LocaleOptions = {}
+  ): Promise<StoreSnapshot | undefined> => {
+    const locale = this.client.localeFor(options.locale).code;
+    const entry = await this.snapshots.get(
+      this.snapshotKey(title, platform, locale)
     );
+    return entry ? (entry.value as StoreSnapshot) : undefined;
   };
 
-  breakdown = async (gamertag: string, platform: platforms) => {
-    var {
-      gamertag,
-      _platform: platform,
-      lookupType,
-    } = mapGamertagToPlatform(gamertag, platform);
-    const endpoint = new Endpoints(
-      games.ColdWar,
-      gamertag,
-      platform,
-      modes.Multiplayer,
-      lookupType
+  // Takes a fresh snapshot, diffs it against the last one and keeps it as the
+  // baseline for the next run.
+  track = async (
+    title: string,
+    platform: platforms = platforms.PSN,
+    options: StoreSnapshotOptions = {}
+  ): Promise<StoreDiff> => {
+    const previous = await this.previous(title, platform, options);
+    const current = await this.snapshot(title, platform, options);
+    await this.snapshots.set(
+      this.snapshotKey(title, platform, current.locale),
+      { value: current, expiresAt: null }
     );
-    return await sendRequest(endpoint.breakdown());
+    return diffStoreSnapshots(previous, current);
   };
+}
 
-  breakdownWithDate = async (
-    gamertag: string,
-    startTime: number,
-    endTime: number,
-    platform: platforms
-  ) => {
-    var {
-      gamertag,
-      _platform: platform,
-      lookupType,
-    } = mapGamertagToPlatform(gamertag, platform);
-    const endpoint = new Endpoints(
-      games.ColdWar,
-      gamertag,
-      platform,
-      modes.Multiplayer,
-      lookupType
-    );
-    return await sendRequest(endpoint.breakdownWithDate(startTime, endTime));
+const createStoreTracker = (client: Client, snapshots?: CacheStore) =>
+  new StoreTracker(client, snapshots);
+
+interface LobbyPlayer {
+  username: string | undefined;
+  uno: string | undefined;
+  team: string | undefined;
+  level: number | undefined;
+  kills: number;
+  deaths: number;
+  kdRatio: number | undefined;
+  value: number | undefined;
+  lifetime?: {
+    level: number | undefined;
+    kdRatio: number | undefined;
   };
+}
 
-  seasonloot = async (gamertag: string, platform: platforms) => {
-    var {
-      gamertag,
-      _platform: platform,
-      lookupType,
-    } = mapGamertagToPlatform(gamertag, platform);
-    const endpoint = new Endpoints(
-      games.ColdWar,
-      gamertag,
-      platform,
-      modes.Multiplayer,
-      lookupType
-    );
-    return await sendRequest(endpoint.seasonLoot());
+interface LobbyTeam {
+  name: string;
+  placement: number | undefined;
+  players: number;
+  kdRatio: number | undefined;
+  lifetimeKdRatio: number | undefined;
+}
+
+interface LevelSpread {
+  min: number | undefined;
+  max: number | undefined;
+  average: number | undefined;
+  median: number | undefined;
+  spread: number | undefined;
+}
+
+interface LobbyAnalysis {
+  match: {
+    id: string;
+    title: string | undefined;
+    mode: string | undefined;
+    modeName: string | undefined;
+    map: string | undefined;
+    mapName: string | undefined;
+    start: Date | undefined;
+  };
+  players: number;
+  kdRatio: number | undefined;
+  lifetimeKdRatio: number | undefined;
+  teams: LobbyTeam[];
+  levels: LevelSpread;
+  topPerformers: LobbyPlayer[];
+  requester?: {
+    player: LobbyPlayer;
+    rank: number;
+    of: number;
   };
+}
 
-  mapList = async (platform: platforms) => {
-    var {
-      gamertag,
-      _platform: platform,
-      lookupType,
-    } = mapGamertagToPlatform("", platform);
-    const endpoint = new Endpoints(
-      games.ColdWar,
-      gamertag,
-      platform,
-      modes.Multiplayer,
-      lookupType
-    );
-    return await sendRequest(endpoint.mapList());
+interface LobbyOptions extends LocaleOptions {
+  gamertag?: string;
+  platform?: platforms;
+  rankBy?: string;
+  top?: number;
+  lookup?: boolean;
+  concurrency?: number;
+}
+
+const killDeathRatio = (kills: number, deaths: number) =>
+  round(deaths > 0 ? kills / deaths : kills);
+
+const average = (values: number[]) =>
+  values.length
+    ? values.reduce((sum, value) => sum + value, 0) / values.length
+    : undefined;
+
+const levelSpread = (levels: number[]): LevelSpread => {
+  const sorted = levels.slice().sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return {
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    average: round(average(sorted)),
+    median: sorted.length
+      ? sorted.length % 2
+        ? sorted[middle]
+        : (sorted[middle - 1] + sorted[middle]) / 2
+      : undefined,
+    spread: sorted.length ? sorted[sorted.length - 1] - sorted[0] : undefined,
   };
+};
 
-  matchInfo = async (matchId: string, platform: platforms) => {
-    var {
-      gamertag,
-      _platform: platform,
-      lookupType,
-    } = mapGamertagToPlatform("", platform);
-    const endpoint = new Endpoints(
-      games.ColdWar,
-      gamertag,
-      platform,
-      modes.Multiplayer,
-      lookupType
-    );
-    return await sendRequest(endpoint.matchInfo(matchId));
+// Battle.net names carry a `#1234` suffix that matchInfo may leave off.
+const sameGamertag = (a: string | undefined, b: string | undefined) =>
+  !!a &&
+  !!b &&
+  (a.toLowerCase() === b.toLowerCase() ||
+    a.replace(/#\d+$/, "").toLowerCase() ===
+      b.replace(/#\d+$/, "").toLowerCase());
+
+const lobbyPlayer = (
+  player: MatchPlayer,
+  rankBy: string,
+  profile?: PlayerProfile
+): LobbyPlayer => {
+  const kills = player.stats.kills || 0;
+  const deaths = player.stats.deaths || 0;
+  return {
+    username: player.username,
+    uno: player.uno,
+    team: player.team,
+    level: player.level,
+    kills,
+    deaths,
+    kdRatio: killDeathRatio(kills, deaths),
+    value: player.stats[rankBy],
+    lifetime: profile && {
+      level: profile.level,
+      kdRatio:
+        profile.stats.kdRatio !== undefined
+          ? round(profile.stats.kdRatio)
+          : killDeathRatio(profile.stats.kills || 0, profile.stats.deaths || 0),
+    },
   };
-}
+};
 
-class VG {
-  fullData = async (gamertag: string, platform: platforms) => {
-    var {
-      gamertag,
-      _platform: platform,
-      lookupType,
-    } = mapGamertagToPlatform(gamertag, platform);
-    const endpoint = new Endpoints(
-      games.Vanguard,
-      gamertag,
-      platform,
-      modes.Multiplayer,
-      lookupType
+const lifetimeKd = (players: LobbyPlayer[]) =>
+  round(
+    average(
+      players
+        .map((player) => player.lifetime && player.lifetime.kdRatio)
+        .filter((kdRatio): kdRatio is number => kdRatio !== undefined)
+    )
+  );
+
+// Works on the output of normalizeMatch. `profiles` holds lifetime profiles
+// keyed by Uno ID, for lobbies that were looked up.
+const summarizeLobby = (
+  match: Match,
+  options: LobbyOptions = {},
+  profiles: Map<string, PlayerProfile> = new Map()
+): LobbyAnalysis => {
+  const { rankBy = "kills", top = 5 } = options;
+  const players = match.players.map((player) =>
+    lobbyPlayer(
+      player,
+      rankBy,
+      player.uno ? profiles.get(player.uno) : undefined
+    )
+  );
+  const kills = players.reduce((sum, player) => sum + player.kills, 0);
+  const deaths = players.reduce((sum, player) => sum + player.deaths, 0);
+
+  const teams = match.teams.map((team) => {
+    const members = players.filter(
+      (player) => (player.team || "unknown") === team.name
     );
-    return await sendRequest(endpoint.fullData());
+    return {
+      name: team.name,
+      placement: team.placement,
+      players: members.length,
+      kdRatio: killDeathRatio(team.stats.kills || 0, team.stats.deaths || 0),
+      lifetimeKdRatio: lifetimeKd(members),
+    };
+  });
+
+  const levels = players
+    .map((player) =>
+      player.level !== undefined
+        ? player.level
+        : player.lifetime && player.lifetime.level
+    )
+    .filter((level): level is number => typeof level === "number");
+
+  const ranked = players
+    .filter((player) => player.value !== undefined)
+    .sort((a, b) => b.value! - a.value!);
+  const index = options.gamertag
+    ? ranked.findIndex(
+        (player) =>
+          sameGamertag(player.username, options.gamertag) ||
+          player.uno === options.gamertag
+      )
+    : -1;
+  const mode = match.mode ? classifyMode(match.mode) : undefined;
+
+  return {
+    match: {
+      id: match.id,
+      title: match.title,
+      mode: match.mode,
+      modeName: mode && mode.name,
+      map: match.map,
+      mapName: match.map && (mapNames[match.map] || match.map),
+      start: match.start,
+    },
+    players: players.length,
+    kdRatio: killDeathRatio(kills, deaths),
+    lifetimeKdRatio: lifetimeKd(players),
+    teams,
+    levels: levelSpread(levels),
+    topPerformers: ranked.slice(0, top),
+    requester:
+      index >= 0
+        ? { player: ranked[index], rank: index + 1, of: ranked.length }
+        : undefined,
   };
+};
 
-  combatHistory = async (gamertag: string, platform: platforms) => {
-    var {
-      gamertag,
-      _platform: platform,
-      lookupType,
-    } = mapGamertagToPlatform(gamertag, platform);
-    const endpoint = new Endpoints(
-      games.Vanguard,
-      gamertag,
-      platform,
-      modes.Multiplayer,
-      lookupType
+// Fetches the match, then optionally every player's lifetime stats by Uno ID.
+// Lookups go through their own limiter so a full lobby doesn't fire 150
+// requests at once; private or missing profiles are left out.
+const analyzeLobby = async (
+  client: Client,
+  title: string,
+  matchId: string,
+  options: LobbyOptions = {}
+): Promise<LobbyAnalysis> => {
+  const match = normalizeMatch(
+    await client.titleRequest(title, "matchInfo", {
+      matchId,
+      gamertag: options.gamertag,
+      platform: options.platform,
+      locale: options.locale,
+    }),
+    title
+  );
+
+  const profiles = new Map<string, PlayerProfile>();
+  if (options.lookup) {
+    const limit = createLimiter(options.concurrency || 4);
+    const unoIds = Array.from(
+      new Set(
+        match.players
+          .map((player) => player.uno)
+          .filter((uno): uno is string => !!uno)
+      )
     );
-    return await sendRequest(endpoint.combatHistory());
-  };
+    await Promise.all(
+      unoIds.map((uno) =>
+        limit(() =>
+          client
+            .titleRequest(title, "fullData", {
+              gamertag: uno,
+              platform: platforms.Uno,
+            })
+            .then(
+              (payload) => {
+                profiles.set(uno, normalizeProfile(payload, title));
+              },
+              () => undefined
+            )
+        )
+      )
+    );
+  }
 
-  combatHistoryWithDate = async (
-    gamertag: string,
-    startTime: number,
-    endTime: number,
-    platform: platforms
-  ) => {
-    var {
-      gamertag,
-      _platform: platform,
-      lookupType,
-    } = mapGamertagToPlatform(gamertag, platform);
-    const endpoint = new Endpoints(
-      games.Vanguard,
-      gamertag,
-      platform,
-      modes.Multiplayer,
-      lookupType
-    );
-    return await sendRequest(
-      endpoint.combatHistoryWithDate(startTime, endTime)
-    );
-  };
+  return summarizeLobby(match, options, profiles);
+};
 
-  breakdown = async (gamertag: string, platform: platforms) => {
-    var {
-      gamertag,
-      _platform: platform,
-      lookupType,
-    } = mapGamertagToPlatform(gamertag, platform);
-    const endpoint = new Endpoints(
-      games.Vanguard,
-      gamertag,
-      platform,
-      modes.Multiplayer,
-      lookupType
+interface SquadRecord {
+  matches: number;
+  wins: number;
+  winRate: number | undefined;
+  averagePlacement: number | undefined;
+  kills: number;
+  deaths: number;
+  kdRatio: number | undefined;
+}
+
+interface Teammate extends SquadRecord {
+  username: string | undefined;
+  uno: string | undefined;
+  teammate: { kills: number; deaths: number; kdRatio: number | undefined };
+}
+
+interface SquadComposition extends SquadRecord {
+  members: (string | undefined)[];
+}
+
+interface SquadReport {
+  gamertag: string;
+  matches: number;
+  // Matches whose details couldn't be fetched or didn't include the player.
+  skipped: number;
+  teammates: Teammate[];
+  compositions: SquadComposition[];
+}
+
+interface SquadOptions extends LocaleOptions {
+  matches?: number;
+  minMatches?: number;
+  top?: number;
+  concurrency?: number;
+}
+
+interface SquadTally {
+  matches: number;
+  wins: number;
+  decided: number;
+  placements: number;
+  placed: number;
+  kills: number;
+  deaths: number;
+}
+
+const emptyTally = (): SquadTally => ({
+  matches: 0,
+  wins: 0,
+  decided: 0,
+  placements: 0,
+  placed: 0,
+  kills: 0,
+  deaths: 0,
+});
+
+const squadRecord = (tally: SquadTally): SquadRecord => ({
+  matches: tally.matches,
+  wins: tally.wins,
+  winRate: round(
+    tally.decided > 0 ? (tally.wins / tally.decided) * 100 : undefined
+  ),
+  averagePlacement: round(
+    tally.placed > 0 ? tally.placements / tally.placed : undefined
+  ),
+  kills: tally.kills,
+  deaths: tally.deaths,
+  kdRatio: killDeathRatio(tally.kills, tally.deaths),
+});
+
+const playerKey = (player: MatchPlayer) =>
+  player.uno || (player.username || "").toLowerCase();
+
+// Squad results come from the player's own history entry, which has the
+// result and placement; the teammates come from the match details.
+const tallyMatch = (tally: SquadTally, match: Match, squad: MatchPlayer[]) => {
+  tally.matches++;
+  const won = matchWon(match);
+  if (won !== undefined) {
+    tally.decided++;
+    if (won) tally.wins++;
+  }
+  const placement = statOf(match.stats, "teamPlacement", "placement");
+  if (placement) {
+    tally.placements += placement;
+    tally.placed++;
+  }
+  for (const player of squad) {
+    tally.kills += player.stats.kills || 0;
+    tally.deaths += player.stats.deaths || 0;
+  }
+};
+
+const findPlayer = (match: Match, gamertag: string, uno?: string) =>
+  match.players.find(
+    (player) =>
+      (uno && player.uno === uno) ||
+      player.uno === gamertag ||
+      sameGamertag(player.username, gamertag)
+  );
+
+// `history` is the output of normalizeMatches and `details` maps match IDs to
+// the output of normalizeMatch. Combined stats cover the player and the
+// teammate (or the whole squad, for compositions).
+const summarizeSquad = (
+  gamertag: string,
+  history: Match[],
+  details: Map<string, Match>,
+  options: SquadOptions = {}
+): SquadReport => {
+  const { minMatches = 2, top = 10 } = options;
+  const teammates = new Map<
+    string,
+    { player: MatchPlayer; tally: SquadTally; own: SquadTally }
+  >();
+  const compositions = new Map<
+    string,
+    { members: (string | undefined)[]; tally: SquadTally }
+  >();
+  let matches = 0;
+
+  for (const entry of history) {
+    const match = details.get(entry.id);
+    const self =
+      match &&
+      findPlayer(match, gamertag, entry.players[0] && entry.players[0].uno);
+    if (!match || !self) continue;
+    matches++;
+
+    const squad = match.players.filter(
+      (player) => player !== self && player.team === self.team
     );
-    return await sendRequest(endpoint.breakdown());
+    for (const teammate of squad) {
+      const key = playerKey(teammate);
+      if (!teammates.has(key))
+        teammates.set(key, {
+          player: teammate,
+          tally: emptyTally(),
+          own: emptyTally(),
+        });
+      const record = teammates.get(key)!;
+      tallyMatch(record.tally, entry, [self, teammate]);
+      tallyMatch(record.own, entry, [teammate]);
+    }
+
+    if (squad.length === 0) continue;
+    const sorted = squad
+      .slice()
+      .sort((a, b) => playerKey(a).localeCompare(playerKey(b)));
+    const key = sorted.map(playerKey).join("|");
+    if (!compositions.has(key))
+      compositions.set(key, {
+        members: sorted.map((player) => player.username),
+        tally: emptyTally(),
+      });
+    tallyMatch(compositions.get(key)!.tally, entry, [self, ...squad]);
+  }
+
+  // Best compositions win the most, then place highest.
+  const byResult = (a: SquadRecord, b: SquadRecord) =>
+    (b.winRate || 0) - (a.winRate || 0) ||
+    (a.averagePlacement || Infinity) - (b.averagePlacement || Infinity) ||
+    (b.kdRatio || 0) - (a.kdRatio || 0);
+
+  return {
+    gamertag,
+    matches,
+    skipped: history.length - matches,
+    teammates: Array.from(teammates.values())
+      .map(({ player, tally, own }) => {
+        const teammate = squadRecord(own);
+        return {
+          username: player.username,
+          uno: player.uno,
+          ...squadRecord(tally),
+          teammate: {
+            kills: teammate.kills,
+            deaths: teammate.deaths,
+            kdRatio: teammate.kdRatio,
+          },
+        };
+      })
+      .sort((a, b) => b.matches - a.matches || byResult(a, b))
+      .slice(0, top),
+    compositions: Array.from(compositions.values())
+      .filter(({ tally }) => tally.matches >= minMatches)
+      .map(({ members, tally }) => ({ members, ...squadRecord(tally) }))
+      .sort(byResult)
+      .slice(0, top),
   };
+};
 
-  breakdownWithDate = async (
-    gamertag: string,
-    startTime: number,
-    endTime: number,
-    platform: platforms
-  ) => {
-    var {
-      gamertag,
-      _platform: platform,
-      lookupType,
-    } = mapGamertagToPlatform(gamertag, platform);
-    const endpoint = new Endpoints(
-      games.Vanguard,
+// Fetches the recent history, then the details of each match through a
+// limiter. Matches whose details fail are counted as skipped.
+const analyzeSquad = async (
+  client: Client,
+  title: string,
+  gamertag: string,
+  platform: platforms,
+  options: SquadOptions = {}
+): Promise<SquadReport> => {
+  const { locale } = options;
+  const history = normalizeMatches(
+    await client.titleRequest(title, "combatHistory", {
       gamertag,
       platform,
-      modes.Multiplayer,
-      lookupType
-    );
-    return await sendRequest(endpoint.breakdownWithDate(startTime, endTime));
+      locale,
+    }),
+    title
+  ).slice(0, options.matches || 20);
+
+  const limit = createLimiter(options.concurrency || 4);
+  const details = new Map<string, Match>();
+  await Promise.all(
+    history.map((entry) =>
+      limit(() =>
+        client
+          .titleRequest(title, "matchInfo", {
+            matchId: entry.id,
+            gamertag,
+            platform,
+            locale,
+          })
+          .then(
+            (payload) => {
+              details.set(entry.id, normalizeMatch(payload, title));
+            },
+            () => undefined
+          )
+      )
+    )
+  );
+
+  return summarizeSquad(gamertag, history, details, options);
+};
+
+interface ComparedPlayer {
+  gamertag: string;
+  platform: platforms;
+  username: string | undefined;
+  level: number | undefined;
+  prestige: number | undefined;
+  error?: string;
+  errorType?: string;
+}
+
+interface StatComparison {
+  stat: string;
+  values: (number | undefined)[];
+  // Difference from the first player, who is the baseline.
+  diffs: (number | undefined)[];
+  // Index of the leading player, undefined on a tie or a single value.
+  leader: number | undefined;
+}
+
+interface PlayerComparison {
+  title: string;
+  players: ComparedPlayer[];
+  stats: StatComparison[];
+  leads: number[];
+}
+
+interface ComparisonTarget {
+  gamertag: string;
+  platform: platforms;
+}
+
+const difference = (to: number | undefined, from: number | undefined) =>
+  to !== undefined && from !== undefined ? to - from : undefined;
+
+// Stats where the smaller number is the better one.
+const lowerIsBetter = /deaths|placement|damageTaken|suicides|timeDead/i;
+
+const compareStat = (
+  stat: string,
+  values: (number | undefined)[]
+): StatComparison => {
+  const present = values.filter(
+    (value): value is number => value !== undefined
+  );
+  const best = lowerIsBetter.test(stat)
+    ? Math.min(...present)
+    : Math.max(...present);
+  const leaders = values.filter((value) => value === best).length;
+  return {
+    stat,
+    values,
+    diffs: values.map((value) => round(difference(value, values[0]))),
+    leader:
+      present.length > 1 && leaders === 1 ? values.indexOf(best) : undefined,
   };
+};
 
-  seasonloot = async (gamertag: string, platform: platforms) => {
-    var {
-      gamertag,
-      _platform: platform,
-      lookupType,
-    } = mapGamertagToPlatform(gamertag, platform);
-    const endpoint = new Endpoints(
-      games.Vanguard,
-      gamertag,
-      platform,
-      modes.Multiplayer,
-      lookupType
+// Aligns already normalized profiles on the union of their stat keys.
+const compareProfiles = (
+  title: string,
+  players: ComparedPlayer[],
+  profiles: (PlayerProfile | undefined)[]
+): PlayerComparison => {
+  const keys = new Set<string>();
+  for (const profile of profiles)
+    if (profile) Object.keys(profile.stats).forEach((key) => keys.add(key));
+
+  const stats = Array.from(keys)
+    .sort()
+    .map((stat) =>
+      compareStat(
+        stat,
+        profiles.map((profile) => profile && profile.stats[stat])
+      )
     );
-    return await sendRequest(endpoint.seasonLoot());
-  };
+  const leads = players.map(
+    (_, index) => stats.filter((stat) => stat.leader === index).length
+  );
+  return { title, players, stats, leads };
+};
 
-  mapList = async (platform: platforms) => {
-    var {
-      gamertag,
-      _platform: platform,
-      lookupType,
-    } = mapGamertagToPlatform("", platform);
-    const endpoint = new Endpoints(
-      games.Vanguard,
-      gamertag,
-      platform,
-      modes.Multiplayer,
-      lookupType
+// Each player keeps their own platform, so a Battle.net player can be
+// compared with a PSN one. A player that fails to load is reported with the
+// error and left out of the stats.
+const comparePlayers = async (
+  client: Client,
+  title: string,
+  targets: ComparisonTarget[],
+  options: LocaleOptions = {}
+): Promise<PlayerComparison> => {
+  const results: { profile?: PlayerProfile; error?: Error }[] =
+    await Promise.all(
+      targets.map(({ gamertag, platform }) =>
+        client
+          .titleRequest(title, "fullData", {
+            gamertag,
+            platform,
+            locale: options.locale,
+          })
+          .then(
+            (payload) => ({ profile: normalizeProfile(payload, title) }),
+            (exception: unknown) => ({
+              error:
+                exception instanceof Error
+                  ? exception
+                  : new Error(String(exception)),
+            })
+          )
+      )
     );
-    return await sendRequest(endpoint.mapList());
-  };
 
-  matchInfo = async (matchId: string, platform: platforms) => {
-    var {
-      gamertag,
-      _platform: platform,
-      lookupType,
-    } = mapGamertagToPlatform("", platform);
-    const endpoint = new Endpoints(
-      games.Vanguard,
+  const players = targets.map(({ gamertag, platform }, index) => {
+    const result = results[index];
+    return {
       gamertag,
       platform,
-      modes.Multiplayer,
-      lookupType
-    );
-    return await sendRequest(endpoint.matchInfo(matchId));
-  };
+      username: result.profile && result.profile.username,
+      level: result.profile && result.profile.level,
+      prestige: result.profile && result.profile.prestige,
+      error: result.error && result.error.message,
+      errorType: result.error && result.error.name,
+    };
+  });
+  return compareProfiles(
+    title,
+    players,
+    results.map((result) => result.profile)
+  );
+};
+
+interface StatSnapshot {
+  title: string;
+  platform: string;
+  gamertag: string;
+  takenAt: string;
+  level: number | undefined;
+  prestige: number | undefined;
+  stats: Record<string, number>;
 }
 
-class SHOP {
-  purchasableItems = async (gameId: string) => {
-    const endpoint = new Endpoints(
-      games.NULL,
-      "",
-      platforms.NULL,
-      modes.NULL,
-      ""
-    );
-    return await sendRequest(endpoint.purchasableItems(gameId));
-  };
+interface StatDelta {
+  from: string;
+  to: string;
+  level: number | undefined;
+  prestige: number | undefined;
+  stats: Record<string, number>;
+}
 
-  bundleInformation = async (title: string, bundleId: string) => {
-    const endpoint = new Endpoints(
-      games.NULL,
-      "",
-      platforms.NULL,
-      modes.NULL,
-      ""
-    );
-    return await sendRequest(endpoint.bundleInformation(title, bundleId));
-  };
+interface HistoryRange {
+  since?: Date | string;
+  until?: Date | string;
+}
 
-  battlePassLoot = async (
-    title: games,
-    season: number,
-    platform: platforms
-  ) => {
-    var {
-      gamertag,
-      _platform: platform,
-      lookupType,
-    } = mapGamertagToPlatform("", platform);
-    const endpoint = new Endpoints(
-      title,
-      gamertag,
-      platform,
-      modes.NULL,
-      lookupType
-    );
-    return await sendRequest(endpoint.battlePassLoot(season));
-  };
+interface TrackedPlayer {
+  title: string;
+  gamertag: string;
+  platform: platforms;
 }
 
-class USER {
-  friendFeed = async (gamertag: string, platform: platforms) => {
-    var {
-      gamertag,
-      _platform: platform,
-      lookupType,
-    } = mapGamertagToPlatform(gamertag, platform);
-    const endpoint = new Endpoints(
-      games.NULL,
-      gamertag,
-      platform,
-      modes.NULL,
-      lookupType
-    );
-    return await sendRequest(endpoint.friendFeed());
-  };
+interface SnapshotResult extends TrackedPlayer {
+  snapshot?: StatSnapshot;
+  error?: string;
+  errorType?: string;
+}
 
-  eventFeed = async () => {
-    const endpoint = new Endpoints(
-      games.NULL,
-      "",
-      platforms.NULL,
-      modes.NULL,
-      ""
-    );
-    return await sendRequest(endpoint.eventFeed());
+const diffStatSnapshots = (from: StatSnapshot, to: StatSnapshot): StatDelta => {
+  const stats: Record<string, number> = {};
+  for (const [key, value] of Object.entries(to.stats))
+    if (from.stats[key] !== undefined) stats[key] = value - from.stats[key];
+  return {
+    from: from.takenAt,
+    to: to.takenAt,
+    level: difference(to.level, from.level),
+    prestige: difference(to.prestige, from.prestige),
+    stats,
   };
+};
 
-  loggedInIdentities = async () => {
-    const endpoint = new Endpoints(
-      games.NULL,
-      "",
-      platforms.NULL,
-      modes.NULL,
-      ""
+// Snapshots are appended to one JSON-lines file per player, so the history
+// survives restarts and can be inspected or trimmed by hand.
+class StatHistory {
+  client: Client;
+  historyDir: string;
+
+  constructor(client: Client, historyDir: string) {
+    this.client = client;
+    this.historyDir = historyDir;
+  }
+
+  // Every part is escaped so no argument can point outside historyDir.
+  historyFile = (title: string, gamertag: string, platform: string) =>
+    join(
+      this.historyDir,
+      [title, platform, gamertag.toLowerCase()]
+        .map((part) => encodeURIComponent(part))
+        .join("_") + ".jsonl"
     );
-    return await sendRequest(endpoint.loggedInIdentities());
-  };
 
-  codPoints = async (gamertag: string, platform: platforms) => {
-    var {
-      gamertag,
-      _platform: platform,
-      lookupType,
-    } = mapGamertagToPlatform(gamertag, platform);
-    const endpoint = new Endpoints(
-      games.NULL,
-      gamertag,
+  snapshot = async (
+    title: string,
+    gamertag: string,
+    platform: platforms
+  ): Promise<StatSnapshot> => {
+    const profile = normalizeProfile(
+      await this.client.titleRequest(title, "fullData", { gamertag, platform }),
+      title
+    );
+    const snapshot: StatSnapshot = {
+      title,
       platform,
-      modes.NULL,
-      lookupType
+      gamertag,
+      takenAt: new Date().toISOString(),
+      level: profile.level,
+      prestige: profile.prestige,
+      stats: profile.stats,
+    };
+
+    await fs.mkdir(this.historyDir, { recursive: true });
+    await fs.appendFile(
+      this.historyFile(title, gamertag, platform),
+      JSON.stringify(snapshot) + "\n"
     );
-    return await sendRequest(endpoint.codPoints());
+    return snapshot;
   };
 
-  connectedAccounts = async (gamertag: string, platform: platforms) => {
-    var {
-      gamertag,
-      _platform: platform,
-      lookupType,
-    } = mapGamertagToPlatform(gamertag, platform);
-    const endpoint = new Endpoints(
-      games.NULL,
-      gamertag,
-      platform,
-      modes.NULL,
-      lookupType
-    );
-    return await sendRequest(endpoint.connectedAccounts());
+  // Players are snapshotted one at a time so a long list doesn't trip the
+  // rate limiter, and one failure doesn't stop the rest.
+  snapshotAll = async (players: TrackedPlayer[]): Promise<SnapshotResult[]> => {
+    const results: SnapshotResult[] = [];
+    for (const player of players) {
+      try {
+        results.push({
+          ...player,
+          snapshot: await this.snapshot(
+            player.title,
+            player.gamertag,
+            player.platform
+          ),
+        });
+      } catch (exception: unknown) {
+        const error =
+          exception instanceof Error ? exception : new Error(String(exception));
+        results.push({
+          ...player,
+          error: error.message,
+          errorType: error.name,
+        });
+      }
+    }
+    return results;
   };
 
-  settings = async (gamertag: string, platform: platforms) => {
-    var {
-      gamertag,
-      _platform: platform,
-      lookupType,
-    } = mapGamertagToPlatform(gamertag, platform);
-    const endpoint = new Endpoints(
-      games.NULL,
-      gamertag,
-      platform,
-      modes.NULL,
-      lookupType
-    );
-    return await sendRequest(endpoint.settings());
+  // Returns a function that stops the schedule. The timer doesn't keep the
+  // process alive on its own.
+  schedule = (
+    players: TrackedPlayer[],
+    interval: number,
+    onResults?: (results: SnapshotResult[]) => void
+  ) => {
+    const run = () =>
+      this.snapshotAll(players).then((results) => {
+        if (onResults) onResults(results);
+      });
+    const timer = setInterval(run, interval);
+    timer.unref();
+    run();
+    return () => clearInterval(timer);
   };
 
-  friendAction = async (
+  series = async (
+    title: string,
     gamertag: string,
     platform: platforms,
-    action: friendActions
-  ) => {
-    var {
-      gamertag,
-      _platform: platform,
-      lookupType,
-    } = mapGamertagToPlatform(gamertag, platform);
-    const endpoint = new Endpoints(
-      games.NULL,
-      gamertag,
-      platform,
-      modes.NULL,
-      lookupType
-    );
-    return await sendPostRequest(endpoint.friendAction(action), "{}");
+    range: HistoryRange = {}
+  ): Promise<StatSnapshot[]> => {
+    let contents: string;
+    try {
+      contents = await fs.readFile(
+        this.historyFile(title, gamertag, platform),
+        "utf8"
+      );
+    } catch (exception: unknown) {
+      return [];
+    }
+
+    const since = range.since ? new Date(range.since).getTime() : -Infinity;
+    const until = range.until ? new Date(range.until).getTime() : Infinity;
+    const snapshots: StatSnapshot[] = [];
+    for (const line of contents.split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        snapshots.push(JSON.parse(line));
+      } catch (exception: unknown) {
+        // A write cut short by a crash leaves a partial last line.
+      }
+    }
+    return snapshots.filter((snapshot) => {
+      const takenAt = new Date(snapshot.takenAt).getTime();
+      return takenAt >= since && takenAt <= until;
+    });
   };
-}
 
-class ALT {
-  search = async (gamertag: string, platform: platforms) => {
-    var {
-      gamertag,
-      _platform: platform,
-      lookupType,
-    } = mapGamertagToPlatform(gamertag, platform, true);
-    const endpoint = new Endpoints(
-      games.NULL,
-      gamertag,
-      platform,
-      modes.NULL,
-      lookupType
+  // Compares the last snapshot taken before `since` (or the first one in the
+  // range when there is none) with the last one in the range.
+  delta = async (
+    title: string,
+    gamertag: string,
+    platform: platforms,
+    range: HistoryRange = {}
+  ): Promise<StatDelta | undefined> => {
+    const all = await this.series(title, gamertag, platform, {
+      until: range.until,
+    });
+    const since = range.since ? new Date(range.since).getTime() : -Infinity;
+    const before = all.filter(
+      (snapshot) => new Date(snapshot.takenAt).getTime() <= since
     );
-    return await sendRequest(endpoint.search());
-  };
-
-  cleanWeapon = async (weapon: string): Promise<string> => {
-    //@ts-ignore
-    const foundWeapon: string = weaponMappings["All Weapons"][weapon];
-    if (!foundWeapon) return weapon;
-    return foundWeapon;
+    const from = before.length ? before[before.length - 1] : all[0];
+    const to = all[all.length - 1];
+    return from && to && from !== to ? diffStatSnapshots(from, to) : undefined;
   };
 }
 
-const Warzone = new WZ();
-const ModernWarfare = new MW();
-const ModernWarfare2 = new MW2();
-const Warzone2 = new WZ2();
-const ModernWarfare3 = new MW3();
-const WarzoneMobile = new WZM();
-const ColdWar = new CW();
-const Vanguard = new VG();
-const Store = new SHOP();
-const Me = new USER();
-const Misc = new ALT();
+const createStatHistory = (client: Client, historyDir: string) =>
+  new StatHistory(client, historyDir);
+
+const defaultClient = createClient();
+
+const login = defaultClient.login;
+const telescopeLogin = defaultClient.telescopeLogin;
+const enableDebugMode = defaultClient.enableDebugMode;
+const disableDebugMode = defaultClient.disableDebugMode;
+const Warzone = defaultClient.Warzone;
+const ModernWarfare = defaultClient.ModernWarfare;
+const ModernWarfare2 = defaultClient.ModernWarfare2;
+const Warzone2 = defaultClient.Warzone2;
+const ModernWarfare3 = defaultClient.ModernWarfare3;
+const WarzoneMobile = defaultClient.WarzoneMobile;
+const ColdWar = defaultClient.ColdWar;
+const Vanguard = defaultClient.Vanguard;
+const Store = defaultClient.Store;
+const Me = defaultClient.Me;
+const Misc = defaultClient.Misc;
 
 export {
+  createClient,
+  ApiError,
+  NotLoggedInError,
+  InvalidTokenError,
+  RateLimitedError,
+  UpstreamUnavailableError,
+  PlayerNotFoundError,
+  PrivateProfileError,
+  InvalidPlatformError,
+  UnsupportedOperationError,
+  Client,
+  ClientOptions,
+  LocaleOptions,
+  LoginOptions,
+  AccountInfo,
+  AccountIdentity,
+  RetryOptions,
+  RequestEvent,
+  ResponseEvent,
+  RetryEvent,
+  RequestErrorEvent,
+  CacheStore,
+  CacheEntry,
+  CacheCategory,
+  createMemoryCache,
+  FileCacheOptions,
+  FileCache,
+  createFileCache,
+  TokenStore,
+  StoredTelescopeToken,
+  createMemoryTokenStore,
+  createFileTokenStore,
+  MatchHistoryOptions,
+  TelescopeOptions,
+  TelescopeMatchOptions,
+  TitleDefinition,
+  TitleOperation,
+  TitleRequestParams,
+  titleRegistry,
+  telescopeModes,
+  GameMode,
+  ModeFamily,
+  modeCatalog,
+  classifyMode,
+  modesByFamily,
+  CatalogItem,
+  weaponCatalog,
+  lookupItem,
+  findWeapons,
+  weaponClasses,
+  weaponsByClass,
+  PlayerProfile,
+  Match,
+  MatchPlayer,
+  MatchTeam,
+  normalizeProfile,
+  normalizeMatches,
+  normalizeMatch,
+  MatchAnalytics,
+  MatchAggregate,
+  ModeAggregate,
+  MapAggregate,
+  MatchSummary,
+  RollingPoint,
+  AnalyticsOptions,
+  analyzeMatches,
+  LobbyPlayer,
+  LobbyTeam,
+  LevelSpread,
+  LobbyAnalysis,
+  LobbyOptions,
+  analyzeLobby,
+  summarizeLobby,
+  SquadRecord,
+  Teammate,
+  SquadComposition,
+  SquadReport,
+  SquadOptions,
+  analyzeSquad,
+  summarizeSquad,
+  ComparedPlayer,
+  StatComparison,
+  PlayerComparison,
+  ComparisonTarget,
+  comparePlayers,
+  compareProfiles,
+  StatSnapshot,
+  StatDelta,
+  HistoryRange,
+  TrackedPlayer,
+  SnapshotResult,
+  StatHistory,
+  createStatHistory,
+  diffStatSnapshots,
+  StoreBundle,
+  StoreSnapshot,
+  StoreDiff,
+  StorePriceChange,
+  StoreTracker,
+  createStoreTracker,
+  diffStoreSnapshots,
+  summarizeStoreDiff,
+  Transport,
+  TransportRequest,
+  TransportResponse,
+  undiciTransport,
+  createRecordingTransport,
+  createReplayTransport,
   login,
   telescopeLogin,
   platforms,
   friendActions,
+  FriendActionOptions,
+  FriendActionResult,
   Warzone,
   ModernWarfare,
   ModernWarfare2,
@@ -0,0 +1,135 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const API = require("../src/js/index.js");
+
+// Shaped like a papi combatHistory response.
+const history = (matches) => ({ status: "success", data: { matches } });
+
+const entry = (matchID, mode, map, start, playerStats, result) => ({
+  matchID,
+  mode,
+  map,
+  utcStartSeconds: start,
+  utcEndSeconds: start + 1200,
+  result,
+  playerStats,
+});
+
+const matches = API.normalizeMatches(
+  history([
+    entry("1", "br_brsolo", "mp_donetsk", 1000, {
+      kills: 5,
+      deaths: 2,
+      damageDone: 2000,
+      headshots: 1,
+      timePlayed: 600,
+      teamPlacement: 1,
+    }),
+    entry("2", "br_brquads", "mp_donetsk", 3000, {
+      kills: 1,
+      deaths: 3,
+      damageDone: 500,
+      headshots: 0,
+      timePlayed: 300,
+      teamPlacement: 20,
+    }),
+    entry("3", "br_brquads", "mp_don3", 2000, {
+      kills: 4,
+      deaths: 0,
+      damageDone: 900,
+      headshots: 2,
+      timePlayed: 600,
+      teamPlacement: 3,
+    }),
+    entry("4", "war", "mp_shipment", 4000, { kills: 20, deaths: 10 }, "win"),
+  ]),
+  "mw"
+);
+
+test("an empty history has nothing to average", () => {
+  const analytics = API.analyzeMatches([]);
+
+  assert.strictEqual(analytics.overall.matches, 0);
+  assert.strictEqual(analytics.overall.kdRatio, 0);
+  assert.strictEqual(analytics.overall.winRate, undefined);
+  assert.strictEqual(analytics.overall.averagePlacement, undefined);
+  assert.strictEqual(analytics.overall.damagePerMinute, undefined);
+  assert.strictEqual(analytics.overall.headshotPercentage, undefined);
+  assert.deepStrictEqual(analytics.byMode, {});
+  assert.deepStrictEqual(analytics.byMap, {});
+  assert.deepStrictEqual(analytics.rolling, []);
+  assert.deepStrictEqual(analytics.best, []);
+  assert.deepStrictEqual(analytics.worst, []);
+});
+
+test("a deathless match counts its kills as the K/D", () => {
+  const analytics = API.analyzeMatches(matches);
+
+  assert.strictEqual(analytics.byMap.mp_don3.kdRatio, 4);
+  assert.strictEqual(analytics.overall.kills, 30);
+  assert.strictEqual(analytics.overall.deaths, 15);
+  assert.strictEqual(analytics.overall.kdRatio, 2);
+});
+
+test("overall rates use placement for Warzone and the result otherwise", () => {
+  const { overall } = API.analyzeMatches(matches);
+
+  // Matches 1 (placed first) and 4 (result "win") are the wins.
+  assert.strictEqual(overall.wins, 2);
+  assert.strictEqual(overall.winRate, 50);
+  assert.strictEqual(overall.averagePlacement, 8);
+  // 3400 damage over 1500 seconds played, plus match 4's 20 minutes.
+  assert.strictEqual(overall.damagePerMinute, 75.56);
+  assert.strictEqual(overall.headshotPercentage, 10);
+});
+
+test("matches are grouped by mode, mode family and map", () => {
+  const analytics = API.analyzeMatches(matches);
+
+  assert.deepStrictEqual(Object.keys(analytics.byMode).sort(), [
+    "br_brquads",
+    "br_brsolo",
+    "war",
+  ]);
+  assert.strictEqual(analytics.byMode.br_brquads.matches, 2);
+  assert.strictEqual(analytics.byMode.br_brquads.name, "BR Quads");
+  assert.strictEqual(analytics.byMode.br_brquads.family, "Battle Royale");
+  // Multiplayer modes aren't part of the Warzone taxonomy.
+  assert.strictEqual(analytics.byMode.war.family, undefined);
+
+  assert.deepStrictEqual(Object.keys(analytics.byFamily), ["Battle Royale"]);
+  assert.strictEqual(analytics.byFamily["Battle Royale"].matches, 3);
+
+  assert.strictEqual(analytics.byMap.mp_donetsk.name, "Verdansk");
+  assert.strictEqual(analytics.byMap.mp_donetsk.matches, 2);
+});
+
+test("rolling averages follow start time over the window", () => {
+  const { rolling } = API.analyzeMatches(matches, { window: 2 });
+
+  assert.deepStrictEqual(
+    rolling.map((point) => point.id),
+    ["1", "3", "2", "4"]
+  );
+  // Matches 1 and 3: 9 kills, 2 deaths.
+  assert.strictEqual(rolling[1].kdRatio, 4.5);
+  // Matches 3 and 2: 5 kills, 3 deaths.
+  assert.strictEqual(rolling[2].kdRatio, 1.67);
+});
+
+test("best and worst matches are ranked by the chosen stat", () => {
+  const analytics = API.analyzeMatches(matches, {
+    rankBy: "damageDone",
+    top: 2,
+  });
+
+  assert.deepStrictEqual(
+    analytics.best.map((match) => match.id),
+    ["1", "3"]
+  );
+  assert.deepStrictEqual(
+    analytics.worst.map((match) => match.id),
+    ["2", "3"]
+  );
+  assert.strictEqual(analytics.best[0].value, 2000);
+});
@@ -0,0 +1,99 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const API = require("../src/js/index.js");
+
+const tempDirs = [];
+const tempDir = () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "cod-cache-"));
+  tempDirs.push(dir);
+  return dir;
+};
+
+test.after(() => {
+  for (const dir of tempDirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const forever = (value) => ({ value, expiresAt: null });
+const expired = (value) => ({ value, expiresAt: Date.now() - 1 });
+
+test("the memory cache evicts the least recently used past its byte limit", async () => {
+  // Each entry serializes to 39 bytes.
+  const cache = API.createMemoryCache(100, 100);
+  await cache.set("a", forever("x".repeat(10)));
+  await cache.set("b", forever("y".repeat(10)));
+  await cache.get("a");
+  await cache.set("c", forever("z".repeat(10)));
+
+  assert.ok(await cache.get("a"));
+  assert.strictEqual(await cache.get("b"), undefined);
+  assert.ok(await cache.get("c"));
+
+  // Replacing an entry frees its old size.
+  await cache.set("c", forever("z"));
+  await cache.set("d", forever("w"));
+  assert.ok(await cache.get("a"));
+  assert.ok(await cache.get("c"));
+});
+
+test("the memory cache drops expired entries when read", async () => {
+  const cache = API.createMemoryCache(2);
+  await cache.set("old", expired(1));
+  await cache.set("new", forever(2));
+
+  assert.strictEqual(await cache.get("old"), undefined);
+  // "old" no longer takes a slot.
+  await cache.set("newer", forever(3));
+  assert.deepStrictEqual(await cache.get("new"), forever(2));
+});
+
+test("the file cache deletes an expired entry when it is read", async () => {
+  const dir = tempDir();
+  const cache = API.createFileCache(dir);
+  await cache.set("old", expired(1));
+  await cache.set("new", forever(2));
+  assert.strictEqual(fs.readdirSync(dir).length, 2);
+
+  assert.strictEqual(await cache.get("old"), undefined);
+  assert.deepStrictEqual(await cache.get("new"), forever(2));
+  assert.strictEqual(fs.readdirSync(dir).length, 1);
+});
+
+test("a sweep removes expired entries, then the oldest past maxEntries", async () => {
+  const dir = tempDir();
+  const cache = API.createFileCache(dir, { maxEntries: 2, sweepEvery: 1000 });
+  await cache.set("expired", expired(0));
+  for (const [index, key] of ["first", "second", "third"].entries()) {
+    await cache.set(key, forever(index));
+    const written = new Date(Date.now() - (3 - index) * 60000);
+    for (const name of fs.readdirSync(dir))
+      if (JSON.parse(fs.readFileSync(path.join(dir, name))).value === index)
+        fs.utimesSync(path.join(dir, name), written, written);
+  }
+  fs.writeFileSync(path.join(dir, "notes.txt"), "not an entry");
+
+  await cache.sweep();
+
+  assert.strictEqual(fs.readdirSync(dir).length, 3);
+  assert.strictEqual(await cache.get("first"), undefined);
+  assert.deepStrictEqual(await cache.get("second"), forever(1));
+  assert.deepStrictEqual(await cache.get("third"), forever(2));
+});
+
+test("the file cache sweeps itself every sweepEvery writes", async () => {
+  const dir = tempDir();
+  const cache = API.createFileCache(dir, { sweepEvery: 3 });
+  await cache.set("a", expired(1));
+  await cache.set("b", expired(2));
+  assert.strictEqual(fs.readdirSync(dir).length, 2);
+
+  await cache.set("c", forever(3));
+  assert.strictEqual(fs.readdirSync(dir).length, 1);
+});
+
+test("a sweep of a cache that was never written does nothing", async () => {
+  const cache = API.createFileCache(path.join(tempDir(), "missing"));
+  await cache.sweep();
+});
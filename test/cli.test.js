@@ -0,0 +1,128 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const API = require("../src/js/index.js");
+const cli = require("../bin/cod-stats.js");
+
+test("errors map to their exit codes", () => {
+  for (const [error, code] of [
+    [new cli.UsageError("bad flag"), 2],
+    [new API.InvalidTokenError("expired"), 3],
+    [new API.PlayerNotFoundError("nobody"), 4],
+    [new API.PrivateProfileError("private"), 5],
+    [new API.RateLimitedError("slow down"), 6],
+    [new API.UpstreamUnavailableError("down"), 7],
+    [new API.InvalidPlatformError("nope"), 8],
+    [new API.UnsupportedOperationError("nope"), 9],
+    [new API.ApiError("other"), 10],
+    [new Error("anything else"), 1],
+  ])
+    assert.strictEqual(cli.exitCodeFor(error), code, error.name);
+});
+
+const payload = {
+  username: "Player#1234",
+  level: 55,
+  online: true,
+  title: null,
+  note: "yes",
+  lifetime: { kills: 10, modes: [] },
+  recent: [{ map: "mp_donetsk" }, "text, with comma"],
+};
+
+test("yaml quotes only the scalars that need it", () => {
+  assert.strictEqual(
+    cli.toYaml(payload),
+    [
+      "username: Player#1234",
+      "level: 55",
+      "online: true",
+      "title: null",
+      'note: "yes"',
+      "lifetime:",
+      "  kills: 10",
+      "  modes: []",
+      "recent:",
+      "  -",
+      "    map: mp_donetsk",
+      '  - "text, with comma"',
+    ].join("\n")
+  );
+  assert.strictEqual(cli.toYaml([]), "[]");
+  assert.strictEqual(cli.toYaml("plain"), "plain");
+});
+
+test("csv flattens objects to key/value rows and lists to one row each", () => {
+  assert.strictEqual(
+    cli.toCsv({ kills: 3, lifetime: { kdRatio: 1.5 }, name: 'say "hi", ok' }),
+    [
+      "key,value",
+      "kills,3",
+      "lifetime.kdRatio,1.5",
+      'name,"say ""hi"", ok"',
+    ].join("\n")
+  );
+  assert.strictEqual(
+    cli.toCsv([
+      { id: 1, stats: { kills: 2 } },
+      { id: 2, map: "mp_donetsk" },
+    ]),
+    ["id,stats.kills,map", "1,2,", "2,,mp_donetsk"].join("\n")
+  );
+});
+
+test("tables pad columns and clip long cells", () => {
+  const table = cli.toTable([
+    { id: 1, name: "x".repeat(50) },
+    { id: 22, name: "short" },
+  ]);
+
+  assert.deepStrictEqual(table.split("\n"), [
+    `id  name`,
+    `--  ${"-".repeat(40)}`,
+    `1   ${"x".repeat(39)}…`,
+    `22  short`,
+  ]);
+});
+
+test("results print the data inside the response envelope", () => {
+  assert.deepStrictEqual(
+    cli.resultOf({ status: "success", data: { matches: [1, 2] } }, "matches"),
+    [1, 2]
+  );
+  assert.deepStrictEqual(
+    cli.resultOf({ status: "success", data: { matches: [1, 2] } }, "stats"),
+    { matches: [1, 2] }
+  );
+  assert.strictEqual(cli.resultOf(undefined, "stats"), null);
+  assert.strictEqual(cli.formatters.json({ a: 1 }), '{\n  "a": 1\n}');
+});
+
+test("config comes from the given file, COD_STATS_CONFIG or nowhere", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "cod-cli-"));
+  const previous = process.env.COD_STATS_CONFIG;
+  t.after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    if (previous === undefined) delete process.env.COD_STATS_CONFIG;
+    else process.env.COD_STATS_CONFIG = previous;
+  });
+  const file = path.join(dir, "config.json");
+  fs.writeFileSync(file, JSON.stringify({ game: "mw2", ssoToken: "abc" }));
+
+  assert.deepStrictEqual(cli.loadConfig(file), {
+    game: "mw2",
+    ssoToken: "abc",
+  });
+  assert.throws(
+    () => cli.loadConfig(path.join(dir, "missing.json")),
+    cli.UsageError
+  );
+
+  process.env.COD_STATS_CONFIG = file;
+  assert.strictEqual(cli.loadConfig().game, "mw2");
+  // A missing default config is fine.
+  process.env.COD_STATS_CONFIG = path.join(dir, "missing.json");
+  assert.deepStrictEqual(cli.loadConfig(), {});
+});
@@ -0,0 +1,231 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const API = require("../src/js/index.js");
+
+const ok = {
+  statusCode: 200,
+  headers: {},
+  body: '{"status":"success","data":1}',
+};
+const status = (statusCode, headers = {}, body = "") => ({
+  statusCode,
+  headers,
+  body,
+});
+const upstreamError = (message, statusCode = 200) =>
+  status(
+    statusCode,
+    {},
+    JSON.stringify({ status: "error", data: { message } })
+  );
+const loginPage = status(200, {}, "<!DOCTYPE html><html>Sign in</html>");
+
+// Replays `responses` in order, repeating the last one. A response that is an
+// Error is thrown instead, like a dropped connection.
+const fakeClient = (responses, retry = {}) => {
+  const calls = [];
+  const retries = [];
+  const client = API.createClient({
+    retry: { minDelay: 1, maxDelay: 50, jitter: false, ...retry },
+    transport: async (req) => {
+      calls.push(req);
+      const response = responses[Math.min(calls.length, responses.length) - 1];
+      if (response instanceof Error) throw response;
+      return response;
+    },
+  });
+  client.on("retry", (event) => retries.push(event));
+  client.login("test-sso-token");
+  const send = (method = "GET") =>
+    client.send({ method, url: "https://example.test/api", headers: {} });
+  return { client, calls, retries, send };
+};
+
+test("server errors are retried with exponential backoff", async () => {
+  const { calls, retries, send } = fakeClient([status(500), status(502), ok]);
+
+  assert.deepStrictEqual(await send(), { status: "success", data: 1 });
+  assert.strictEqual(calls.length, 3);
+  assert.deepStrictEqual(
+    retries.map((event) => [event.attempt, event.status, event.delay]),
+    [
+      [0, 500, 1],
+      [1, 502, 2],
+    ]
+  );
+});
+
+test("retries give up after the configured count", async () => {
+  const { client, calls, send } = fakeClient([status(503)], { retries: 2 });
+  const errors = [];
+  client.on("error", (event) => errors.push(event));
+
+  await assert.rejects(send(), (error) => {
+    assert.ok(error instanceof API.UpstreamUnavailableError);
+    assert.strictEqual(error.statusCode, 503);
+    return true;
+  });
+  assert.strictEqual(calls.length, 3);
+  assert.strictEqual(errors.length, 1);
+  assert.strictEqual(errors[0].attempt, 2);
+});
+
+test("backoff is capped at maxDelay", async () => {
+  const { retries, send } = fakeClient(
+    [status(500), status(500), status(500), ok],
+    { minDelay: 4, maxDelay: 10 }
+  );
+
+  await send();
+  assert.deepStrictEqual(
+    retries.map((event) => event.delay),
+    [4, 8, 10]
+  );
+});
+
+test("a POST is only retried on a 429", async () => {
+  const failed = fakeClient([status(500), ok]);
+  await assert.rejects(failed.send("POST"), API.UpstreamUnavailableError);
+  assert.strictEqual(failed.calls.length, 1);
+
+  const dropped = fakeClient([new Error("socket hang up"), ok]);
+  await assert.rejects(dropped.send("POST"), /socket hang up/);
+  assert.strictEqual(dropped.calls.length, 1);
+
+  const limited = fakeClient([status(429), ok]);
+  assert.deepStrictEqual(await limited.send("POST"), {
+    status: "success",
+    data: 1,
+  });
+  assert.strictEqual(limited.calls.length, 2);
+});
+
+test("a dropped connection on a GET is retried", async () => {
+  const { calls, send } = fakeClient([new Error("ECONNRESET"), ok]);
+
+  assert.deepStrictEqual(await send(), { status: "success", data: 1 });
+  assert.strictEqual(calls.length, 2);
+});
+
+test("Retry-After sets the wait, in seconds or as a date", async () => {
+  const seconds = fakeClient([status(429, { "retry-after": "0.02" }), ok]);
+  await seconds.send();
+  assert.strictEqual(seconds.retries[0].delay, 20);
+
+  const date = fakeClient([
+    status(429, { "retry-after": new Date(0).toUTCString() }),
+    ok,
+  ]);
+  await date.send();
+  assert.strictEqual(date.retries[0].delay, 0);
+});
+
+test("a Retry-After beyond maxDelay is reported instead of waited out", async () => {
+  const { calls, retries, send } = fakeClient([
+    status(429, { "retry-after": "60" }),
+    ok,
+  ]);
+
+  await assert.rejects(send(), (error) => {
+    assert.ok(error instanceof API.RateLimitedError);
+    assert.strictEqual(error.retryAfter, 60000);
+    return true;
+  });
+  assert.strictEqual(calls.length, 1);
+  assert.deepStrictEqual(retries, []);
+});
+
+test("an HTML page means the SSO token was rejected", async () => {
+  const { calls, send } = fakeClient([loginPage]);
+
+  await assert.rejects(send(), API.InvalidTokenError);
+  assert.strictEqual(calls.length, 1);
+
+  // An HTML error page is classified by its status instead.
+  const missing = fakeClient([status(404, {}, "<html>Not Found</html>")]);
+  await assert.rejects(missing.send(), (error) => {
+    assert.ok(error instanceof API.PlayerNotFoundError);
+    assert.strictEqual(error.payload, "<html>Not Found</html>");
+    return true;
+  });
+});
+
+test("error bodies are classified by message, then by status", async () => {
+  for (const [response, errorClass] of [
+    [upstreamError("Not authenticated"), API.InvalidTokenError],
+    [upstreamError("Something", 401), API.InvalidTokenError],
+    [upstreamError("Rate limit exceeded"), API.RateLimitedError],
+    [upstreamError("user not found."), API.PlayerNotFoundError],
+    [upstreamError("Not permitted: not allowed"), API.PrivateProfileError],
+    [upstreamError("Forbidden", 403), API.InvalidTokenError],
+    [upstreamError("Missing", 404), API.PlayerNotFoundError],
+    [upstreamError("Bad request", 400), API.ApiError],
+    [upstreamError("Not permitted: unknown"), API.ApiError],
+  ]) {
+    const { send } = fakeClient([response]);
+    await assert.rejects(send(), (error) => {
+      assert.strictEqual(error.constructor, errorClass, error.message);
+      assert.strictEqual(error.statusCode, response.statusCode);
+      return true;
+    });
+  }
+});
+
+// Counts profile requests, each answered after a short delay.
+const profileClient = (options = {}) => {
+  const calls = [];
+  const client = API.createClient({
+    ...options,
+    transport: async (req) => {
+      calls.push(req);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      return {
+        statusCode: 200,
+        headers: {},
+        body: JSON.stringify({ status: "success", data: { kills: 1 } }),
+      };
+    },
+  });
+  client.login("test-sso-token");
+  return { client, calls };
+};
+
+test("identical GETs in flight share one request but not one object", async () => {
+  const { client, calls } = profileClient();
+
+  const [first, second, third] = await Promise.all([
+    client.ModernWarfare.fullData("Player", "psn"),
+    client.ModernWarfare.fullData("Player", "psn"),
+    client.ModernWarfare.fullData("Player", "psn"),
+  ]);
+  first.data.kills = 99;
+
+  assert.strictEqual(calls.length, 1);
+  assert.deepStrictEqual(second, { status: "success", data: { kills: 1 } });
+  assert.notStrictEqual(second, third);
+
+  // Once the first finishes, the next one goes back on the wire.
+  await client.ModernWarfare.fullData("Player", "psn");
+  assert.strictEqual(calls.length, 2);
+});
+
+test("cached responses are served per token until they expire", async () => {
+  const { client, calls } = profileClient({
+    cache: API.createMemoryCache(),
+    cacheTtls: { fullData: 30 },
+  });
+
+  const first = await client.ModernWarfare.fullData("Player", "psn");
+  first.data.kills = 99;
+  const cached = await client.ModernWarfare.fullData("Player", "psn");
+  assert.strictEqual(calls.length, 1);
+  assert.strictEqual(cached.data.kills, 1);
+
+  client.login("another-sso-token");
+  await client.ModernWarfare.fullData("Player", "psn");
+  assert.strictEqual(calls.length, 2);
+
+  await new Promise((resolve) => setTimeout(resolve, 40));
+  await client.ModernWarfare.fullData("Player", "psn");
+  assert.strictEqual(calls.length, 3);
+});
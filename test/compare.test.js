@@ -0,0 +1,114 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const API = require("../src/js/index.js");
+const app = require("../app.js");
+
+const profile = (stats) => ({ username: undefined, stats });
+
+test("a stat only some players have leads among those who have it", () => {
+  const comparison = API.compareProfiles(
+    "mw",
+    [{}, {}, {}],
+    [
+      profile({ kills: 10, wins: 3 }),
+      profile({ kills: 20 }),
+      profile({ kills: 5, wins: 4, headshots: 1 }),
+    ]
+  );
+
+  const byStat = Object.fromEntries(
+    comparison.stats.map((stat) => [stat.stat, stat])
+  );
+  assert.deepStrictEqual(Object.keys(byStat), ["headshots", "kills", "wins"]);
+  assert.deepStrictEqual(byStat.kills.diffs, [0, 10, -5]);
+  assert.strictEqual(byStat.kills.leader, 1);
+  assert.deepStrictEqual(byStat.wins.values, [3, undefined, 4]);
+  assert.deepStrictEqual(byStat.wins.diffs, [0, undefined, 1]);
+  assert.strictEqual(byStat.wins.leader, 2);
+  // Nobody to compare against.
+  assert.strictEqual(byStat.headshots.leader, undefined);
+  assert.deepStrictEqual(comparison.leads, [0, 1, 1]);
+});
+
+test("ties have no leader and fewer deaths lead", () => {
+  const comparison = API.compareProfiles(
+    "mw",
+    [{}, {}],
+    [profile({ kills: 7, deaths: 4 }), profile({ kills: 7, deaths: 9 })]
+  );
+
+  const [deaths, kills] = comparison.stats;
+  assert.strictEqual(kills.leader, undefined);
+  assert.strictEqual(deaths.leader, 0);
+  assert.deepStrictEqual(comparison.leads, [1, 0]);
+});
+
+test("a player that fails to load is reported and left out", async () => {
+  const client = API.createClient({
+    transport: async (req) => ({
+      statusCode: 200,
+      headers: {},
+      body: JSON.stringify(
+        req.url.includes("/gamer/Missing/")
+          ? { status: "error", data: { message: "Not permitted: not allowed" } }
+          : {
+              status: "success",
+              data: {
+                username: "Found",
+                level: 80,
+                lifetime: { all: { properties: { kills: 12 } } },
+              },
+            }
+      ),
+    }),
+  });
+  client.login("test-sso-token");
+
+  const comparison = await API.comparePlayers(client, "mw", [
+    { gamertag: "Found", platform: "psn" },
+    { gamertag: "Missing", platform: "battle" },
+  ]);
+
+  assert.strictEqual(comparison.players[0].username, "Found");
+  assert.strictEqual(comparison.players[0].error, undefined);
+  assert.strictEqual(comparison.players[1].errorType, "PrivateProfileError");
+  assert.deepStrictEqual(comparison.stats, [
+    {
+      stat: "kills",
+      values: [12, undefined],
+      diffs: [0, undefined],
+      leader: undefined,
+    },
+  ]);
+});
+
+test("/api/compare takes between two and eight players", async (t) => {
+  const server = app.listen(0);
+  t.after(() => server.close());
+  await new Promise((resolve) => server.once("listening", resolve));
+
+  const compare = async (count) => {
+    const response = await fetch(
+      `http://localhost:${server.address().port}/api/compare`,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          game: "mw",
+          ssoToken: "test-sso-token",
+          players: Array.from({ length: count }, (_, index) => ({
+            username: `Player${index}`,
+            platform: "psn",
+          })),
+        }),
+      }
+    );
+    return { status: response.status, body: await response.json() };
+  };
+
+  assert.deepStrictEqual(await compare(9), {
+    status: 400,
+    body: { error: "At most 8 players can be compared at once" },
+  });
+  assert.strictEqual((await compare(1)).status, 400);
+});
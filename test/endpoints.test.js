@@ -0,0 +1,63 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const API = require("../src/js/index.js");
+
+// Recorded with createRecordingTransport, so the tokens and credentials in
+// them are redacted. Replaying with different ones must still match.
+const fixtureDir = path.join(__dirname, "fixtures");
+
+const replayClient = () => {
+  const urls = [];
+  const replay = API.createReplayTransport(fixtureDir);
+  const client = API.createClient({
+    transport: (req) => {
+      urls.push(req.url);
+      return replay(req);
+    },
+  });
+  client.login("replay-sso-token");
+  return { client, urls };
+};
+
+test("papi fullData builds the profile URL", async () => {
+  const { client, urls } = replayClient();
+  const data = await client.ModernWarfare.fullData("Player#1234", "battle");
+
+  assert.deepStrictEqual(urls, [
+    "https://profile.callofduty.com/api/papi-client/stats/cod/v1/title/mw/platform/battle/gamer/Player%231234/profile/type/mp",
+  ]);
+  assert.strictEqual(API.normalizeProfile(data).stats.kills, 100);
+});
+
+test("eventFeed matches its fixture with any SSO token", async () => {
+  const { client, urls } = replayClient();
+  await client.Me.eventFeed();
+
+  assert.deepStrictEqual(urls, [
+    "https://profile.callofduty.com/api/papi-client/userfeed/v1/friendFeed/rendered/en/replay-sso-token",
+  ]);
+});
+
+test("telescope fullData builds the lifetime URL", async () => {
+  const { client, urls } = replayClient();
+  assert.strictEqual(
+    await client.telescopeLogin("someone@example.com", "another-password"),
+    true
+  );
+  const data = await client.ModernWarfare2.fullData("1234567890123456789", "uno");
+
+  assert.strictEqual(
+    urls[1],
+    "https://telescope.callofduty.com/api/ts-api/cr/v1/title/mw2/lifetime?language=english&unoId=1234567890123456789"
+  );
+  assert.strictEqual(API.normalizeProfile(data).stats.kills, 120);
+});
+
+test("fixtures hold no tokens or credentials", () => {
+  for (const file of fs.readdirSync(fixtureDir)) {
+    const contents = fs.readFileSync(path.join(fixtureDir, file), "utf8");
+    assert.doesNotMatch(contents, /recording-|@example\.com|set-cookie/i, file);
+  }
+});
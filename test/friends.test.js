@@ -0,0 +1,64 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const API = require("../src/js/index.js");
+
+// Fuzzy search results per searched name.
+const searches = {
+  Exact: [{ username: "exacto" }, { username: "exact", accountId: "1" }],
+  Fuzzy: [{ username: "Fuzzy1" }, { username: "Fuzzy2" }],
+  Only: [{ username: "Only_Match" }],
+  Nobody: [],
+};
+
+const friendClient = () => {
+  const posts = [];
+  const client = API.createClient({
+    transport: async (req) => {
+      if (req.method === "POST") posts.push(req.url);
+      const name = decodeURIComponent(
+        (req.url.match(/\/username\/([^/]+)\/search/) || [])[1] || ""
+      );
+      return {
+        statusCode: 200,
+        headers: {},
+        body: JSON.stringify({ status: "success", data: searches[name] || {} }),
+      };
+    },
+  });
+  client.login("test-sso-token");
+  return { client, posts };
+};
+
+test("a dry run needs an exact name or a single search result", async () => {
+  const { client, posts } = friendClient();
+  const results = await client.Me.batchFriendAction(
+    ["Exact", "Fuzzy", "Only", "Nobody"],
+    "psn",
+    "invite",
+    { dryRun: true }
+  );
+
+  assert.deepStrictEqual(
+    results.map((result) => [result.gamertag, result.status, result.errorType]),
+    [
+      ["Exact", "valid", undefined],
+      ["Fuzzy", "failed", "PlayerNotFoundError"],
+      ["Only", "valid", undefined],
+      ["Nobody", "failed", "PlayerNotFoundError"],
+    ]
+  );
+  assert.deepStrictEqual(posts, []);
+});
+
+test("resolveFriendTarget returns the matching player", async () => {
+  const { client } = friendClient();
+
+  assert.deepStrictEqual(await client.Me.resolveFriendTarget("Exact", "psn"), {
+    username: "exact",
+    accountId: "1",
+  });
+  await assert.rejects(
+    client.Me.resolveFriendTarget("Fuzzy", "psn"),
+    API.PlayerNotFoundError
+  );
+});
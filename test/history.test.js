@@ -0,0 +1,157 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const API = require("../src/js/index.js");
+
+// Each fullData call reports ten more kills than the last.
+const profileClient = () => {
+  let kills = 100;
+  const client = API.createClient({
+    transport: async () => {
+      kills += 10;
+      return {
+        statusCode: 200,
+        headers: {},
+        body: JSON.stringify({
+          status: "success",
+          data: {
+            username: "Player",
+            level: 50,
+            prestige: 2,
+            lifetime: { all: { properties: { kills, deaths: 50 } } },
+          },
+        }),
+      };
+    },
+  });
+  client.login("test-sso-token");
+  return client;
+};
+
+const tempDirs = [];
+const tempDir = () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "cod-history-"));
+  tempDirs.push(dir);
+  return dir;
+};
+
+test.after(() => {
+  for (const dir of tempDirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const isInside = (dir, file) =>
+  path.dirname(path.resolve(file)) === path.resolve(dir);
+
+test("snapshots round trip through the history file", async () => {
+  const dir = tempDir();
+  const history = API.createStatHistory(profileClient(), dir);
+
+  const snapshot = await history.snapshot("mw", "Player#1234", "battle");
+  const series = await history.series("mw", "player#1234", "battle");
+
+  assert.deepStrictEqual(series, [snapshot]);
+  assert.strictEqual(snapshot.stats.kills, 110);
+  assert.strictEqual(snapshot.level, 50);
+  assert.deepStrictEqual(fs.readdirSync(dir), ["mw_battle_player%231234.jsonl"]);
+});
+
+test("a player with no history has an empty series and no delta", async () => {
+  const history = API.createStatHistory(profileClient(), tempDir());
+
+  assert.deepStrictEqual(await history.series("mw", "Nobody", "psn"), []);
+  assert.strictEqual(await history.delta("mw", "Nobody", "psn"), undefined);
+});
+
+test("delta compares the snapshot before `since` with the latest", async () => {
+  const history = API.createStatHistory(profileClient(), tempDir());
+
+  await history.snapshot("mw", "Player", "psn");
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  const since = new Date();
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  await history.snapshot("mw", "Player", "psn");
+  await history.snapshot("mw", "Player", "psn");
+
+  const delta = await history.delta("mw", "Player", "psn", { since });
+  assert.deepStrictEqual(delta.stats, { kills: 20, deaths: 0 });
+  assert.strictEqual(delta.level, 0);
+  assert.strictEqual(delta.prestige, 0);
+  assert.strictEqual((await history.series("mw", "Player", "psn", { since })).length, 2);
+});
+
+test("diffStatSnapshots only compares stats both snapshots have", () => {
+  const delta = API.diffStatSnapshots(
+    { takenAt: "a", level: 1, prestige: undefined, stats: { kills: 1 } },
+    { takenAt: "b", level: 3, prestige: 1, stats: { kills: 4, wins: 2 } }
+  );
+
+  assert.deepStrictEqual(delta, {
+    from: "a",
+    to: "b",
+    level: 2,
+    prestige: undefined,
+    stats: { kills: 3 },
+  });
+});
+
+test("gamertags and platforms can't escape the history directory", () => {
+  const dir = tempDir();
+  const history = API.createStatHistory(profileClient(), dir);
+
+  for (const [title, gamertag, platform] of [
+    ["mw", "x", "../../../../etc/passwd#"],
+    ["mw", "../../escape", "psn"],
+    ["../mw", "x", "psn"],
+    ["mw", "..", ".."],
+  ]) {
+    const file = history.historyFile(title, gamertag, platform);
+    assert.ok(isInside(dir, file), file);
+  }
+});
+
+test("a partial last line is skipped when reading", async () => {
+  const dir = tempDir();
+  const history = API.createStatHistory(profileClient(), dir);
+  await history.snapshot("mw", "Player", "psn");
+  fs.appendFileSync(history.historyFile("mw", "Player", "psn"), '{"takenAt":');
+
+  assert.strictEqual((await history.series("mw", "Player", "psn")).length, 1);
+});
+
+test("schedule snapshots right away, repeats and stops", async () => {
+  const history = API.createStatHistory(profileClient(), tempDir());
+  const runs = [];
+
+  const stop = history.schedule(
+    [
+      { title: "mw", gamertag: "Player", platform: "psn" },
+      { title: "nope", gamertag: "Player", platform: "psn" },
+    ],
+    20,
+    (results) => runs.push(results)
+  );
+  await new Promise((resolve) => setTimeout(resolve, 70));
+  stop();
+  const count = runs.length;
+  await new Promise((resolve) => setTimeout(resolve, 50));
+
+  assert.ok(count >= 2, `ran ${count} times`);
+  assert.strictEqual(runs.length, count);
+  assert.ok(runs[0][0].snapshot);
+  assert.strictEqual(runs[0][1].errorType, "UnsupportedOperationError");
+});
+
+test("the schedule timer doesn't keep the process alive", async () => {
+  const history = API.createStatHistory(profileClient(), tempDir());
+  const timers = () =>
+    process.getActiveResourcesInfo().filter((type) => type === "Timeout").length;
+
+  const before = timers();
+  const stop = history.schedule([], 60 * 60 * 1000);
+  const during = timers();
+  stop();
+
+  assert.strictEqual(during, before);
+});
@@ -0,0 +1,126 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const API = require("../src/js/index.js");
+
+const lobby = fs.readFileSync(path.join(__dirname, "data", "wz-lobby.json"), "utf8");
+
+// Lifetime K/D per Uno ID. 2002 has a private profile.
+const lifetimeKd = { 1001: 1.5, 1002: 1, 2001: 3, 3001: 0.5 };
+
+const lobbyClient = () => {
+  const lookups = [];
+  let active = 0;
+  let peak = 0;
+  const client = API.createClient({
+    transport: async (req) => {
+      if (req.url.includes("/fullMatch/"))
+        return { statusCode: 200, headers: {}, body: lobby };
+
+      const uno = req.url.match(/\/uno\/\w+\/(\d+)\//)[1];
+      lookups.push(uno);
+      active++;
+      peak = Math.max(peak, active);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      active--;
+
+      if (lifetimeKd[uno] === undefined)
+        return {
+          statusCode: 200,
+          headers: {},
+          body: JSON.stringify({
+            status: "error",
+            data: { message: "Not permitted: not allowed" },
+          }),
+        };
+      return {
+        statusCode: 200,
+        headers: {},
+        body: JSON.stringify({
+          status: "success",
+          data: {
+            level: 100,
+            lifetime: { all: { properties: { kdRatio: lifetimeKd[uno] } } },
+          },
+        }),
+      };
+    },
+  });
+  client.login("test-sso-token");
+  return { client, lookups, peak: () => peak };
+};
+
+test("summarizes the lobby from the match alone", async () => {
+  const { client, lookups } = lobbyClient();
+  const analysis = await API.analyzeLobby(client, "mw", "8571163456219385", {
+    gamertag: "requester#1234567",
+    platform: "battle",
+    top: 3,
+  });
+
+  assert.deepStrictEqual(lookups, []);
+  assert.strictEqual(analysis.match.modeName, "BR Duos");
+  assert.strictEqual(analysis.match.mapName, "Verdansk");
+  assert.strictEqual(analysis.players, 6);
+  // 18 kills over 6 deaths.
+  assert.strictEqual(analysis.kdRatio, 3);
+  assert.strictEqual(analysis.lifetimeKdRatio, undefined);
+
+  assert.deepStrictEqual(
+    analysis.teams.map((team) => [team.name, team.placement, team.kdRatio]),
+    [
+      ["team_one", 1, 4],
+      ["team_two", 2, 4.5],
+      ["team_three", 3, 0.5],
+    ]
+  );
+  assert.deepStrictEqual(analysis.levels, {
+    min: 1,
+    max: 155,
+    average: 72.17,
+    median: 55,
+    spread: 154,
+  });
+  assert.deepStrictEqual(
+    analysis.topPerformers.map((player) => player.username),
+    ["Sweat", "Requester", "Teammate"]
+  );
+  assert.strictEqual(analysis.requester.player.username, "Requester");
+  assert.strictEqual(analysis.requester.rank, 2);
+  assert.strictEqual(analysis.requester.of, 6);
+});
+
+test("lifetime lookups are bounded and skip failed profiles", async () => {
+  const { client, lookups, peak } = lobbyClient();
+  const analysis = await API.analyzeLobby(client, "mw", "8571163456219385", {
+    gamertag: "Requester",
+    lookup: true,
+    concurrency: 2,
+  });
+
+  // NoUno has nothing to look up by.
+  assert.deepStrictEqual(lookups.sort(), ["1001", "1002", "2001", "2002", "3001"]);
+  assert.ok(peak() <= 2, `peak concurrency ${peak()}`);
+
+  const byName = Object.fromEntries(
+    analysis.topPerformers.map((player) => [player.username, player])
+  );
+  assert.deepStrictEqual(byName.Sweat.lifetime, { level: 100, kdRatio: 3 });
+  assert.strictEqual(byName.Private.lifetime, undefined);
+
+  // Averages cover only the players whose profiles loaded.
+  assert.strictEqual(analysis.lifetimeKdRatio, 1.5);
+  assert.deepStrictEqual(
+    analysis.teams.map((team) => team.lifetimeKdRatio),
+    [1.25, 3, 0.5]
+  );
+});
+
+test("a requester who isn't in the match gets no rank", () => {
+  const match = API.normalizeMatch(JSON.parse(lobby), "mw");
+  const analysis = API.summarizeLobby(match, { gamertag: "Someone Else" });
+
+  assert.strictEqual(analysis.requester, undefined);
+  assert.strictEqual(analysis.topPerformers.length, 5);
+});
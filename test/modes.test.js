@@ -0,0 +1,58 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const API = require("../src/js/index.js");
+const modeNames = require("../src/data/game-modes.json");
+
+test("modes are classified by family and team size", () => {
+  for (const [code, name, family, teamSize] of [
+    ["br_brsolo", "BR Solos", "Battle Royale", 1],
+    ["br_brquads", "BR Quads", "Battle Royale", 4],
+    ["br_rebirth_rbrthduos", "Rebirth Duos", "Resurgence", 2],
+    ["br_kingslayer_kingsltrios", "King Slayer Trios", "Limited-Time", 3],
+    [
+      "br_brz_brquads",
+      "BR Quads (Containment Protocol Event)",
+      "Limited-Time",
+      4,
+    ],
+    ["br_rumble_clash", "Clash", "Rumble", undefined],
+    ["br_dmz_plnbld", "Plunder Blood Money", "Plunder", undefined],
+  ]) {
+    assert.ok(code in modeNames, code);
+    assert.deepStrictEqual(
+      API.classifyMode(code),
+      { code, name, family, teamSize, ranked: false, title: "wz" },
+      code
+    );
+  }
+});
+
+test("unknown modes are guessed from the code", () => {
+  for (const [code, family, teamSize, title] of [
+    ["br_newplaylist_trios", "Limited-Time", 3, "wz"],
+    ["br_dmz_pldrquads", "Plunder", 4, "wz"],
+    ["br_ranked_solo", "Limited-Time", 1, "wz"],
+    ["war", "Limited-Time", undefined, undefined],
+  ]) {
+    const mode = API.classifyMode(code);
+    assert.strictEqual(mode.name, code);
+    assert.strictEqual(mode.family, family, code);
+    assert.strictEqual(mode.teamSize, teamSize, code);
+    assert.strictEqual(mode.title, title, code);
+  }
+  assert.strictEqual(API.classifyMode("br_ranked_solo").ranked, true);
+});
+
+test("the catalog covers every known mode", () => {
+  assert.deepStrictEqual(
+    API.modeCatalog.map((mode) => mode.code),
+    Object.keys(modeNames)
+  );
+  assert.ok(API.modeCatalog.every((mode) => mode.title === "wz"));
+
+  const plunder = API.modesByFamily("Plunder");
+  assert.ok(plunder.length > 0);
+  assert.ok(plunder.every((mode) => mode.family === "Plunder"));
+  assert.ok(plunder.some((mode) => mode.code === "br_dmz_plnbld"));
+  assert.ok(!plunder.some((mode) => mode.code === "br_brquads"));
+});
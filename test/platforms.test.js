@@ -0,0 +1,92 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const API = require("../src/js/index.js");
+
+const urlClient = () => {
+  const urls = [];
+  const client = API.createClient({
+    transport: async (req) => {
+      urls.push(req.url);
+      return {
+        statusCode: 200,
+        headers: {},
+        body: JSON.stringify({ status: "success", data: {} }),
+      };
+    },
+  });
+  client.login("test-sso-token");
+  return { client, urls };
+};
+
+test("papi titles take every platform but Steam", async () => {
+  const { client, urls } = urlClient();
+
+  for (const platform of ["all", "acti", "battle", "psn", "xbl", "ios"])
+    await client.titleRequest("mw", "fullData", {
+      gamertag: "Player",
+      platform,
+    });
+  assert.strictEqual(urls.length, 6);
+  assert.match(urls[0], /\/platform\/all\/gamer\/Player\//);
+
+  await assert.rejects(
+    client.titleRequest("wz", "fullData", {
+      gamertag: "Player",
+      platform: "steam",
+    }),
+    { name: "InvalidPlatformError", message: /Steam platform not supported/ }
+  );
+  await assert.rejects(
+    client.titleRequest("wz", "fullData", {
+      gamertag: "Player",
+      platform: "switch",
+    }),
+    API.InvalidPlatformError
+  );
+});
+
+test("telescope titles take an Uno ID with any platform", async () => {
+  const { client, urls } = urlClient();
+  client.telescopeUnoToken = "telescope-token";
+
+  for (const platform of ["uno", "steam", "psn"])
+    await client.titleRequest("mw2", "fullData", {
+      gamertag: "1234567890",
+      platform,
+    });
+  assert.strictEqual(urls.length, 3);
+  for (const url of urls) assert.match(url, /unoId=1234567890/);
+});
+
+test("telescope matchInfo resolves a gamertag like titleRequest does", async () => {
+  const urls = [];
+  const client = API.createClient({
+    transport: async (req) => {
+      urls.push(req.url);
+      const data = req.url.includes("/search")
+        ? [{ username: "Player", accountId: "555" }]
+        : {};
+      return {
+        statusCode: 200,
+        headers: {},
+        body: JSON.stringify({ status: "success", data }),
+      };
+    },
+  });
+  client.login("test-sso-token");
+  client.telescopeUnoToken = "telescope-token";
+
+  await client.ModernWarfare2.matchInfo("Player", "42", { platform: "psn" });
+  await client.titleRequest("mw2", "matchInfo", {
+    gamertag: "Player",
+    platform: "psn",
+    matchId: "42",
+  });
+  // An Uno ID needs no platform.
+  await client.ModernWarfare2.matchInfo("555", "42");
+
+  const matchUrls = urls.filter((url) => url.includes("/match/42?"));
+  assert.strictEqual(matchUrls.length, 3);
+  for (const url of matchUrls) assert.match(url, /unoId=555/);
+  assert.strictEqual(urls.length - matchUrls.length, 1);
+});
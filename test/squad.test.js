@@ -0,0 +1,137 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const API = require("../src/js/index.js");
+
+const player = (username, uno, team, kills, deaths) => ({
+  player: { username, uno, team },
+  playerStats: { kills, deaths },
+});
+
+// The requester's own history entries, which carry the placements.
+const history = [1, 1, 5, 2].map((teamPlacement, index) => ({
+  matchID: String(index + 1),
+  mode: "br_brtrios",
+  map: "mp_donetsk",
+  player: { username: "Me", uno: "100" },
+  playerStats: { kills: 0, deaths: 0, teamPlacement },
+}));
+
+// Details for matches 1-3. Match 4's lookup fails.
+const details = {
+  1: [
+    player("Me", "100", "a", 4, 1),
+    player("Bud", "200", "a", 3, 1),
+    player("Pal", "300", "a", 2, 2),
+    player("Enemy", "900", "b", 9, 1),
+  ],
+  2: [
+    player("Me", "100", "a", 2, 1),
+    player("Bud", "200", "a", 3, 1),
+    player("Pal", "300", "a", 1, 1),
+  ],
+  3: [
+    player("Me", "100", "a", 1, 2),
+    player("Bud", "200", "a", 1, 3),
+    player("Other", "400", "a", 0, 1),
+  ],
+};
+
+const json = (body) => ({
+  statusCode: 200,
+  headers: {},
+  body: JSON.stringify(body),
+});
+
+const squadClient = () => {
+  const client = API.createClient({
+    transport: async (req) => {
+      if (req.url.includes("/matches/"))
+        return json({ status: "success", data: { matches: history } });
+      const id = req.url.match(/\/fullMatch\/wz\/(\d+)\//)[1];
+      if (!details[id])
+        return json({
+          status: "error",
+          data: { message: "Not permitted: not allowed" },
+        });
+      return json({
+        status: "success",
+        data: {
+          allPlayers: details[id].map((entry) => ({ matchID: id, ...entry })),
+        },
+      });
+    },
+  });
+  client.login("test-sso-token");
+  return client;
+};
+
+test("teammates are tallied across the matches that loaded", async () => {
+  const report = await API.analyzeSquad(squadClient(), "mw", "Me", "battle");
+
+  assert.strictEqual(report.matches, 3);
+  assert.strictEqual(report.skipped, 1);
+  assert.deepStrictEqual(
+    report.teammates.map((teammate) => [teammate.username, teammate.matches]),
+    [
+      ["Bud", 3],
+      ["Pal", 2],
+      ["Other", 1],
+    ]
+  );
+
+  const [bud] = report.teammates;
+  assert.strictEqual(bud.uno, "200");
+  assert.strictEqual(bud.wins, 2);
+  assert.strictEqual(bud.winRate, 66.67);
+  assert.strictEqual(bud.averagePlacement, 2.33);
+  // Me and Bud together: 14 kills over 9 deaths. Bud alone: 7 over 5.
+  assert.strictEqual(bud.kdRatio, 1.56);
+  assert.deepStrictEqual(bud.teammate, { kills: 7, deaths: 5, kdRatio: 1.4 });
+});
+
+test("compositions need minMatches and are ranked by wins", async () => {
+  const report = await API.analyzeSquad(squadClient(), "mw", "Me", "battle");
+  assert.deepStrictEqual(
+    report.compositions.map((composition) => composition.members),
+    [["Bud", "Pal"]]
+  );
+  const [squad] = report.compositions;
+  assert.strictEqual(squad.matches, 2);
+  assert.strictEqual(squad.wins, 2);
+  // The whole squad over matches 1 and 2: 15 kills over 7 deaths.
+  assert.strictEqual(squad.kdRatio, 2.14);
+
+  const all = await API.analyzeSquad(squadClient(), "mw", "Me", "battle", {
+    minMatches: 1,
+  });
+  assert.deepStrictEqual(
+    all.compositions.map((composition) => [
+      composition.members,
+      composition.winRate,
+    ]),
+    [
+      [["Bud", "Pal"], 100],
+      [["Bud", "Other"], 0],
+    ]
+  );
+});
+
+test("matches without the player are skipped when summarizing", () => {
+  const entries = API.normalizeMatches(
+    { status: "success", data: { matches: history.slice(0, 2) } },
+    "mw"
+  );
+  const loaded = new Map([
+    ["1", API.normalizeMatch({ data: { allPlayers: details[1] } }, "mw")],
+    [
+      "2",
+      API.normalizeMatch({ data: { allPlayers: details[3].slice(1) } }, "mw"),
+    ],
+  ]);
+
+  const report = API.summarizeSquad("me", entries, loaded, { top: 1 });
+  assert.strictEqual(report.matches, 1);
+  assert.strictEqual(report.skipped, 1);
+  assert.strictEqual(report.teammates.length, 1);
+  assert.deepStrictEqual(report.compositions, []);
+});
@@ -0,0 +1,125 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const API = require("../src/js/index.js");
+
+const bundle = (id, price) => ({ id, name: `Bundle ${id}`, price });
+
+const json = (body) => ({
+  statusCode: 200,
+  headers: {},
+  body: JSON.stringify(body),
+});
+
+// `rotation.items` is what the next store listing returns.
+const storeClient = (rotation) => {
+  const client = API.createClient({
+    transport: async (req) => {
+      if (req.url.includes("/purchasable/"))
+        return json({ status: "success", data: { items: rotation.items } });
+      if (req.url.includes("/bundle/gone/"))
+        return json({ status: "error", data: { message: "Not found" } });
+      return json({ status: "success", data: { contents: ["skin"] } });
+    },
+  });
+  client.login("test-sso-token");
+  return client;
+};
+
+test("the first run has no previous snapshot and reports nothing new", async () => {
+  const rotation = { items: [bundle("a", 2400), bundle("b", 1200)] };
+  const tracker = API.createStoreTracker(storeClient(rotation));
+
+  assert.strictEqual(await tracker.previous("mw"), undefined);
+  const diff = await tracker.track("mw");
+
+  assert.strictEqual(diff.previous, undefined);
+  assert.deepStrictEqual(diff.added, []);
+  assert.deepStrictEqual(diff.removed, []);
+  assert.deepStrictEqual(diff.priceChanged, []);
+  assert.strictEqual(API.summarizeStoreDiff(diff), "No store changes.");
+  assert.deepStrictEqual(
+    (await tracker.previous("mw")).bundles.map((item) => item.details),
+    [{ contents: ["skin"] }, { contents: ["skin"] }]
+  );
+});
+
+test("the next run reports added, removed and repriced bundles", async () => {
+  const rotation = {
+    items: [bundle("a", 2400), bundle("b", 1200), bundle("c", 800)],
+  };
+  const tracker = API.createStoreTracker(storeClient(rotation));
+  const first = await tracker.track("mw");
+
+  rotation.items = [bundle("a", 2000), bundle("c"), bundle("gone", 1000)];
+  const diff = await tracker.track("mw");
+
+  assert.strictEqual(diff.previous, first.current);
+  assert.deepStrictEqual(
+    diff.added.map((item) => item.id),
+    ["gone"]
+  );
+  // A bundle whose details fail is still tracked.
+  assert.strictEqual(diff.added[0].details, undefined);
+  assert.deepStrictEqual(
+    diff.removed.map((item) => item.id),
+    ["b"]
+  );
+  // "c" lost its price, which isn't a change.
+  assert.deepStrictEqual(
+    diff.priceChanged.map((change) => [
+      change.bundle.id,
+      change.previousPrice,
+      change.price,
+    ]),
+    [["a", 2400, 2000]]
+  );
+  assert.strictEqual(
+    API.summarizeStoreDiff(diff),
+    [
+      "New: Bundle gone (1000 CP)",
+      "Removed: Bundle b",
+      "Price change: Bundle a 2400 CP -> 2000 CP",
+    ].join("\n")
+  );
+});
+
+test("snapshots are kept per title, platform and locale", async () => {
+  const rotation = { items: [bundle("a", 2400)] };
+  const tracker = API.createStoreTracker(storeClient(rotation));
+  await tracker.track("mw", "psn", { details: false });
+
+  rotation.items = [bundle("b", 1200)];
+  const diff = await tracker.track("mw", "xbl", { details: false });
+
+  assert.strictEqual(diff.previous, undefined);
+  assert.deepStrictEqual(diff.added, []);
+  assert.ok(await tracker.previous("mw", "psn"));
+  assert.strictEqual(
+    await tracker.previous("mw", "psn", { locale: "de" }),
+    undefined
+  );
+});
+
+test("diffStoreSnapshots compares by bundle ID", () => {
+  const snapshot = (takenAt, bundles) => ({
+    title: "mw",
+    platform: "psn",
+    locale: "en",
+    takenAt,
+    bundles,
+  });
+  const diff = API.diffStoreSnapshots(
+    snapshot("before", [bundle("a", 100), bundle("b", 200)]),
+    snapshot("after", [
+      { ...bundle("a", 100), name: "Renamed" },
+      bundle("b", 250),
+    ])
+  );
+
+  assert.deepStrictEqual(diff.added, []);
+  assert.deepStrictEqual(diff.removed, []);
+  assert.deepStrictEqual(
+    diff.priceChanged.map((change) => change.bundle.id),
+    ["b"]
+  );
+});